@@ -0,0 +1,461 @@
+// ============================================================================
+// CLOTH BACKEND - Steps a grid ClothSimulation on the main thread or in a worker
+// Both modes share one interface: feed real frame time and attachments to
+// advance(), then copy the latest interpolated positions out with
+// writePositions(). Worker mode falls back to stepping synchronously when
+// Web Workers are unavailable (Node, jsdom) or the worker fails to start.
+//
+// In worker mode at most one `advance` is in flight. Frame time that arrives
+// while the worker is busy is accumulated and sent with the next request, so
+// a slow worker never builds a queue; rendering keeps showing the last result.
+// ============================================================================
+
+import { ClothSimulation } from './ClothSimulation.js';
+import { FixedTimestep, copyAttachments } from './ClothTimestep.js';
+import { describeCollider } from './ClothColliders.js';
+import { describeWindField } from './ClothWind.js';
+import { readState } from './ClothState.js';
+
+export class ClothBackend {
+  // `cloth` holds ClothSimulation.create's shape options (a grid, or a
+  // `mesh`), `params` the solver params, `windFields` replaces the default
+  // breeze. Pass `worker: true` to run the simulation in a worker;
+  // `createWorker` overrides how the worker is constructed.
+  constructor({
+    cloth = {},
+    params = {},
+    windFields = null,
+    stepRate = 60,
+    worker = false,
+    createWorker = createDefaultWorker,
+  } = {}) {
+    // Always built here: it provides the rest pose and constraint pairs, and
+    // is the live simulation whenever we step synchronously
+    this.simulation = ClothSimulation.create({ ...cloth, ...params });
+    this.simulation.onParamsApplied = (applied) => this.onParamsApplied?.(applied);
+    this.simulation.onTear = (tear) => this.onTear?.(tear);
+    this.simulation.onInstability = (info) => this.onInstability?.(info);
+    if (windFields) this.setWindFields(windFields);
+    this.timestep = new FixedTimestep(this.simulation, { stepRate });
+    this.particleCount = this.simulation.particleCount;
+
+    this.mode = 'sync';
+    this.worker = null;
+    // Called with the solver's params once a setParams() change has taken effect
+    this.onParamsApplied = null;
+    // Called with { a, b, type, stretch, cause } for every broken constraint
+    this.onTear = null;
+    // Called with ClothSimulation's onInstability diagnostics when a step
+    // blows up and the cloth is reset
+    this.onInstability = null;
+
+    // Worker mode state
+    this._colliderIds = new Map();
+    this._nextColliderId = 0;
+    this._pendingDt = 0;
+    this._inFlight = false;
+    this._reportedSteps = 0;
+    this._time = 0;
+    this._renderTime = 0;
+    this._selfCollision = { ms: 0, checks: 0, contacts: 0 };
+    this._stats = null;        // latest getStats() from the worker
+    this._statsWanted = false; // ask the worker for them with the next frame
+    this._latest = null;       // latest positions from the worker
+    this._recycled = null;     // transferred buffer to hand back on the next advance
+    this._sharedSlots = null;
+    this._warnedWindFunction = false;
+    this._epoch = 0;           // bumped by restore() so stale results are dropped
+    this._requests = new Map();
+    this._nextRequestId = 0;
+
+    // Function pin layouts and rest angles can't be posted to a worker
+    const functions = typeof cloth.pinLayout === 'function' || typeof cloth.bendRestAngle === 'function';
+    if (worker && typeof Worker !== 'undefined' && !functions) {
+      this._startWorker(cloth, stepRate, createWorker);
+    }
+  }
+
+  // Live constraints and surface triangles. In worker mode the local
+  // simulation replays the worker's tears, so these stay in step with it.
+  get constraintCount() {
+    return this.simulation.constraintCount;
+  }
+
+  get triangleCount() {
+    return this.simulation.triangleCount;
+  }
+
+  get triangles() {
+    return this.simulation.triangles;
+  }
+
+  // Changes whenever constraints or triangles are removed
+  get topologyVersion() {
+    return this.simulation.topologyVersion;
+  }
+
+  get time() {
+    return this.mode === 'worker' ? this._time : this.simulation.time;
+  }
+
+  // Simulation time of the state writePositions() currently returns
+  get renderTime() {
+    return this.mode === 'worker' ? this._renderTime : this.timestep.renderTime;
+  }
+
+  // Self-collision cost for the last simulated step ({ ms, checks, contacts })
+  get selfCollisionStats() {
+    return this.mode === 'worker' ? this._selfCollision : this.simulation.selfCollision.stats;
+  }
+
+  // Solver diagnostics; see ClothSimulation.getStats. In worker mode these
+  // are the worker's from a recent frame (null until the first arrives): each
+  // call asks for fresh ones, so the worker only gathers them while polled.
+  getStats() {
+    if (this.mode === 'sync') return this.simulation.getStats();
+    this._statsWanted = true;
+    return this._stats;
+  }
+
+  // Feed real elapsed time. `attachments` holds the pin anchors (see
+  // ClothSimulation.pin) or is a (simTime) => anchors function; in worker mode functions are sampled here,
+  // once per request, because they can't cross the thread boundary.
+  // Returns the number of fixed steps that completed since the last call.
+  advance(frameDt, attachments = []) {
+    if (this.mode === 'sync') return this.timestep.advance(frameDt, attachments);
+
+    this._pendingDt += Math.max(frameDt, 0);
+    if (!this._inFlight) this._postAdvance(attachments);
+
+    const steps = this._reportedSteps;
+    this._reportedSteps = 0;
+    return steps;
+  }
+
+  // Latest particle positions, interpolated between fixed steps
+  writePositions(target) {
+    if (this.mode === 'sync') return this.timestep.writeInterpolatedPositions(target);
+    target.set(this._latest);
+    return target;
+  }
+
+  // Constraint endpoints as a flat array of line segments
+  writeConstraintSegments(target) {
+    if (this.mode === 'sync') return this.simulation.writeConstraintSegments(target);
+
+    const pos = this._latest;
+    const { constraintA, constraintB } = this.simulation;
+    for (let c = 0; c < this.constraintCount; c++) {
+      const a3 = constraintA[c] * 3;
+      const b3 = constraintB[c] * 3;
+      const o = c * 6;
+      target[o] = pos[a3]; target[o + 1] = pos[a3 + 1]; target[o + 2] = pos[a3 + 2];
+      target[o + 3] = pos[b3]; target[o + 4] = pos[b3 + 1]; target[o + 5] = pos[b3 + 2];
+    }
+    return target;
+  }
+
+  // Same contract as ClothSimulation.setParams
+  setParams(params, options) {
+    // The local simulation mirrors every change, so a fallback resumes with
+    // it. It doesn't step in worker mode, so it skips straight to the new
+    // values there; otherwise its params would stay mid-transition.
+    const changed = this.simulation.setParams(params, this.worker ? undefined : options);
+    if (changed && this.worker) this.worker.postMessage({ type: 'params', params, options });
+    return changed;
+  }
+
+  // Cut along a stroke in normalized device coordinates; see ClothSimulation.cut.
+  // In worker mode the cut happens on the worker's next message and the
+  // resulting tears arrive asynchronously.
+  cut(viewProjection, x0, y0, x1, y1) {
+    if (this.mode === 'sync') return this.simulation.cut(viewProjection, x0, y0, x1, y1);
+    this.worker.postMessage({ type: 'cut', viewProjection: Array.from(viewProjection), x0, y0, x1, y1 });
+    return 0;
+  }
+
+  // Snapshot of the full simulation state (see ClothSimulation.serialize).
+  // Returns a promise, since in worker mode the state lives in the worker.
+  serialize() {
+    if (this.mode === 'sync') return Promise.resolve(this.simulation.serialize());
+    return new Promise((resolve) => {
+      const id = this._nextRequestId++;
+      this._requests.set(id, resolve);
+      this.worker.postMessage({ type: 'serialize', id });
+    });
+  }
+
+  // Replace the simulation state with a snapshot of a cloth with the same
+  // particle count, as an object, JSON string or binary buffer
+  restore(state) {
+    state = readState(state);
+    if (state.particles.count !== this.particleCount) {
+      throw new Error(`Cloth state has ${state.particles.count} particles, expected ${this.particleCount}`);
+    }
+
+    this.simulation.restore(state);
+    this.timestep.reset();
+    if (this.mode === 'worker') this._pushState(state);
+  }
+
+  // Pre-simulate to a draped rest pose before the first frame; see
+  // ClothSimulation.settle. Runs on this thread even in worker mode, from the
+  // local copy of the cloth, so call it before the first advance().
+  settle(attachments = [], options = {}) {
+    const steps = this.simulation.settle(attachments, options);
+    this.timestep.reset();
+    if (this.mode === 'worker') this._pushState(this.simulation.serialize());
+    return steps;
+  }
+
+  // Teleport every particle to a pose, at rest; see ClothSimulation.setPose.
+  // Like settle(), call it before the first advance().
+  setPose(positions) {
+    this.simulation.setPose(positions);
+    this.timestep.reset();
+    if (this.mode === 'worker') this._pushState(this.simulation.serialize());
+  }
+
+  // Runtime pinning; see ClothSimulation.pin / pinToAnchor / unpin. In worker
+  // mode pinToAnchor measures offsets from the worker's current positions.
+  pin(index, binding = null) {
+    this.simulation.pin(index, binding);
+    this.worker?.postMessage({ type: 'pin', index, binding });
+  }
+
+  pinToAnchor(indices, anchor, anchorPoint, options) {
+    this.simulation.pinToAnchor(indices, anchor, anchorPoint, options);
+    this.worker?.postMessage({
+      type: 'pinToAnchor',
+      indices,
+      anchor,
+      anchorPoint: copyAttachments([anchorPoint])[0],
+      options,
+    });
+  }
+
+  unpin(index) {
+    this.simulation.unpin(index);
+    this.worker?.postMessage({ type: 'unpin', index });
+  }
+
+  // Per-particle weight maps; see ClothSimulation.setWeightMap. A 'pin' map
+  // measures offsets where the cloth is, so paint it before the first advance().
+  setWeightMap(name, values) {
+    this.simulation.setWeightMap(name, values);
+    this.worker?.postMessage({ type: 'setWeightMap', name, values });
+  }
+
+  // Hold particle `index` at a world-space point; see ClothSimulation.grab.
+  // The local simulation tracks grabs too, so a fallback keeps them.
+  grab(index, x, y, z) {
+    const grabbed = this.simulation.grab(index, x, y, z);
+    if (grabbed) this.worker?.postMessage({ type: 'grab', index, x, y, z });
+    return grabbed;
+  }
+
+  moveGrab(index, x, y, z) {
+    this.simulation.moveGrab(index, x, y, z);
+    this.worker?.postMessage({ type: 'moveGrab', index, x, y, z });
+  }
+
+  release(index) {
+    this.simulation.release(index);
+    this.worker?.postMessage({ type: 'release', index });
+  }
+
+  setStepRate(stepRate) {
+    this.timestep.stepRate = stepRate;
+    this.worker?.postMessage({ type: 'stepRate', stepRate });
+  }
+
+  // Wind fields from ClothWind.js. In worker mode built-in fields are copied
+  // to the worker on every advance, so changes to them (including
+  // RadialWind.trigger) carry over; plain function fields only run in sync mode.
+  addWindField(field) {
+    return this.simulation.addWindField(field);
+  }
+
+  removeWindField(field) {
+    this.simulation.removeWindField(field);
+  }
+
+  setWindFields(fields) {
+    this.simulation.windFields = [...fields];
+  }
+
+  // In worker mode the collider is copied when added; afterwards only its
+  // `enabled` flag and `object` transform are sent. Remove and re-add it to
+  // change its shape.
+  addCollider(collider) {
+    if (this._colliderIds.has(collider)) return collider;
+    const id = this._nextColliderId++;
+    this._colliderIds.set(collider, id);
+    this.simulation.addCollider(collider);
+    this.worker?.postMessage({ type: 'addCollider', id, collider: describeCollider(collider) });
+    return collider;
+  }
+
+  removeCollider(collider) {
+    const id = this._colliderIds.get(collider);
+    if (id === undefined) return;
+    this._colliderIds.delete(collider);
+    this.simulation.removeCollider(collider);
+    this.worker?.postMessage({ type: 'removeCollider', id });
+  }
+
+  dispose() {
+    this.worker?.terminate();
+    this.worker = null;
+  }
+
+  _startWorker(cloth, stepRate, createWorker) {
+    let worker;
+    try {
+      worker = createWorker();
+    } catch (error) {
+      this._fallBack(error);
+      return;
+    }
+
+    this.worker = worker;
+    this.mode = 'worker';
+    this._latest = this.simulation.writePositions(new Float32Array(this.particleCount * 3));
+
+    // Shared memory needs a cross-origin isolated page; otherwise positions
+    // come back in transferred buffers
+    let sharedBuffer = null;
+    if (typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated) {
+      const length = this.particleCount * 3;
+      sharedBuffer = new SharedArrayBuffer(length * 2 * 4);
+      this._sharedSlots = [
+        new Float32Array(sharedBuffer, 0, length),
+        new Float32Array(sharedBuffer, length * 4, length),
+      ];
+    }
+
+    worker.onmessage = ({ data }) => this._onMessage(data);
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      this._fallBack(event.error ?? event.message);
+    };
+    worker.postMessage({
+      type: 'init',
+      cloth,
+      params: { ...this.simulation.params },
+      stepRate,
+      sharedBuffer,
+    });
+  }
+
+  // Replace the worker's state, dropping anything it sends from before
+  _pushState(state) {
+    this._epoch++;
+    this.worker.postMessage({ type: 'restore', state, epoch: this._epoch });
+    this._time = this._renderTime = state.time;
+    this._latest = this.simulation.writePositions(new Float32Array(this.particleCount * 3));
+  }
+
+  _postAdvance(attachments) {
+    const points = typeof attachments === 'function'
+      ? attachments(this._time + this._pendingDt)
+      : attachments;
+
+    const colliderTransforms = [];
+    this._colliderIds.forEach((id, collider) => {
+      // Also keeps the collider's world-space fields current for debug visuals
+      collider.updateTransform();
+      colliderTransforms.push({
+        id,
+        enabled: collider.enabled,
+        matrix: collider.object ? collider.object.matrixWorld.elements : null,
+      });
+    });
+
+    const windFields = [];
+    for (const field of this.simulation.windFields) {
+      const description = describeWindField(field);
+      if (description) windFields.push(description);
+      else if (!this._warnedWindFunction) {
+        this._warnedWindFunction = true;
+        console.warn('ClothBackend: wind field functions are ignored in worker mode');
+      }
+    }
+
+    const message = {
+      type: 'advance',
+      dt: this._pendingDt,
+      attachments: copyAttachments(points),
+      colliderTransforms,
+      windFields,
+      recycled: this._recycled,
+      stats: this._statsWanted,
+    };
+    this.worker.postMessage(message, this._recycled ? [this._recycled] : []);
+
+    this._statsWanted = false;
+    this._recycled = null;
+    this._pendingDt = 0;
+    this._inFlight = true;
+  }
+
+  _onMessage(data) {
+    if (data.type === 'paramsApplied') {
+      this.onParamsApplied?.(data.params);
+      return;
+    }
+    if (data.type === 'state') {
+      this._requests.get(data.id)?.(data.state);
+      this._requests.delete(data.id);
+      return;
+    }
+    // Tears and frames from before the last restore() no longer apply
+    if (data.type === 'tear' && this.mode === 'worker' && data.epoch === this._epoch) {
+      // Mirror the worker's topology so rendering uses the same triangles
+      const c = this.simulation.findConstraint(data.tear.a, data.tear.b);
+      if (c !== -1) this.simulation.removeConstraint(c);
+      this.onTear?.(data.tear);
+      return;
+    }
+    // The worker has already reset its cloth; its next frame shows it
+    if (data.type === 'instability' && data.epoch === this._epoch) {
+      this.onInstability?.(data.info);
+      return;
+    }
+    if (data.type !== 'frame' || this.mode !== 'worker') return;
+
+    this._inFlight = false;
+    if (data.epoch !== this._epoch) {
+      if (data.positions) this._recycled = data.positions;
+      return;
+    }
+    this._reportedSteps += data.steps;
+    this._time = data.time;
+    this._renderTime = data.renderTime;
+    Object.assign(this._selfCollision, data.selfCollision);
+    if (data.stats) this._stats = data.stats;
+
+    if (data.positions) {
+      this._recycled = this._latest.buffer;
+      this._latest = new Float32Array(data.positions);
+    } else {
+      this._latest = this._sharedSlots[data.slot];
+    }
+  }
+
+  // Continue on the main thread from the local simulation's rest pose
+  _fallBack(error) {
+    console.warn('ClothBackend: cloth worker unavailable, simulating on the main thread', error);
+    this.worker?.terminate();
+    this.worker = null;
+    this.mode = 'sync';
+    this._inFlight = false;
+    // Pending serialize() calls get the local state rather than never settling
+    this._requests.forEach(resolve => resolve(this.simulation.serialize()));
+    this._requests.clear();
+  }
+}
+
+function createDefaultWorker() {
+  return new Worker(new URL('./ClothWorker.js', import.meta.url), { type: 'module' });
+}
@@ -0,0 +1,275 @@
+// ============================================================================
+// CLOTH COLLIDERS - Sphere, capsule, plane and oriented box shapes
+// Renderer-agnostic like ClothSimulation. A collider can follow a moving
+// transform via `object`: anything with a column-major `matrixWorld.elements`
+// array, such as a THREE.Object3D (scale is ignored, only position/rotation).
+// ============================================================================
+
+// Scratch values reused by every collider, so collisions don't allocate
+const _normal = { x: 0, y: 0, z: 0 };
+const _closest = { x: 0, y: 0, z: 0 };
+
+class Collider {
+  constructor({ friction = 0.3, thickness = 0.01, object = null } = {}) {
+    this.friction = friction;   // 0 = frictionless, 1 = particles stick
+    this.thickness = thickness; // extra gap kept between cloth and surface
+    this.object = object;
+    this.enabled = true;
+  }
+
+  // Refresh world-space shape from `object`, if attached
+  updateTransform() {
+    if (!this.object) {
+      this.applyTransform(null);
+      return;
+    }
+    this.object.updateWorldMatrix?.(true, false);
+    this.applyTransform(this.object.matrixWorld.elements);
+  }
+
+  // Push particle `i3` (offset into the flat xyz arrays) out of the shape.
+  // Returns true on contact.
+  collide(positions, previous, i3) {
+    if (!this.resolve(positions, i3, _normal)) return false;
+    applyFriction(positions, previous, i3, _normal, this.friction);
+    return true;
+  }
+}
+
+export class SphereCollider extends Collider {
+  constructor({ center = { x: 0, y: 0, z: 0 }, radius = 0.1, ...options } = {}) {
+    super(options);
+    this.type = 'sphere';
+    this.center = { ...center };
+    this.radius = radius;
+    this.worldCenter = { ...center };
+  }
+
+  applyTransform(m) {
+    transformPoint(m, this.center, this.worldCenter);
+  }
+
+  resolve(pos, i3, normal) {
+    return pushOutOfSphere(pos, i3, this.worldCenter, this.radius + this.thickness, normal);
+  }
+}
+
+// Sphere-swept segment from `start` to `end`, e.g. a limb or torso
+export class CapsuleCollider extends Collider {
+  constructor({
+    start = { x: 0, y: -0.25, z: 0 },
+    end = { x: 0, y: 0.25, z: 0 },
+    radius = 0.1,
+    ...options
+  } = {}) {
+    super(options);
+    this.type = 'capsule';
+    this.start = { ...start };
+    this.end = { ...end };
+    this.radius = radius;
+    this.worldStart = { ...start };
+    this.worldEnd = { ...end };
+  }
+
+  applyTransform(m) {
+    transformPoint(m, this.start, this.worldStart);
+    transformPoint(m, this.end, this.worldEnd);
+  }
+
+  resolve(pos, i3, normal) {
+    const a = this.worldStart;
+    const b = this.worldEnd;
+    const abx = b.x - a.x, aby = b.y - a.y, abz = b.z - a.z;
+    const lenSq = abx * abx + aby * aby + abz * abz;
+    const px = pos[i3] - a.x, py = pos[i3 + 1] - a.y, pz = pos[i3 + 2] - a.z;
+    let t = lenSq > 0 ? (px * abx + py * aby + pz * abz) / lenSq : 0;
+    t = Math.max(0, Math.min(1, t));
+
+    _closest.x = a.x + abx * t;
+    _closest.y = a.y + aby * t;
+    _closest.z = a.z + abz * t;
+    return pushOutOfSphere(pos, i3, _closest, this.radius + this.thickness, normal);
+  }
+}
+
+// Infinite plane; cloth is kept on the side `normal` points to
+export class PlaneCollider extends Collider {
+  constructor({ point = { x: 0, y: -1, z: 0 }, normal = { x: 0, y: 1, z: 0 }, ...options } = {}) {
+    super(options);
+    this.type = 'plane';
+    this.point = { ...point };
+    this.normal = normalize({ ...normal });
+    this.worldPoint = { ...point };
+    this.worldNormal = { ...this.normal };
+  }
+
+  applyTransform(m) {
+    transformPoint(m, this.point, this.worldPoint);
+    transformDirection(m, this.normal, this.worldNormal);
+  }
+
+  resolve(pos, i3, normal) {
+    const n = this.worldNormal;
+    const o = this.worldPoint;
+    const dist = (pos[i3] - o.x) * n.x + (pos[i3 + 1] - o.y) * n.y + (pos[i3 + 2] - o.z) * n.z;
+    const depth = this.thickness - dist;
+    if (depth <= 0) return false;
+
+    pos[i3] += n.x * depth;
+    pos[i3 + 1] += n.y * depth;
+    pos[i3 + 2] += n.z * depth;
+    normal.x = n.x; normal.y = n.y; normal.z = n.z;
+    return true;
+  }
+}
+
+// Oriented box: `axes` are its local X/Y/Z directions, `halfExtents` its
+// half sizes along them
+export class BoxCollider extends Collider {
+  constructor({
+    center = { x: 0, y: 0, z: 0 },
+    halfExtents = { x: 0.1, y: 0.1, z: 0.1 },
+    axes = [{ x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }, { x: 0, y: 0, z: 1 }],
+    ...options
+  } = {}) {
+    super(options);
+    this.type = 'box';
+    this.center = { ...center };
+    this.halfExtents = { ...halfExtents };
+    this.axes = axes.map(a => normalize({ ...a }));
+    this.worldCenter = { ...center };
+    this.worldAxes = this.axes.map(a => ({ ...a }));
+  }
+
+  applyTransform(m) {
+    transformPoint(m, this.center, this.worldCenter);
+    for (let i = 0; i < 3; i++) transformDirection(m, this.axes[i], this.worldAxes[i]);
+  }
+
+  resolve(pos, i3, normal) {
+    const c = this.worldCenter;
+    const dx = pos[i3] - c.x, dy = pos[i3 + 1] - c.y, dz = pos[i3 + 2] - c.z;
+    const he = this.halfExtents;
+
+    // Find the face with the shallowest penetration
+    let bestAxis = -1;
+    let bestDepth = Infinity;
+    let bestSign = 1;
+    for (let i = 0; i < 3; i++) {
+      const ax = this.worldAxes[i];
+      const d = dx * ax.x + dy * ax.y + dz * ax.z;
+      const extent = i === 0 ? he.x : i === 1 ? he.y : he.z;
+      const depth = extent + this.thickness - Math.abs(d);
+      if (depth <= 0) return false;
+      if (depth < bestDepth) {
+        bestDepth = depth;
+        bestAxis = i;
+        bestSign = d < 0 ? -1 : 1;
+      }
+    }
+
+    const ax = this.worldAxes[bestAxis];
+    normal.x = ax.x * bestSign;
+    normal.y = ax.y * bestSign;
+    normal.z = ax.z * bestSign;
+    pos[i3] += normal.x * bestDepth;
+    pos[i3 + 1] += normal.y * bestDepth;
+    pos[i3 + 2] += normal.z * bestDepth;
+    return true;
+  }
+}
+
+// Writes the contact normal if particle `i3` was inside and got pushed out
+function pushOutOfSphere(pos, i3, center, radius, normal) {
+  const dx = pos[i3] - center.x, dy = pos[i3 + 1] - center.y, dz = pos[i3 + 2] - center.z;
+  const distSq = dx * dx + dy * dy + dz * dz;
+  if (distSq >= radius * radius) return false;
+
+  const dist = Math.sqrt(distSq);
+  if (dist > 1e-9) {
+    normal.x = dx / dist; normal.y = dy / dist; normal.z = dz / dist;
+  } else {
+    // Degenerate case: particle exactly at the center, push straight up
+    normal.x = 0; normal.y = 1; normal.z = 0;
+  }
+  pos[i3] = center.x + normal.x * radius;
+  pos[i3 + 1] = center.y + normal.y * radius;
+  pos[i3 + 2] = center.z + normal.z * radius;
+  return true;
+}
+
+// Verlet friction: shrink the tangential part of the implicit velocity by
+// moving `previous` towards `position` along the contact surface
+function applyFriction(pos, prev, i3, n, friction) {
+  if (friction <= 0) return;
+  const vx = pos[i3] - prev[i3];
+  const vy = pos[i3 + 1] - prev[i3 + 1];
+  const vz = pos[i3 + 2] - prev[i3 + 2];
+  const vn = vx * n.x + vy * n.y + vz * n.z;
+  const k = Math.min(friction, 1);
+  prev[i3] += (vx - vn * n.x) * k;
+  prev[i3 + 1] += (vy - vn * n.y) * k;
+  prev[i3 + 2] += (vz - vn * n.z) * k;
+}
+
+function transformPoint(m, v, out) {
+  if (!m) {
+    out.x = v.x; out.y = v.y; out.z = v.z;
+    return;
+  }
+  out.x = m[0] * v.x + m[4] * v.y + m[8] * v.z + m[12];
+  out.y = m[1] * v.x + m[5] * v.y + m[9] * v.z + m[13];
+  out.z = m[2] * v.x + m[6] * v.y + m[10] * v.z + m[14];
+}
+
+function transformDirection(m, v, out) {
+  if (!m) {
+    out.x = v.x; out.y = v.y; out.z = v.z;
+    return;
+  }
+  out.x = m[0] * v.x + m[4] * v.y + m[8] * v.z;
+  out.y = m[1] * v.x + m[5] * v.y + m[9] * v.z;
+  out.z = m[2] * v.x + m[6] * v.y + m[10] * v.z;
+  normalize(out);
+}
+
+function normalize(v) {
+  const len = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z) || 1;
+  v.x /= len;
+  v.y /= len;
+  v.z /= len;
+  return v;
+}
+
+const COLLIDER_CLASSES = {
+  sphere: SphereCollider,
+  capsule: CapsuleCollider,
+  plane: PlaneCollider,
+  box: BoxCollider,
+};
+
+// Plain-data copy of a collider's shape and settings, without `object` or
+// derived world-space fields. Safe to postMessage or JSON.stringify.
+export function describeCollider(collider) {
+  const description = {};
+  for (const key of Object.keys(collider)) {
+    if (key === 'object' || key.startsWith('world')) continue;
+    description[key] = structuredCopy(collider[key]);
+  }
+  return description;
+}
+
+// Inverse of describeCollider
+export function createCollider(description) {
+  const Type = COLLIDER_CLASSES[description.type];
+  if (!Type) throw new Error(`Unknown collider type: ${description.type}`);
+  const collider = new Type(description);
+  collider.enabled = description.enabled ?? true;
+  return collider;
+}
+
+function structuredCopy(value) {
+  if (Array.isArray(value)) return value.map(structuredCopy);
+  if (value && typeof value === 'object') return { ...value };
+  return value;
+}
@@ -0,0 +1,314 @@
+// ============================================================================
+// CLOTH EXPORT - Bake simulated cloth motion for other tools
+// A VertexCacheRecorder captures the cloth's vertex positions once per frame
+// over a time range. The resulting cache exports as a binary glTF (.glb)
+// with one morph target per frame, or as a compact vertex cache file.
+// exportOBJ writes the rest mesh with its UVs to go with the cache.
+// Nothing here needs a DOM or THREE.js, so bakes run offline in Node.
+//
+// Vertex cache layout (little-endian):
+//   'CLVC'  u32 version  u32 frameCount  u32 vertexCount  f32 fps  f32 start
+//   then frameCount × vertexCount × 3 Float32 positions, frame by frame
+// ============================================================================
+
+import { FixedTimestep } from './ClothTimestep.js';
+
+export const VERTEX_CACHE_VERSION = 1;
+
+const CACHE_MAGIC = 0x43564c43; // 'CLVC'
+const CACHE_HEADER_BYTES = 24;
+const GLB_MAGIC = 0x46546c67;   // 'glTF'
+const GLB_JSON = 0x4e4f534a;
+const GLB_BIN = 0x004e4942;
+
+// glTF enums
+const FLOAT = 5126;
+const UNSIGNED_INT = 5125;
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+
+export class VertexCacheRecorder {
+  // Frames are taken every 1/fps seconds of simulation time from `start`
+  // through `end`
+  constructor(vertexCount, { fps = 30, start = 0, end = Infinity } = {}) {
+    this.vertexCount = vertexCount;
+    this.fps = fps;
+    this.start = start;
+    this.end = end;
+    this._frames = [];
+  }
+
+  get frameCount() {
+    return this._frames.length;
+  }
+
+  // Time of the next frame to capture
+  get nextFrameTime() {
+    return this.start + this._frames.length / this.fps;
+  }
+
+  // True once every frame in the range has been captured
+  get done() {
+    return this.nextFrameTime > this.end + 1e-6;
+  }
+
+  // Offer positions (e.g. a mesh's position attribute array) at simulation
+  // time `time`. They're copied if a frame is due; returns whether they were.
+  // Call at least once per frame interval, or frames are spread out.
+  capture(positions, time) {
+    if (this.done || time < this.nextFrameTime - 1e-6) return false;
+    this._frames.push(Float32Array.from(positions.subarray(0, this.vertexCount * 3)));
+    return true;
+  }
+
+  // { fps, start, vertexCount, frameCount, positions } with every frame in
+  // one Float32Array
+  toCache() {
+    const size = this.vertexCount * 3;
+    const positions = new Float32Array(this._frames.length * size);
+    this._frames.forEach((frame, f) => positions.set(frame, f * size));
+    return {
+      fps: this.fps,
+      start: this.start,
+      vertexCount: this.vertexCount,
+      frameCount: this._frames.length,
+      positions,
+    };
+  }
+}
+
+// Step a ClothSimulation from its current time and capture every frame
+// from `start` to `end` (seconds of simulation time). `attachments` is what
+// FixedTimestep.advance takes; use a (simTime) => points function for
+// moving pins. Returns the cache.
+export function bakeCloth(simulation, {
+  start = simulation.time,
+  end,
+  fps = 30,
+  stepRate = 60,
+  attachments = [],
+}) {
+  if (!(end >= start) || start < simulation.time) {
+    throw new Error(`Bake range must run forwards from the simulation time (${simulation.time})`);
+  }
+  const recorder = new VertexCacheRecorder(simulation.particleCount, { fps, start, end });
+  const timestep = new FixedTimestep(simulation, { stepRate, maxStepsPerFrame: Infinity });
+  const positions = new Float32Array(simulation.particleCount * 3);
+
+  // Interpolated positions trail the simulation by one fixed step, which
+  // shifts the whole bake evenly
+  let time = simulation.time;
+  while (!recorder.done) {
+    const frameTime = recorder.nextFrameTime;
+    timestep.advance(frameTime - time, attachments);
+    time = frameTime;
+    recorder.capture(timestep.writeInterpolatedPositions(positions), frameTime);
+  }
+  return recorder.toCache();
+}
+
+// Cache -> ArrayBuffer in the vertex cache layout above
+export function encodeVertexCache(cache) {
+  const { frameCount, vertexCount, positions } = cache;
+  const buffer = new ArrayBuffer(CACHE_HEADER_BYTES + frameCount * vertexCount * 12);
+  const view = new DataView(buffer);
+  view.setUint32(0, CACHE_MAGIC, true);
+  view.setUint32(4, VERTEX_CACHE_VERSION, true);
+  view.setUint32(8, frameCount, true);
+  view.setUint32(12, vertexCount, true);
+  view.setFloat32(16, cache.fps, true);
+  view.setFloat32(20, cache.start, true);
+  new Float32Array(buffer, CACHE_HEADER_BYTES).set(positions.subarray(0, frameCount * vertexCount * 3));
+  return buffer;
+}
+
+// ArrayBuffer (or a view of one) -> cache
+export function decodeVertexCache(data) {
+  const bytes = ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.byteLength < CACHE_HEADER_BYTES || view.getUint32(0, true) !== CACHE_MAGIC) {
+    throw new Error('Not a cloth vertex cache');
+  }
+  const version = view.getUint32(4, true);
+  if (version > VERTEX_CACHE_VERSION) throw new Error(`Unsupported vertex cache version: ${version}`);
+
+  const frameCount = view.getUint32(8, true);
+  const vertexCount = view.getUint32(12, true);
+  const positions = new Float32Array(frameCount * vertexCount * 3);
+  // Copy out, since the source offset may not be aligned for Float32Array
+  new Uint8Array(positions.buffer).set(bytes.subarray(CACHE_HEADER_BYTES, CACHE_HEADER_BYTES + positions.byteLength));
+  return {
+    fps: view.getFloat32(16, true),
+    start: view.getFloat32(20, true),
+    vertexCount,
+    frameCount,
+    positions,
+  };
+}
+
+// Cache -> binary glTF (.glb) of one mesh with a morph target per frame and
+// an animation stepping through them. `indices` are the triangles and `uvs`
+// the texture coordinates (v = 1 at the top, as createGridUVs makes them).
+// The base mesh is `restPositions`, or the first frame.
+export function exportGLB(cache, { indices, uvs = null, restPositions = null, name = 'Cloth' }) {
+  const { frameCount, vertexCount, fps } = cache;
+  if (frameCount === 0) throw new Error('Vertex cache has no frames');
+  const size = vertexCount * 3;
+  const base = Float32Array.from((restPositions ?? cache.positions).slice(0, size));
+
+  const builder = new GLBBuilder();
+  const primitive = {
+    attributes: { POSITION: builder.addAccessor(base, 'VEC3', ARRAY_BUFFER, true) },
+    indices: builder.addAccessor(Uint32Array.from(indices), 'SCALAR', ELEMENT_ARRAY_BUFFER),
+    mode: 4,
+    targets: [],
+  };
+  if (uvs) {
+    // glTF puts v = 0 at the top of the image
+    const flipped = new Float32Array(vertexCount * 2);
+    for (let i = 0; i < vertexCount; i++) {
+      flipped[i * 2] = uvs[i * 2];
+      flipped[i * 2 + 1] = 1 - uvs[i * 2 + 1];
+    }
+    primitive.attributes.TEXCOORD_0 = builder.addAccessor(flipped, 'VEC2', ARRAY_BUFFER);
+  }
+
+  // Each frame as offsets from the base mesh
+  const targetNames = [];
+  for (let f = 0; f < frameCount; f++) {
+    const delta = new Float32Array(size);
+    const frame = cache.positions.subarray(f * size, (f + 1) * size);
+    for (let i = 0; i < size; i++) delta[i] = frame[i] - base[i];
+    primitive.targets.push({ POSITION: builder.addAccessor(delta, 'VEC3', ARRAY_BUFFER, true) });
+    targetNames.push(`frame${f}`);
+  }
+
+  // One-hot weights per frame; linear interpolation blends neighbouring frames
+  const times = new Float32Array(frameCount);
+  const weights = new Float32Array(frameCount * frameCount);
+  for (let f = 0; f < frameCount; f++) {
+    times[f] = f / fps;
+    weights[f * frameCount + f] = 1;
+  }
+
+  const json = {
+    asset: { version: '2.0', generator: 'ClothPhysics-JSX ClothExport' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ name, mesh: 0 }],
+    meshes: [{
+      name,
+      primitives: [primitive],
+      weights: targetNames.map((_, f) => (f === 0 ? 1 : 0)),
+      extras: { targetNames },
+    }],
+    animations: [{
+      name: `${name}Bake`,
+      samplers: [{
+        input: builder.addAccessor(times, 'SCALAR', null, true),
+        output: builder.addAccessor(weights, 'SCALAR'),
+        interpolation: 'LINEAR',
+      }],
+      channels: [{ sampler: 0, target: { node: 0, path: 'weights' } }],
+    }],
+  };
+  return builder.build(json);
+}
+
+// Wavefront OBJ text of a mesh: `positions` xyz, optional `uvs`, and
+// triangle `indices`. Pair with a vertex cache, whose vertices are in the
+// same order.
+export function exportOBJ({ positions, uvs = null, indices, name = 'Cloth' }) {
+  const lines = ['# ClothPhysics-JSX rest mesh', `o ${name}`];
+  const vertexCount = Math.floor(positions.length / 3);
+  for (let i = 0; i < vertexCount; i++) {
+    lines.push(`v ${positions[i * 3]} ${positions[i * 3 + 1]} ${positions[i * 3 + 2]}`);
+  }
+  if (uvs) {
+    for (let i = 0; i < vertexCount; i++) lines.push(`vt ${uvs[i * 2]} ${uvs[i * 2 + 1]}`);
+  }
+  for (let t = 0; t + 2 < indices.length; t += 3) {
+    const [a, b, c] = [indices[t] + 1, indices[t + 1] + 1, indices[t + 2] + 1];
+    lines.push(uvs ? `f ${a}/${a} ${b}/${b} ${c}/${c}` : `f ${a} ${b} ${c}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Collects accessors into a single binary buffer and writes the .glb
+class GLBBuilder {
+  constructor() {
+    this.accessors = [];
+    this.bufferViews = [];
+    this.chunks = [];
+    this.byteLength = 0;
+  }
+
+  // Adds `array` as its own buffer view and returns the accessor index.
+  // `bounds` adds the min/max that POSITION and animation inputs require.
+  addAccessor(array, type, target = null, bounds = false) {
+    const view = { buffer: 0, byteOffset: this.byteLength, byteLength: array.byteLength };
+    if (target) view.target = target;
+    this.bufferViews.push(view);
+    this.chunks.push({ offset: this.byteLength, array });
+    this.byteLength += pad4(array.byteLength);
+
+    const components = { SCALAR: 1, VEC2: 2, VEC3: 3 }[type];
+    const accessor = {
+      bufferView: this.bufferViews.length - 1,
+      componentType: array instanceof Uint32Array ? UNSIGNED_INT : FLOAT,
+      count: array.length / components,
+      type,
+    };
+    if (bounds) Object.assign(accessor, componentBounds(array, components));
+    this.accessors.push(accessor);
+    return this.accessors.length - 1;
+  }
+
+  build(json) {
+    Object.assign(json, {
+      accessors: this.accessors,
+      bufferViews: this.bufferViews,
+      buffers: [{ byteLength: this.byteLength }],
+    });
+    const text = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = pad4(text.length);
+    const total = 12 + 8 + jsonLength + 8 + this.byteLength;
+
+    const buffer = new ArrayBuffer(total);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, GLB_JSON, true);
+    bytes.set(text, 20);
+    bytes.fill(0x20, 20 + text.length, 20 + jsonLength); // JSON is padded with spaces
+
+    const binStart = 20 + jsonLength;
+    view.setUint32(binStart, this.byteLength, true);
+    view.setUint32(binStart + 4, GLB_BIN, true);
+    for (const { offset, array } of this.chunks) {
+      bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), binStart + 8 + offset);
+    }
+    return buffer;
+  }
+}
+
+function componentBounds(array, components) {
+  const min = new Array(components).fill(Infinity);
+  const max = new Array(components).fill(-Infinity);
+  for (let i = 0; i < array.length; i++) {
+    const c = i % components;
+    min[c] = Math.min(min[c], array[i]);
+    max[c] = Math.max(max[c], array[i]);
+  }
+  return { min, max };
+}
+
+function pad4(n) {
+  return (n + 3) & ~3;
+}
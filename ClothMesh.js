@@ -0,0 +1,190 @@
+// ============================================================================
+// CLOTH MESH - Triangle mesh input for ClothSimulation.fromMesh
+// Meshes are plain { positions, indices, uvs } objects: flat xyz positions,
+// triangle indices and optional flat uv pairs. meshFromGeometry reads a
+// THREE.BufferGeometry (duck-typed, so THREE.js isn't imported) and parseOBJ
+// a Wavefront OBJ file. weldVertices and meshConstraintPairs turn a mesh
+// into particles, constraint pairs and bending hinges.
+// ============================================================================
+
+// { positions, indices, uvs } of a BufferGeometry, copied. Non-indexed
+// geometry gets sequential indices; uvs is null without a `uv` attribute.
+export function meshFromGeometry(geometry) {
+  const position = geometry.attributes.position;
+  const uv = geometry.attributes.uv;
+  const count = position.count;
+
+  const positions = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    positions[i * 3] = position.getX(i);
+    positions[i * 3 + 1] = position.getY(i);
+    positions[i * 3 + 2] = position.getZ(i);
+  }
+
+  let uvs = null;
+  if (uv) {
+    uvs = new Float32Array(count * 2);
+    for (let i = 0; i < count; i++) {
+      uvs[i * 2] = uv.getX(i);
+      uvs[i * 2 + 1] = uv.getY(i);
+    }
+  }
+
+  const indices = geometry.index
+    ? Uint32Array.from(geometry.index.array)
+    : Uint32Array.from({ length: count }, (_, i) => i);
+  return { positions, indices, uvs };
+}
+
+// { positions, indices, uvs } of a Wavefront OBJ's `v`, `vt` and `f` lines.
+// Each distinct position/uv pair becomes a vertex and polygons are split
+// into fans; normals, groups and materials are ignored.
+export function parseOBJ(text) {
+  const objPositions = [];
+  const objUVs = [];
+  const positions = [];
+  const uvs = [];
+  const indices = [];
+  const vertices = new Map(); // 'v/vt' -> vertex index
+
+  const vertexFor = (ref) => {
+    const [v, vt] = ref.split('/');
+    const vi = resolveIndex(v, objPositions.length / 3);
+    const ti = vt ? resolveIndex(vt, objUVs.length / 2) : -1;
+    const key = `${vi}/${ti}`;
+    let index = vertices.get(key);
+    if (index === undefined) {
+      index = positions.length / 3;
+      vertices.set(key, index);
+      positions.push(objPositions[vi * 3], objPositions[vi * 3 + 1], objPositions[vi * 3 + 2]);
+      if (ti >= 0) uvs.push(objUVs[ti * 2], objUVs[ti * 2 + 1]);
+      else uvs.push(0, 0);
+    }
+    return index;
+  };
+
+  for (const line of text.split('\n')) {
+    const parts = line.trim().split(/\s+/);
+    switch (parts[0]) {
+      case 'v':
+        objPositions.push(Number(parts[1]), Number(parts[2]), Number(parts[3]));
+        break;
+      case 'vt':
+        objUVs.push(Number(parts[1]), Number(parts[2] ?? 0));
+        break;
+      case 'f': {
+        const face = parts.slice(1).map(vertexFor);
+        for (let i = 1; i + 1 < face.length; i++) indices.push(face[0], face[i], face[i + 1]);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  if (indices.length === 0) throw new Error('OBJ has no faces');
+
+  return {
+    positions: Float32Array.from(positions),
+    indices: Uint32Array.from(indices),
+    uvs: objUVs.length > 0 ? Float32Array.from(uvs) : null,
+  };
+}
+
+// Merge vertices closer than `tolerance` into shared particles. Returns
+// { positions, vertexToParticle }: the particle positions (the first vertex
+// of each group) and each vertex's particle index.
+export function weldVertices(positions, tolerance = 1e-5) {
+  const vertexCount = Math.floor(positions.length / 3);
+  const vertexToParticle = new Uint32Array(vertexCount);
+  const particles = [];
+  const cells = new Map(); // quantized position -> particle indices
+  const cellSize = Math.max(tolerance, 1e-12);
+  const toleranceSq = tolerance * tolerance;
+
+  for (let v = 0; v < vertexCount; v++) {
+    const x = positions[v * 3], y = positions[v * 3 + 1], z = positions[v * 3 + 2];
+    const cx = Math.floor(x / cellSize), cy = Math.floor(y / cellSize), cz = Math.floor(z / cellSize);
+
+    // A match can sit across a cell boundary, so search the neighbours too
+    let match = -1;
+    for (let dx = -1; dx <= 1 && match === -1; dx++) {
+      for (let dy = -1; dy <= 1 && match === -1; dy++) {
+        for (let dz = -1; dz <= 1 && match === -1; dz++) {
+          for (const p of cells.get(`${cx + dx},${cy + dy},${cz + dz}`) ?? []) {
+            const ex = particles[p * 3] - x, ey = particles[p * 3 + 1] - y, ez = particles[p * 3 + 2] - z;
+            if (ex * ex + ey * ey + ez * ez <= toleranceSq) {
+              match = p;
+              break;
+            }
+          }
+        }
+      }
+    }
+
+    if (match === -1) {
+      match = particles.length / 3;
+      particles.push(x, y, z);
+      const key = `${cx},${cy},${cz}`;
+      const cell = cells.get(key);
+      if (cell) cell.push(match);
+      else cells.set(key, [match]);
+    }
+    vertexToParticle[v] = match;
+  }
+  return { positions: Float32Array.from(particles), vertexToParticle };
+}
+
+// Constraint pairs of a triangle list: `edges` holds every unique edge and
+// `bends` the opposite vertices of every two triangles sharing an edge, both
+// as flat [a, b, a, b, ...] arrays. Bends that duplicate an edge are skipped.
+// `hinges` holds every two triangles sharing an edge as flat [c1, c2, a, b]
+// quads: a -> b runs the way the first triangle (a, b, c1) winds, so the
+// dihedral angle has the same sign across a consistently wound mesh.
+export function meshConstraintPairs(triangles) {
+  const opposite = new Map(); // edge key -> opposite vertices
+  const firstEdge = new Map(); // edge key -> [a, b] as the first triangle winds
+  const edges = [];
+  const edgeKey = (a, b) => (a < b ? `${a},${b}` : `${b},${a}`);
+
+  for (let t = 0; t + 2 < triangles.length; t += 3) {
+    for (let k = 0; k < 3; k++) {
+      const a = triangles[t + k];
+      const b = triangles[t + (k + 1) % 3];
+      const c = triangles[t + (k + 2) % 3];
+      const key = edgeKey(a, b);
+      const list = opposite.get(key);
+      if (list) {
+        list.push(c);
+      } else {
+        opposite.set(key, [c]);
+        firstEdge.set(key, [a, b]);
+        edges.push(a, b);
+      }
+    }
+  }
+
+  const bends = [];
+  const hinges = [];
+  const seen = new Set();
+  for (const [edge, list] of opposite) {
+    const [a, b] = firstEdge.get(edge);
+    // Edges shared by more than two triangles bend between every pair
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        if (list[i] === list[j]) continue;
+        hinges.push(list[i], list[j], a, b);
+        const key = edgeKey(list[i], list[j]);
+        if (opposite.has(key) || seen.has(key)) continue;
+        seen.add(key);
+        bends.push(list[i], list[j]);
+      }
+    }
+  }
+  return { edges, bends, hinges };
+}
+
+// OBJ indices are 1-based, or negative to count back from the latest
+function resolveIndex(token, count) {
+  const i = parseInt(token, 10);
+  return i < 0 ? count + i : i - 1;
+}
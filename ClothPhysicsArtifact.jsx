@@ -1,5 +1,75 @@
 import React, { useRef, useEffect, useState } from 'react';
 import * as THREE from 'three';
+import { ClothSimulation, createGridIndices, createGridUVs } from './ClothSimulation';
+import { FixedTimestep } from './ClothTimestep';
+import {
+  MATERIAL_PRESETS, presetFromConfig, loadCustomPresets, saveCustomPreset, deleteCustomPreset, downloadPresets, readPresetFile,
+} from './ClothPresets';
+
+const SEGMENTS_X = 12, SEGMENTS_Y = 18;
+// How far right of the main cape the A/B compare cape hangs
+const COMPARE_OFFSET = 1.2;
+
+// Deep red with a faint gold grid and a gold hem
+function createCapeTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 256;
+  const ctx = canvas.getContext('2d');
+  const grad = ctx.createLinearGradient(0, 0, 0, 256);
+  grad.addColorStop(0, '#8b0000');
+  grad.addColorStop(0.3, '#6b0000');
+  grad.addColorStop(0.7, '#4a0000');
+  grad.addColorStop(1, '#2a0000');
+  ctx.fillStyle = grad;
+  ctx.fillRect(0, 0, 256, 256);
+  ctx.globalAlpha = 0.1;
+  ctx.strokeStyle = '#ffd700';
+  for (let i = 0; i < 256; i += 16) { ctx.beginPath(); ctx.moveTo(i, 0); ctx.lineTo(i, 256); ctx.stroke(); }
+  ctx.globalAlpha = 0.3;
+  ctx.fillStyle = '#ffd700';
+  ctx.fillRect(0, 0, 256, 8);
+  return new THREE.CanvasTexture(canvas);
+}
+
+// A cape's simulation, timestep and mesh, added to `scene`
+function createCape(scene, params, material) {
+  const simulation = ClothSimulation.createGrid({ width: 0.8, height: 1.2, segmentsX: SEGMENTS_X, segmentsY: SEGMENTS_Y, ...params });
+  const timestep = new FixedTimestep(simulation, { stepRate: 60 });
+  simulation.onInstability = ({ cause, time, recovery }) => {
+    console.warn(`Cloth blew up (${cause}) at ${time.toFixed(2)}s; reset to its ${recovery} pose`);
+  };
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(simulation.particleCount * 3), 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(createGridUVs(SEGMENTS_X, SEGMENTS_Y), 2));
+  geometry.setIndex(createGridIndices(SEGMENTS_X, SEGMENTS_Y));
+
+  const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+    map: createCapeTexture(),
+    side: THREE.DoubleSide,
+    roughness: 0.7,
+    metalness: 0.1,
+    ...material,
+  }));
+  scene.add(mesh);
+  return { simulation, timestep, mesh };
+}
+
+// Step a cape towards `attachments` and move its mesh to match
+function updateCape(cape, dt, attachments) {
+  cape.timestep.advance(dt, attachments);
+  const posAttr = cape.mesh.geometry.attributes.position;
+  cape.timestep.writeInterpolatedPositions(posAttr.array);
+  posAttr.needsUpdate = true;
+  cape.mesh.geometry.computeVertexNormals();
+}
+
+function disposeCape(scene, cape) {
+  scene.remove(cape.mesh);
+  cape.mesh.geometry.dispose();
+  cape.mesh.material.map.dispose();
+  cape.mesh.material.dispose();
+}
 
 const ClothDemo = () => {
   const containerRef = useRef(null);
@@ -7,19 +77,62 @@ const ClothDemo = () => {
   const rendererRef = useRef(null);
   const cameraRef = useRef(null);
   const clothSystemRef = useRef(null);
+  // The A/B compare cape, or null
+  const compareCapeRef = useRef(null);
   const animationFrameRef = useRef(null);
   const clockRef = useRef(new THREE.Clock());
   const attachmentPointsRef = useRef([]);
   
   const [config, setConfig] = useState({
-    gravity: 15,
-    windStrength: 3,
-    stiffness: 0.9,
-    damping: 0.98,
-    iterations: 8,
+    ...MATERIAL_PRESETS.default.params,
     showParticles: false,
     showConstraints: false,
   });
+  const [material, setMaterial] = useState(MATERIAL_PRESETS.default.material);
+  const [customPresets, setCustomPresets] = useState(() => loadCustomPresets());
+  // Key of the preset hanging beside the cape for A/B comparison, or null
+  const [comparePreset, setComparePreset] = useState(null);
+  // Presets keyed 'builtin:<id>' or 'custom:<id>'
+  const presetOptions = [
+    ...Object.entries(MATERIAL_PRESETS).map(([id, preset]) => [`builtin:${id}`, preset]),
+    ...Object.entries(customPresets).map(([id, preset]) => [`custom:${id}`, preset]),
+  ];
+  const comparedPreset = presetOptions.find(([key]) => key === comparePreset)?.[1] ?? null;
+
+  const applyPreset = (preset) => {
+    setConfig(c => ({ ...c, ...preset.params }));
+    setMaterial(preset.material);
+  };
+
+  const savePreset = () => {
+    const name = window.prompt('Preset name');
+    if (!name) return;
+    try {
+      saveCustomPreset(presetFromConfig(name, config, material));
+    } catch (error) {
+      console.warn('Could not save preset', error);
+    }
+    setCustomPresets(loadCustomPresets());
+  };
+
+  const deletePreset = (id) => {
+    try {
+      deleteCustomPreset(id);
+    } catch (error) {
+      console.warn('Could not delete preset', error);
+    }
+    setCustomPresets(loadCustomPresets());
+    if (comparePreset === `custom:${id}`) setComparePreset(null);
+  };
+
+  const importPresetFile = async (file) => {
+    try {
+      for (const preset of Object.values(await readPresetFile(file))) saveCustomPreset(preset);
+    } catch (error) {
+      console.warn('Could not import presets', error);
+    }
+    setCustomPresets(loadCustomPresets());
+  };
 
   useEffect(() => {
     if (!containerRef.current) return;
@@ -59,121 +172,25 @@ const ClothDemo = () => {
     attachmentPointsRef.current = [leftShoulder, rightShoulder];
 
     // CLOTH SYSTEM
-    const WIDTH = 0.8, HEIGHT = 1.2, SEGMENTS_X = 12, SEGMENTS_Y = 18;
-    const particles = [];
-    const constraints = [];
-    
-    class Particle {
-      constructor(x, y, z, pinned = false) {
-        this.position = new THREE.Vector3(x, y, z);
-        this.previous = new THREE.Vector3(x, y, z);
-        this.acceleration = new THREE.Vector3();
-        this.pinned = pinned;
-      }
-      applyForce(force) {
-        if (!this.pinned) this.acceleration.add(force);
-      }
-      update(damping) {
-        if (this.pinned) return;
-        const velocity = this.position.clone().sub(this.previous).multiplyScalar(damping);
-        this.previous.copy(this.position);
-        this.position.add(velocity).add(this.acceleration);
-        this.acceleration.set(0, 0, 0);
-      }
-    }
-    
-    const spacingX = WIDTH / SEGMENTS_X, spacingY = HEIGHT / SEGMENTS_Y;
-    
-    for (let y = 0; y <= SEGMENTS_Y; y++) {
-      for (let x = 0; x <= SEGMENTS_X; x++) {
-        const isLeftPin = y === 0 && x <= 2;
-        const isRightPin = y === 0 && x >= SEGMENTS_X - 2;
-        particles.push(new Particle((x - SEGMENTS_X / 2) * spacingX, -y * spacingY, 0, isLeftPin || isRightPin));
-      }
-    }
-    
-    const getParticle = (x, y) => (x < 0 || x > SEGMENTS_X || y < 0 || y > SEGMENTS_Y) ? null : particles[y * (SEGMENTS_X + 1) + x];
-    
-    for (let y = 0; y <= SEGMENTS_Y; y++) {
-      for (let x = 0; x <= SEGMENTS_X; x++) {
-        const p = getParticle(x, y);
-        const right = getParticle(x + 1, y), down = getParticle(x, y + 1);
-        const diagDR = getParticle(x + 1, y + 1), diagDL = getParticle(x - 1, y + 1);
-        const right2 = getParticle(x + 2, y), down2 = getParticle(x, y + 2);
-        
-        if (right) constraints.push({ p1: p, p2: right, restLength: spacingX, stiffness: 1.0 });
-        if (down) constraints.push({ p1: p, p2: down, restLength: spacingY, stiffness: 1.0 });
-        if (diagDR) constraints.push({ p1: p, p2: diagDR, restLength: Math.sqrt(spacingX * spacingX + spacingY * spacingY), stiffness: 0.8 });
-        if (diagDL) constraints.push({ p1: p, p2: diagDL, restLength: Math.sqrt(spacingX * spacingX + spacingY * spacingY), stiffness: 0.8 });
-        if (right2) constraints.push({ p1: p, p2: right2, restLength: spacingX * 2, stiffness: 0.5 });
-        if (down2) constraints.push({ p1: p, p2: down2, restLength: spacingY * 2, stiffness: 0.5 });
-      }
-    }
-    
-    const geometry = new THREE.BufferGeometry();
-    const vertices = new Float32Array(particles.length * 3);
-    const uvs = new Float32Array(particles.length * 2);
-    
-    for (let y = 0; y <= SEGMENTS_Y; y++) {
-      for (let x = 0; x <= SEGMENTS_X; x++) {
-        const idx = y * (SEGMENTS_X + 1) + x;
-        uvs[idx * 2] = x / SEGMENTS_X;
-        uvs[idx * 2 + 1] = 1 - y / SEGMENTS_Y;
-      }
-    }
-    
-    const indices = [];
-    for (let y = 0; y < SEGMENTS_Y; y++) {
-      for (let x = 0; x < SEGMENTS_X; x++) {
-        const a = y * (SEGMENTS_X + 1) + x, b = a + 1, c = a + (SEGMENTS_X + 1), d = c + 1;
-        indices.push(a, c, b, b, c, d);
-      }
-    }
-    
-    geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
-    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
-    geometry.setIndex(indices);
-    
-    const canvas = document.createElement('canvas');
-    canvas.width = canvas.height = 256;
-    const ctx = canvas.getContext('2d');
-    const grad = ctx.createLinearGradient(0, 0, 0, 256);
-    grad.addColorStop(0, '#8b0000');
-    grad.addColorStop(0.3, '#6b0000');
-    grad.addColorStop(0.7, '#4a0000');
-    grad.addColorStop(1, '#2a0000');
-    ctx.fillStyle = grad;
-    ctx.fillRect(0, 0, 256, 256);
-    ctx.globalAlpha = 0.1;
-    ctx.strokeStyle = '#ffd700';
-    for (let i = 0; i < 256; i += 16) { ctx.beginPath(); ctx.moveTo(i, 0); ctx.lineTo(i, 256); ctx.stroke(); }
-    ctx.globalAlpha = 0.3;
-    ctx.fillStyle = '#ffd700';
-    ctx.fillRect(0, 0, 256, 8);
-    
-    const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
-      map: new THREE.CanvasTexture(canvas),
-      side: THREE.DoubleSide,
-      roughness: 0.7,
-      metalness: 0.1,
-    }));
-    scene.add(mesh);
+    const cape = createCape(scene, config, material);
+    const { simulation } = cape;
+    const { particleCount, constraintCount } = simulation;
     
     // Debug visuals
     const pointsGeo = new THREE.BufferGeometry();
-    pointsGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(particles.length * 3), 3));
+    pointsGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(particleCount * 3), 3));
     const particlePoints = new THREE.Points(pointsGeo, new THREE.PointsMaterial({ color: 0x00ffff, size: 0.03 }));
     particlePoints.visible = false;
     scene.add(particlePoints);
     
     const lineGeo = new THREE.BufferGeometry();
-    lineGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(constraints.length * 6), 3));
+    lineGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(constraintCount * 6), 3));
     const constraintLines = new THREE.LineSegments(lineGeo, new THREE.LineBasicMaterial({ color: 0xffff00, opacity: 0.3, transparent: true }));
     constraintLines.visible = false;
     scene.add(constraintLines);
     
     clothSystemRef.current = {
-      particles, constraints, mesh, particlePoints, constraintLines,
+      ...cape, particlePoints, constraintLines,
       setDebugMode: (showP, showC) => { particlePoints.visible = showP; constraintLines.visible = showC; }
     };
 
@@ -218,7 +235,7 @@ const ClothDemo = () => {
     // Animation
     const animate = () => {
       animationFrameRef.current = requestAnimationFrame(animate);
-      const dt = Math.min(clockRef.current.getDelta(), 0.02);
+      const dt = clockRef.current.getDelta();
       const time = clockRef.current.getElapsedTime();
 
       if (!isDragging) {
@@ -232,59 +249,24 @@ const ClothDemo = () => {
       // Physics update
       const cs = clothSystemRef.current;
       if (cs) {
-        const subSteps = 3;
-        for (let step = 0; step < subSteps; step++) {
-          const subDt = dt / subSteps;
-          const gravity = new THREE.Vector3(0, -config.gravity * subDt * subDt, 0);
-          const windX = Math.sin(time * 2.3) * 0.5 + Math.sin(time * 5.1) * 0.2;
-          const windZ = Math.cos(time * 1.7) * 0.8 + 1.0;
-          const wind = new THREE.Vector3(windX * config.windStrength * subDt * subDt, Math.sin(time * 3) * config.windStrength * 0.1 * subDt * subDt, windZ * config.windStrength * subDt * subDt);
-
-          cs.particles.forEach((p, i) => {
-            if (p.pinned) {
-              const col = i % (SEGMENTS_X + 1);
-              if (col <= 2) p.position.lerpVectors(leftShoulder.position, rightShoulder.position, col / SEGMENTS_X);
-              else if (col >= SEGMENTS_X - 2) p.position.lerpVectors(leftShoulder.position, rightShoulder.position, col / SEGMENTS_X);
-              p.position.z = 0;
-              return;
-            }
-            p.applyForce(gravity);
-            p.applyForce(p.position.z < 0 ? wind.clone().multiplyScalar(0.3) : wind);
-            p.update(config.damping);
-          });
-
-          for (let iter = 0; iter < config.iterations; iter++) {
-            cs.constraints.forEach(c => {
-              const diff = c.p2.position.clone().sub(c.p1.position);
-              const dist = diff.length();
-              if (dist === 0) return;
-              const correction = diff.multiplyScalar((dist - c.restLength) / dist * config.stiffness * c.stiffness * 0.5);
-              if (!c.p1.pinned && !c.p2.pinned) { c.p1.position.add(correction); c.p2.position.sub(correction); }
-              else if (!c.p1.pinned) c.p1.position.add(correction.multiplyScalar(2));
-              else if (!c.p2.pinned) c.p2.position.sub(correction.multiplyScalar(2));
-            });
-          }
-        }
-
-        const posAttr = cs.mesh.geometry.attributes.position;
-        cs.particles.forEach((p, i) => posAttr.setXYZ(i, p.position.x, p.position.y, p.position.z));
-        posAttr.needsUpdate = true;
-        cs.mesh.geometry.computeVertexNormals();
+        updateCape(cs, dt, [leftShoulder.position, rightShoulder.position]);
 
         if (cs.particlePoints.visible) {
           const ppAttr = cs.particlePoints.geometry.attributes.position;
-          cs.particles.forEach((p, i) => ppAttr.setXYZ(i, p.position.x, p.position.y, p.position.z));
+          cs.timestep.writeInterpolatedPositions(ppAttr.array);
           ppAttr.needsUpdate = true;
         }
         if (cs.constraintLines.visible) {
           const clAttr = cs.constraintLines.geometry.attributes.position;
-          cs.constraints.forEach((c, i) => {
-            clAttr.setXYZ(i * 2, c.p1.position.x, c.p1.position.y, c.p1.position.z);
-            clAttr.setXYZ(i * 2 + 1, c.p2.position.x, c.p2.position.y, c.p2.position.z);
-          });
+          cs.simulation.writeConstraintSegments(clAttr.array);
           clAttr.needsUpdate = true;
         }
       }
+      if (compareCapeRef.current) {
+        updateCape(compareCapeRef.current, dt, [leftShoulder.position, rightShoulder.position].map(
+          p => ({ x: p.x + COMPARE_OFFSET, y: p.y, z: p.z })
+        ));
+      }
 
       renderer.render(scene, camera);
     };
@@ -305,10 +287,39 @@ const ClothDemo = () => {
     };
   }, []);
 
+  // A/B compare: a second cape with the compared preset's physics and
+  // material, on the same shoulders moved COMPARE_OFFSET to the right.
+  // Rebuilt when another preset is picked, not when saved presets reload.
+  useEffect(() => {
+    const scene = sceneRef.current;
+    const camera = cameraRef.current;
+    if (!scene || !comparedPreset) return;
+
+    const cape = createCape(scene, comparedPreset.params, comparedPreset.material);
+    compareCapeRef.current = cape;
+    camera.position.x = COMPARE_OFFSET / 2;
+    camera.lookAt(COMPARE_OFFSET / 2, -0.5, 0);
+
+    return () => {
+      disposeCape(scene, cape);
+      compareCapeRef.current = null;
+      camera.position.x = 0;
+      camera.lookAt(0, -0.5, 0);
+    };
+  }, [comparePreset]);
+
+  useEffect(() => {
+    clothSystemRef.current?.simulation.setParams(config);
+  }, [config]);
+
   useEffect(() => {
     clothSystemRef.current?.setDebugMode(config.showParticles, config.showConstraints);
   }, [config.showParticles, config.showConstraints]);
 
+  useEffect(() => {
+    clothSystemRef.current?.mesh.material.setValues(material);
+  }, [material]);
+
   return (
     <div className="relative w-full h-screen overflow-hidden bg-slate-950">
       <div ref={containerRef} className="absolute inset-0" />
@@ -321,6 +332,43 @@ const ClothDemo = () => {
       <div className="absolute left-4 top-1/2 -translate-y-1/2 w-52 bg-slate-900/90 backdrop-blur border border-purple-500/20 rounded-lg p-3 space-y-3">
         <h2 className="text-xs text-purple-300/70 tracking-wider uppercase pb-2 border-b border-purple-500/20">Physics</h2>
         
+        <div className="flex flex-wrap gap-1">
+          {presetOptions.map(([key, preset]) => (
+            <div key={key} className="flex">
+              <button onClick={() => applyPreset(preset)} className="px-2 py-0.5 rounded bg-slate-700 text-xs text-purple-200">
+                {preset.name}
+              </button>
+              {key.startsWith('custom:') && (
+                <button onClick={() => deletePreset(key.slice('custom:'.length))} title="Delete preset" className="px-1 text-xs text-purple-400/60">
+                  ×
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-1">
+          <button onClick={savePreset} className="flex-1 py-0.5 rounded bg-slate-700 text-xs text-purple-200">Save</button>
+          <button onClick={() => downloadPresets(customPresets)} className="flex-1 py-0.5 rounded bg-slate-700 text-xs text-purple-200">Export</button>
+          <label className="flex-1 py-0.5 rounded bg-slate-700 text-xs text-purple-200 text-center cursor-pointer">
+            Import
+            <input
+              type="file" accept=".json" className="hidden"
+              onChange={(e) => { const file = e.target.files[0]; e.target.value = ''; if (file) importPresetFile(file); }}
+            />
+          </label>
+        </div>
+        <label className="flex items-center justify-between gap-2">
+          <span className="text-xs text-purple-400/60 uppercase tracking-wider">Compare</span>
+          <select
+            value={comparedPreset ? comparePreset : ''}
+            onChange={(e) => setComparePreset(e.target.value || null)}
+            className="min-w-0 rounded bg-slate-700 text-xs text-purple-200"
+          >
+            <option value="">Off</option>
+            {presetOptions.map(([key, preset]) => <option key={key} value={key}>{preset.name}</option>)}
+          </select>
+        </label>
+        
         {[
           { label: 'Gravity', key: 'gravity', min: 0, max: 40, step: 1 },
           { label: 'Wind', key: 'windStrength', min: 0, max: 15, step: 0.5 },
@@ -1,12 +1,1072 @@
 import React, { useRef, useEffect, useState } from 'react';
 import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { CONSTRAINT_TYPES, createGridUVs } from './ClothSimulation';
+import { ClothBackend } from './ClothBackend';
+import { createDefaultWindFields } from './ClothWind';
+import { SkeletonAnchors } from './ClothSkeleton';
+import { readState } from './ClothState';
+import { meshFromGeometry, parseOBJ } from './ClothMesh';
+import { WEIGHT_MAPS, sampleWeightImage } from './ClothWeights';
+import { VertexCacheRecorder, encodeVertexCache, exportGLB, exportOBJ } from './ClothExport';
+import {
+  MATERIAL_PRESETS, presetFromConfig, presetId, loadCustomPresets, saveCustomPresets, downloadPresets, readPresetFile,
+} from './ClothPresets';
 
 // ============================================================================
 // CLOTH PHYSICS DEMONSTRATION - Video Game Cape
 // Verlet integration with proper constraint solving
 // ============================================================================
 
-const ClothDemo = () => {
+// Default physics parameters and debug toggles (see `config` prop)
+export const DEFAULT_CONFIG = {
+  gravity: 15,
+  windStrength: 3,
+  stiffness: 0.9,
+  structuralStiffness: 1.0,  // per constraint type, times `stiffness`
+  shearStiffness: 0.8,
+  bendingStiffness: 0.5,
+  mass: 1,                   // heavier cloth gives less to the wind
+  damping: 0.98,
+  dragCoefficient: 0.35,     // wind response
+  liftCoefficient: 0.2,
+  iterations: 8,
+  solver: 'verlet',          // or 'xpbd': compliance that holds at any iterations/substeps
+  stretchCompliance: 1e-6,   // XPBD stretch per unit force per type; 0 = rigid
+  shearCompliance: 1e-5,
+  bendCompliance: 1e-4,
+  tethers: false,            // hold each particle within its rest distance of its nearest pin
+  showParticles: false,      // pinned particles show pink, soft pins orange
+  showConstraints: false,
+  constraintColors: 'stretch', // constraint lines by stretch ratio, or 'flat'
+  constraintTypes: CONSTRAINT_TYPES, // the types whose lines are drawn
+  showVelocities: false,     // particle velocity arrows
+  showStrain: false,         // the cloth as a per-vertex strain heatmap
+  showColliders: false,
+  selfCollision: false,
+  selfCollisionThickness: 0.02,
+  tearThreshold: 0,   // stretch ratio that tears the cloth; 0 = never
+  maxSpeed: 25,       // stability guard: fastest a particle moves, units/s; 0 = no limit
+  instabilityStretch: 5, // runaway stretch ratio that resets the cloth; 0 = never
+  cutTool: false,     // dragging on the cloth slices it
+  stepRate: 60,       // fixed simulation steps per second
+  showWeightMap: null, // colour the cloth by a WEIGHT_MAPS name instead of its texture
+  showStats: false,    // performance HUD: frame rate, solver cost and constraint error
+};
+
+// Default cape dimensions - proportional for a character
+export const DEFAULT_CLOTH = {
+  width: 0.8,       // shoulder span
+  height: 1.2,      // cape length
+  segmentsX: 12,
+  segmentsY: 18,
+  pinLayout: 'shoulders',
+};
+
+// Procedural red-and-gold cape texture
+export function createCapeTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 256;
+  canvas.height = 256;
+  const ctx = canvas.getContext('2d');
+
+  // Rich fabric gradient
+  const grad = ctx.createLinearGradient(0, 0, 0, 256);
+  grad.addColorStop(0, '#8b0000');
+  grad.addColorStop(0.3, '#6b0000');
+  grad.addColorStop(0.7, '#4a0000');
+  grad.addColorStop(1, '#2a0000');
+  ctx.fillStyle = grad;
+  ctx.fillRect(0, 0, 256, 256);
+
+  // Subtle pattern
+  ctx.globalAlpha = 0.1;
+  ctx.strokeStyle = '#ffd700';
+  ctx.lineWidth = 1;
+  for (let i = 0; i < 256; i += 16) {
+    ctx.beginPath();
+    ctx.moveTo(i, 0);
+    ctx.lineTo(i, 256);
+    ctx.stroke();
+  }
+
+  // Edge trim
+  ctx.globalAlpha = 0.3;
+  ctx.fillStyle = '#ffd700';
+  ctx.fillRect(0, 0, 256, 8);
+  ctx.fillRect(0, 0, 4, 256);
+  ctx.fillRect(252, 0, 4, 256);
+
+  return new THREE.CanvasTexture(canvas);
+}
+
+// `texture` may be a THREE.Texture, an image URL, or null for the
+// procedural cape texture. Returns whether the caller owns (must dispose) it.
+function resolveTexture(texture) {
+  if (texture instanceof THREE.Texture) return { map: texture, owned: false };
+  if (typeof texture === 'string') return { map: new THREE.TextureLoader().load(texture), owned: true };
+  return { map: createCapeTexture(), owned: true };
+}
+
+// A weight map as values for ClothSimulation.setWeightMap: an array passes
+// through, and { image, range } samples a loaded image, canvas or ImageData
+// over the cloth's `uvs` (see ClothWeights.sampleWeightImage)
+function resolveWeightMap(map, uvs) {
+  if (!map.image) return map;
+  let pixels = map.image;
+  if (!pixels.data) {
+    const canvas = document.createElement('canvas');
+    canvas.width = pixels.naturalWidth || pixels.width;
+    canvas.height = pixels.naturalHeight || pixels.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(pixels, 0, 0);
+    pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  }
+  return sampleWeightImage(pixels, uvs, { range: map.range });
+}
+
+// Wireframe debug shape for a ClothColliders collider
+function createColliderVisual(collider, material) {
+  const sphereGeo = () => new THREE.SphereGeometry(1, 16, 12);
+
+  switch (collider.type) {
+    case 'sphere':
+      return new THREE.Mesh(sphereGeo(), material);
+    case 'capsule': {
+      const group = new THREE.Group();
+      group.add(new THREE.Mesh(new THREE.CylinderGeometry(1, 1, 1, 16, 1, true), material));
+      group.add(new THREE.Mesh(sphereGeo(), material));
+      group.add(new THREE.Mesh(sphereGeo(), material));
+      return group;
+    }
+    case 'plane':
+      return new THREE.Mesh(new THREE.PlaneGeometry(4, 4, 8, 8), material);
+    case 'box':
+      return new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2), material);
+    default:
+      return new THREE.Group();
+  }
+}
+
+const UP = new THREE.Vector3(0, 1, 0);
+const FORWARD = new THREE.Vector3(0, 0, 1);
+const _dir = new THREE.Vector3();
+const _basis = new THREE.Matrix4();
+
+// Match a collider visual to the collider's current world-space shape
+function syncColliderVisual(visual, collider) {
+  visual.visible = collider.enabled;
+
+  switch (collider.type) {
+    case 'sphere':
+      visual.position.copy(collider.worldCenter);
+      visual.scale.setScalar(collider.radius);
+      break;
+    case 'capsule': {
+      const [body, capA, capB] = visual.children;
+      const r = collider.radius;
+      _dir.copy(collider.worldEnd).sub(collider.worldStart);
+      const length = _dir.length();
+
+      visual.position.copy(collider.worldStart).addScaledVector(_dir, 0.5);
+      if (length > 0) visual.quaternion.setFromUnitVectors(UP, _dir.normalize());
+      body.scale.set(r, length, r);
+      capA.position.set(0, -length / 2, 0);
+      capB.position.set(0, length / 2, 0);
+      capA.scale.setScalar(r);
+      capB.scale.setScalar(r);
+      break;
+    }
+    case 'plane':
+      visual.position.copy(collider.worldPoint);
+      visual.quaternion.setFromUnitVectors(FORWARD, _dir.copy(collider.worldNormal));
+      break;
+    case 'box': {
+      const [ax, ay, az] = collider.worldAxes;
+      _basis.makeBasis(_dir.copy(ax), new THREE.Vector3().copy(ay), new THREE.Vector3().copy(az));
+      visual.quaternion.setFromRotationMatrix(_basis);
+      visual.position.copy(collider.worldCenter);
+      visual.scale.copy(collider.halfExtents);
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+// Figure-8 shoulder sway used when the user isn't dragging. A function of
+// simulation time so the fixed-step driver can sample it at every step.
+// Anchors are [left shoulder, right shoulder, collar] (see GRID_PIN_LAYOUTS).
+function swayShoulders(time) {
+  const speed = 0.8;
+  const ampX = 0.15;
+  const ampY = 0.08;
+  const left = { x: -0.4 + Math.sin(time * speed) * ampX, y: 0.8 + Math.sin(time * speed * 2) * ampY, z: 0 };
+  const right = { x: 0.4 + Math.sin(time * speed) * ampX, y: 0.8 + Math.sin(time * speed * 2) * ampY, z: 0 };
+  return [left, right, collarBetween(left, right, {})];
+}
+
+// ClothDemo's `settle` prop as ClothSimulation.settle options
+function settleOptions(settle) {
+  if (typeof settle === 'number') return { steps: settle };
+  return settle === true ? {} : settle;
+}
+
+// The collar anchor sits midway between the shoulders
+function collarBetween(left, right, out) {
+  out.x = (left.x + right.x) / 2;
+  out.y = (left.y + right.y) / 2;
+  out.z = (left.z + right.z) / 2;
+  return out;
+}
+
+// Attachment points moved `dx` along x, for the A/B compare cloth
+function offsetAttachments(points, dx) {
+  return points.map(p => ({ x: p.x + dx, y: p.y, z: p.z }));
+}
+
+// Array weight maps belong to the `mesh` prop's cloth (or the grid);
+// image maps fit any cloth through its UVs
+function fitWeightMaps(weightMaps, clothMesh, meshProp) {
+  if (!weightMaps || clothMesh === (meshProp ?? null)) return weightMaps;
+  const fitted = Object.fromEntries(Object.entries(weightMaps).filter(([, map]) => map?.image));
+  if (Object.keys(fitted).length < Object.keys(weightMaps).length) {
+    console.warn('ClothDemo: array weightMaps do not fit this cloth; ignoring them');
+  }
+  return fitted;
+}
+
+// ============================================================================
+// THREE.js binding for ClothSimulation: cloth mesh, texture and debug visuals
+// ============================================================================
+
+// Weight of the newest frame in getStats()' running averages
+const FRAME_STATS_SMOOTHING = 0.05;
+
+// Debug views: the strain (length / rest length - 1) shown fully blue or red,
+// and the seconds of travel a velocity arrow spans
+const STRAIN_COLOR_RANGE = 0.1;
+const VELOCITY_ARROW_SECONDS = 0.1;
+const FLAT_CONSTRAINT_COLOR = new THREE.Color(0xffff00);
+// Particle colours by pin state; hard pins match the shoulder markers
+const PARTICLE_COLORS = {
+  free: new THREE.Color(0x00ffff),
+  pinned: new THREE.Color(0xff4488),
+  soft: new THREE.Color(0xffaa44),
+  grabbed: new THREE.Color(0xffffff),
+};
+
+// Blue when compressed, green at rest, red when stretched
+function setStrainColor(color, strain) {
+  const t = Math.max(-1, Math.min(1, strain / STRAIN_COLOR_RANGE));
+  return color.setHSL((1 - t) * 0.33, 0.9, 0.5);
+}
+
+// `worker: true` runs the solver in a Web Worker (see ClothBackend), falling
+// back to the main thread where workers aren't available. `mesh` (a
+// THREE.BufferGeometry or { positions, indices, uvs }) replaces the grid.
+// `weightMaps` is { name: map } for ClothSimulation.setWeightMap, each map an
+// array or { image, range } sampled over the UVs (see resolveWeightMap).
+// `bending` and `bendRestAngle` are as in ClothSimulation.createGrid.
+export function createClothSystem(scene, options = {}) {
+  const {
+    width, height, segmentsX, segmentsY, pinLayout, pins, transform = null, restPose = null,
+    mesh: meshSource = null,
+    weightMaps = {},
+    bending = 'distance',
+    bendRestAngle = null,
+    texture = null,
+    materialProps = {},
+    worker = false,
+    windFields = null,
+    ...config
+  } = { ...DEFAULT_CLOTH, ...DEFAULT_CONFIG, ...options };
+
+  const sourceMesh = meshSource?.isBufferGeometry ? meshFromGeometry(meshSource) : meshSource;
+  const uvs = sourceMesh
+    ? sourceMesh.uvs ?? new Float32Array(sourceMesh.positions.length / 3 * 2)
+    : createGridUVs(segmentsX, segmentsY);
+  const weightValues = {};
+  for (const name of Object.keys(weightMaps)) weightValues[name] = resolveWeightMap(weightMaps[name], uvs);
+
+  const backend = new ClothBackend({
+    cloth: sourceMesh
+      ? { mesh: { positions: sourceMesh.positions, indices: sourceMesh.indices }, pinLayout, pins, transform, restPose, weightMaps: weightValues, bending, bendRestAngle }
+      : { width, height, segmentsX, segmentsY, pinLayout, pins, transform, restPose, weightMaps: weightValues, bending, bendRestAngle },
+    params: config, // debug toggles are ignored by the solver
+    windFields,
+    stepRate: config.stepRate,
+    worker,
+  });
+  const { particleCount, constraintCount } = backend;
+
+  // A mesh cloth renders its source vertices, so UV seams survive welding:
+  // each vertex copies the particle it was welded into
+  const vertexToParticle = backend.simulation.mesh?.vertexToParticle ?? null;
+  const vertexCount = vertexToParticle ? vertexToParticle.length : particleCount;
+  const vertices = new Float32Array(vertexCount * 3);
+  const particlePositions = vertexToParticle ? new Float32Array(particleCount * 3) : vertices;
+  const writeVertexPositions = () => {
+    backend.writePositions(particlePositions);
+    if (!vertexToParticle) return;
+    for (let v = 0; v < vertexCount; v++) {
+      const p = vertexToParticle[v] * 3;
+      vertices[v * 3] = particlePositions[p];
+      vertices[v * 3 + 1] = particlePositions[p + 1];
+      vertices[v * 3 + 2] = particlePositions[p + 2];
+    }
+  };
+  writeVertexPositions();
+
+  // Source vertices of each simulated triangle, keyed by its particles, so
+  // the live triangles can be mapped back after tearing reorders them
+  let sourceTriangles = null;
+  if (vertexToParticle) {
+    sourceTriangles = new Map();
+    const idx = sourceMesh.indices;
+    for (let t = 0; t + 2 < idx.length; t += 3) {
+      const key = `${vertexToParticle[idx[t]]},${vertexToParticle[idx[t + 1]]},${vertexToParticle[idx[t + 2]]}`;
+      if (!sourceTriangles.has(key)) sourceTriangles.set(key, [idx[t], idx[t + 1], idx[t + 2]]);
+    }
+  }
+
+  // Create cloth mesh
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+  // Weight map colours, shown by showWeightMap()
+  geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+  // Sized for the intact cloth; tearing only ever removes triangles
+  const indexAttr = new THREE.BufferAttribute(new Uint32Array(backend.triangleCount * 3), 1);
+  geometry.setIndex(indexAttr);
+
+  let ownedTexture = null;
+
+  const material = new THREE.MeshStandardMaterial({
+    side: THREE.DoubleSide,
+    roughness: 0.7,
+    metalness: 0.1,
+  });
+
+  const mesh = new THREE.Mesh(geometry, material);
+  scene.add(mesh);
+
+  // Texture and material parameters can change without rebuilding the cloth
+  let textureSource;
+  const setTexture = (nextTexture = null) => {
+    if (nextTexture === textureSource && material.map) return;
+    textureSource = nextTexture;
+    ownedTexture?.dispose();
+    const { map, owned } = resolveTexture(nextTexture);
+    ownedTexture = owned ? map : null;
+    material.map = map;
+    material.needsUpdate = true;
+  };
+
+  const setMaterialProps = (props = {}) => {
+    material.setValues({ color: 0xffffff, roughness: 0.7, metalness: 0.1, ...props });
+  };
+
+  setTexture(texture);
+  setMaterialProps(materialProps);
+
+  // Debug view settings; see setDebugMode
+  const debugView = {
+    stretchColors: true,
+    shownTypes: CONSTRAINT_TYPES.map(() => true),
+    showStrain: false,
+    velocitiesPrimed: false,  // a previous frame to measure velocities from
+  };
+
+  // Weight map view: the cloth coloured blue (low) to red (high) by one of
+  // WEIGHT_MAPS, or its own material for null. The strain heatmap uses the
+  // same material and takes precedence.
+  const weightMaterial = new THREE.MeshLambertMaterial({ side: THREE.DoubleSide, vertexColors: true });
+  let weightView = null;
+  const weightColor = new THREE.Color();
+  const refreshSurface = () => {
+    mesh.material = weightView || debugView.showStrain ? weightMaterial : material;
+  };
+  const refreshWeightView = () => {
+    if (!weightView || debugView.showStrain) return;
+    const values = backend.simulation.getWeightMap(weightView);
+    const scale = 1 / values.reduce((max, value) => Math.max(max, value), 1);
+    const colorAttr = geometry.attributes.color;
+    for (let v = 0; v < vertexCount; v++) {
+      const value = values[vertexToParticle ? vertexToParticle[v] : v] * scale;
+      weightColor.setHSL((1 - value) * 0.66, 0.9, 0.5);
+      colorAttr.setXYZ(v, weightColor.r, weightColor.g, weightColor.b);
+    }
+    colorAttr.needsUpdate = true;
+  };
+  const showWeightMap = (name = null) => {
+    weightView = name in WEIGHT_MAPS ? name : null;
+    refreshSurface();
+    refreshWeightView();
+  };
+
+  // Repaint a weight map on the running cloth; `map` as in the `weightMaps`
+  // option, or null to clear it
+  const setWeightMap = (name, map) => {
+    backend.setWeightMap(name, map && resolveWeightMap(map, uvs));
+    refreshWeightView();
+  };
+
+  // Debug visualization
+  let particlePoints = null;
+  let constraintLines = null;
+  let velocityLines = null;
+  let colliderVisuals = null;
+
+  const createDebugVisuals = () => {
+    // Particle points, coloured by pin state
+    const pointsGeo = new THREE.BufferGeometry();
+    const pointsPos = new Float32Array(particleCount * 3);
+    pointsGeo.setAttribute('position', new THREE.BufferAttribute(pointsPos, 3));
+    pointsGeo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(particleCount * 3), 3));
+
+    particlePoints = new THREE.Points(
+      pointsGeo,
+      new THREE.PointsMaterial({ size: 0.03, vertexColors: true })
+    );
+    particlePoints.visible = false;
+    scene.add(particlePoints);
+
+    // Constraint lines, coloured by stretch or flat
+    const lineGeo = new THREE.BufferGeometry();
+    const linePos = new Float32Array(constraintCount * 6);
+    lineGeo.setAttribute('position', new THREE.BufferAttribute(linePos, 3));
+    lineGeo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(constraintCount * 6), 3));
+
+    constraintLines = new THREE.LineSegments(
+      lineGeo,
+      new THREE.LineBasicMaterial({ vertexColors: true, opacity: 0.8, transparent: true })
+    );
+    constraintLines.visible = false;
+    scene.add(constraintLines);
+
+    // Velocity arrows: each particle to where it will be in VELOCITY_ARROW_SECONDS
+    const velocityGeo = new THREE.BufferGeometry();
+    velocityGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(particleCount * 6), 3));
+
+    velocityLines = new THREE.LineSegments(
+      velocityGeo,
+      new THREE.LineBasicMaterial({ color: 0x66ccff, opacity: 0.8, transparent: true })
+    );
+    velocityLines.visible = false;
+    scene.add(velocityLines);
+
+    // Collider wireframes
+    colliderVisuals = new THREE.Group();
+    colliderVisuals.visible = false;
+    scene.add(colliderVisuals);
+  };
+  createDebugVisuals();
+
+  const colliderMaterial = new THREE.MeshBasicMaterial({
+    color: 0x44ff88,
+    wireframe: true,
+    opacity: 0.4,
+    transparent: true,
+  });
+  const colliderVisualMap = new Map();
+
+  // Copy the live triangles and constraint count into the render buffers.
+  // Removed triangles become degenerate (0, 0, 0) so they draw nothing and
+  // add nothing to the vertex normals.
+  let topologyVersion = -1;
+  const syncTopology = () => {
+    topologyVersion = backend.topologyVersion;
+    const count = backend.triangleCount * 3;
+    const triangles = backend.triangles;
+    if (sourceTriangles) {
+      for (let i = 0; i < count; i += 3) {
+        indexAttr.array.set(sourceTriangles.get(`${triangles[i]},${triangles[i + 1]},${triangles[i + 2]}`), i);
+      }
+    } else {
+      indexAttr.array.set(triangles.subarray(0, count));
+    }
+    indexAttr.array.fill(0, count);
+    indexAttr.needsUpdate = true;
+  };
+  syncTopology();
+
+  // Colliders from ClothColliders.js; attach them to moving objects via
+  // their `object` option
+  const addCollider = (collider) => {
+    if (colliderVisualMap.has(collider)) return collider;
+    backend.addCollider(collider);
+    collider.updateTransform();
+
+    const visual = createColliderVisual(collider, colliderMaterial);
+    syncColliderVisual(visual, collider);
+    colliderVisuals.add(visual);
+    colliderVisualMap.set(collider, visual);
+    return collider;
+  };
+
+  const removeCollider = (collider) => {
+    const visual = colliderVisualMap.get(collider);
+    if (!visual) return;
+    backend.removeCollider(collider);
+    colliderVisuals.remove(visual);
+    visual.traverse(obj => obj.geometry?.dispose());
+    colliderVisualMap.delete(collider);
+  };
+
+  // Running averages of frame time and fixed steps per frame, for getStats()
+  const frameStats = { frames: 0, frameMs: 0, steps: 0 };
+
+  // Update function: `dt` is real frame time, drained in fixed steps.
+  // `attachments` is an array of points or a (simTime) => points function.
+  // `cfg` is optional; ClothDemo pushes param changes through setParams()
+  const update = (dt, attachments, cfg = null) => {
+    if (cfg) backend.setParams(cfg);
+    const steps = backend.advance(dt, attachments);
+    const weight = frameStats.frames++ === 0 ? 1 : FRAME_STATS_SMOOTHING;
+    frameStats.frameMs += (dt * 1000 - frameStats.frameMs) * weight;
+    frameStats.steps += (steps - frameStats.steps) * weight;
+    if (backend.topologyVersion !== topologyVersion) syncTopology();
+
+    // Velocities are measured against the last rendered positions
+    const velocityAttr = velocityLines.geometry.attributes.position;
+    if (velocityLines.visible) velocityAttr.array.set(particlePositions);
+
+    // Update mesh geometry (interpolated between the last two steps)
+    const posAttr = mesh.geometry.attributes.position;
+    writeVertexPositions();
+    posAttr.needsUpdate = true;
+    mesh.geometry.computeVertexNormals();
+
+    // Update debug visuals
+    if (particlePoints?.visible) writeParticlePoints();
+    if (constraintLines?.visible) writeConstraintLines();
+    if (velocityLines?.visible) writeVelocityLines(dt);
+    if (debugView.showStrain) writeStrainColors();
+
+    if (colliderVisuals?.visible) {
+      colliderVisualMap.forEach((visual, collider) => syncColliderVisual(visual, collider));
+    }
+
+    return steps;
+  };
+
+  const debugColor = new THREE.Color();
+
+  const writeParticlePoints = () => {
+    const { pinned, bindings } = backend.simulation;
+    const positionAttr = particlePoints.geometry.attributes.position;
+    const colorAttr = particlePoints.geometry.attributes.color;
+    positionAttr.array.set(particlePositions);
+    for (let i = 0; i < particleCount; i++) {
+      const color = pinned[i] === 1 ? PARTICLE_COLORS.pinned
+        : pinned[i] === 2 ? PARTICLE_COLORS.grabbed
+        : bindings[i] ? PARTICLE_COLORS.soft
+        : PARTICLE_COLORS.free;
+      colorAttr.setXYZ(i, color.r, color.g, color.b);
+    }
+    positionAttr.needsUpdate = true;
+    colorAttr.needsUpdate = true;
+  };
+
+  // Only the shown constraint types, packed at the front of the buffers
+  const constraintStretch = new Float32Array(constraintCount);
+  const writeConstraintLines = () => {
+    const { constraintA, constraintB, constraintTypes } = backend.simulation;
+    const pos = particlePositions;
+    const positionAttr = constraintLines.geometry.attributes.position;
+    const colorAttr = constraintLines.geometry.attributes.color;
+    const linePos = positionAttr.array;
+    if (debugView.stretchColors) backend.simulation.writeConstraintStretch(constraintStretch, pos);
+
+    let count = 0;
+    for (let c = 0; c < backend.constraintCount; c++) {
+      if (!debugView.shownTypes[constraintTypes[c]]) continue;
+      const a3 = constraintA[c] * 3;
+      const b3 = constraintB[c] * 3;
+      const o = count * 6;
+      linePos[o] = pos[a3]; linePos[o + 1] = pos[a3 + 1]; linePos[o + 2] = pos[a3 + 2];
+      linePos[o + 3] = pos[b3]; linePos[o + 4] = pos[b3 + 1]; linePos[o + 5] = pos[b3 + 2];
+      const color = debugView.stretchColors ? setStrainColor(debugColor, constraintStretch[c] - 1) : FLAT_CONSTRAINT_COLOR;
+      colorAttr.setXYZ(count * 2, color.r, color.g, color.b);
+      colorAttr.setXYZ(count * 2 + 1, color.r, color.g, color.b);
+      count++;
+    }
+    constraintLines.geometry.setDrawRange(0, count * 2);
+    positionAttr.needsUpdate = true;
+    colorAttr.needsUpdate = true;
+  };
+
+  // The velocity buffer holds last frame's positions (copied in update());
+  // turn each into a segment from now along the velocity since then
+  const writeVelocityLines = (dt) => {
+    const positionAttr = velocityLines.geometry.attributes.position;
+    const lines = positionAttr.array;
+    const scale = debugView.velocitiesPrimed && dt > 0 ? VELOCITY_ARROW_SECONDS / dt : 0;
+    // Back to front: segment i only overwrites last frame's positions of
+    // particles from i on, which have been read by then
+    for (let i = particleCount - 1; i >= 0; i--) {
+      const i3 = i * 3;
+      const o = i * 6;
+      const x = particlePositions[i3], y = particlePositions[i3 + 1], z = particlePositions[i3 + 2];
+      const vx = (x - lines[i3]) * scale, vy = (y - lines[i3 + 1]) * scale, vz = (z - lines[i3 + 2]) * scale;
+      lines[o] = x; lines[o + 1] = y; lines[o + 2] = z;
+      lines[o + 3] = x + vx; lines[o + 4] = y + vy; lines[o + 5] = z + vz;
+    }
+    debugView.velocitiesPrimed = true;
+    positionAttr.needsUpdate = true;
+  };
+
+  const particleStrain = new Float32Array(particleCount);
+  const writeStrainColors = () => {
+    backend.simulation.writeParticleStrain(particleStrain, particlePositions);
+    const colorAttr = geometry.attributes.color;
+    for (let v = 0; v < vertexCount; v++) {
+      setStrainColor(debugColor, particleStrain[vertexToParticle ? vertexToParticle[v] : v]);
+      colorAttr.setXYZ(v, debugColor.r, debugColor.g, debugColor.b);
+    }
+    colorAttr.needsUpdate = true;
+  };
+
+  // Slice the cloth along a screen-space stroke between two points in
+  // normalized device coordinates (e.g. successive pointer positions)
+  const _viewProjection = new THREE.Matrix4();
+  const cut = (camera, from, to) => {
+    camera.updateMatrixWorld();
+    _viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    return backend.cut(_viewProjection.elements, from.x, from.y, to.x, to.y);
+  };
+
+  // Nearest free particle to where `raycaster` hits the cloth, as
+  // { index, position, point } (point = the hit), or null on a miss
+  const pick = (raycaster) => {
+    mesh.geometry.computeBoundingSphere();
+    const hit = raycaster.intersectObject(mesh)[0];
+    if (!hit) return null;
+
+    const pos = particlePositions;
+    const { pinned } = backend.simulation;
+    let index = -1;
+    let best = Infinity;
+    for (let i = 0; i < particleCount; i++) {
+      if (pinned[i]) continue;
+      const dx = pos[i * 3] - hit.point.x;
+      const dy = pos[i * 3 + 1] - hit.point.y;
+      const dz = pos[i * 3 + 2] - hit.point.z;
+      const d = dx * dx + dy * dy + dz * dz;
+      if (d < best) {
+        best = d;
+        index = i;
+      }
+    }
+    if (index === -1) return null;
+    const position = new THREE.Vector3().fromArray(pos, index * 3);
+    return { index, position, point: hit.point };
+  };
+
+  // Warm start: drape the cloth before it's first shown (see
+  // ClothSimulation.settle), and the current pose to pass back as `restPose`
+  const settle = (attachments, options) => backend.settle(attachments, options);
+  const getPose = () => backend.writePositions(new Float32Array(particleCount * 3));
+  const setPose = (positions) => {
+    backend.setPose(positions);
+    writeVertexPositions();
+  };
+
+  // The mesh as it is now, for ClothExport: positions, UVs and live triangles
+  const getMeshData = () => ({
+    positions: vertices.slice(),
+    uvs: uvs.slice(),
+    indices: indexAttr.array.slice(0, backend.triangleCount * 3),
+  });
+
+  // Save and load the full cloth state (see ClothSimulation.serialize).
+  // serialize() returns a promise; restore() takes a state from a cloth built
+  // with the same segments.
+  const serialize = () => backend.serialize();
+  const restore = (data) => {
+    const state = readState(data);
+    if (state.triangles.length > indexAttr.array.length || state.constraints.count > constraintCount) {
+      throw new Error('Cloth state has more triangles or constraints than this cloth');
+    }
+    backend.restore(state);
+  };
+
+  // Runtime pinning to anchors (keys into update()'s attachments); see
+  // ClothSimulation.pin and pinToAnchor
+  const pin = (index, binding) => {
+    backend.pin(index, binding);
+    refreshWeightView();
+  };
+  const pinToAnchor = (indices, anchor, anchorPoint, options) => {
+    backend.pinToAnchor(indices, anchor, anchorPoint, options);
+    refreshWeightView();
+  };
+  const unpin = (index) => {
+    backend.unpin(index);
+    refreshWeightView();
+  };
+
+  // Hold a particle at a world-space point until release(), which lets it go
+  // with the velocity it was dragged at
+  const grab = (index, point) => backend.grab(index, point.x, point.y, point.z);
+  const moveGrab = (index, point) => backend.moveGrab(index, point.x, point.y, point.z);
+  const release = (index) => backend.release(index);
+
+  // Simulation time of the currently rendered (interpolated) state
+  const getRenderTime = () => backend.renderTime;
+
+  // Frame rate and steps per frame from update(), averaged over the last
+  // frames, on top of the solver's numbers (see ClothSimulation.getStats;
+  // in worker mode those are a frame old, and missing on the first call)
+  const getStats = () => {
+    const { frameMs, steps } = frameStats;
+    return {
+      mode: backend.mode,
+      fps: frameMs > 0 ? 1000 / frameMs : 0,
+      frameMs,
+      stepsPerFrame: steps,
+      substepsPerFrame: steps * backend.simulation.params.subSteps,
+      ...backend.getStats(),
+    };
+  };
+
+  const setStepRate = (stepRate) => backend.setStepRate(stepRate);
+
+  // Particles are coloured by pin state: cyan free, pink pinned, orange
+  // soft-pinned, white grabbed. `options`:
+  //   constraintColors: 'stretch' (blue compressed, green at rest, red
+  //                     stretched) or 'flat'
+  //   constraintTypes:  CONSTRAINT_TYPES names whose lines are drawn
+  //   showVelocities:   an arrow from each particle along its velocity
+  //   showStrain:       the cloth surface as a per-vertex strain heatmap,
+  //                     coloured like the stretch lines
+  const setDebugMode = (showParticles, showConstraints, showColliders = false, options = {}) => {
+    const {
+      constraintColors = 'stretch',
+      constraintTypes = CONSTRAINT_TYPES,
+      showVelocities = false,
+      showStrain = false,
+    } = options;
+    if (particlePoints) particlePoints.visible = showParticles;
+    if (constraintLines) {
+      constraintLines.visible = showConstraints;
+      constraintLines.material.opacity = constraintColors === 'stretch' ? 0.8 : 0.3;
+    }
+    debugView.stretchColors = constraintColors === 'stretch';
+    debugView.shownTypes = CONSTRAINT_TYPES.map(type => constraintTypes.includes(type));
+    if (velocityLines) {
+      if (!velocityLines.visible) debugView.velocitiesPrimed = false;
+      velocityLines.visible = showVelocities;
+    }
+    if (showStrain !== debugView.showStrain) {
+      debugView.showStrain = showStrain;
+      refreshSurface();
+      refreshWeightView();
+    }
+    if (colliderVisuals) {
+      colliderVisuals.visible = showColliders;
+      if (showColliders) colliderVisualMap.forEach((visual, collider) => syncColliderVisual(visual, collider));
+    }
+  };
+
+  // Remove everything this system added to the scene
+  const dispose = () => {
+    [...colliderVisualMap.keys()].forEach(removeCollider);
+    scene.remove(colliderVisuals);
+    colliderMaterial.dispose();
+
+    mesh.material = material;
+    weightMaterial.dispose();
+    [mesh, particlePoints, constraintLines, velocityLines].forEach(obj => {
+      scene.remove(obj);
+      obj.geometry.dispose();
+      obj.material.dispose();
+    });
+    ownedTexture?.dispose();
+    backend.dispose();
+  };
+
+  // Live parameter channel into the running solver; see ClothSimulation.setParams
+  const setParams = (params, options) => backend.setParams(params, options);
+
+  // Wind fields from ClothWind.js; `windStrength` scales all of them
+  const setWindFields = (fields) => backend.setWindFields(fields);
+  const addWindField = (field) => backend.addWindField(field);
+  const removeWindField = (field) => backend.removeWindField(field);
+
+  // `simulation` and `timestep` are only live while backend.mode is 'sync'
+  const { simulation, timestep } = backend;
+
+  return {
+    backend, simulation, timestep, mesh, update, getRenderTime, getStats, setParams, setStepRate,
+    setDebugMode, showWeightMap, setTexture, setMaterialProps, addCollider, removeCollider,
+    setWindFields, addWindField, removeWindField, cut, pick, grab, moveGrab, release,
+    pin, pinToAnchor, unpin, setWeightMap, settle, getPose, setPose, getMeshData, serialize, restore, dispose,
+  };
+}
+
+// ============================================================================
+// Skinned characters: a cape pinned to the shoulder and neck bones
+// ============================================================================
+
+// Lowercase name fragments for common rigs (Mixamo, Blender, Unreal-style)
+const CAPE_BONES = {
+  left: ['leftshoulder', 'shoulder.l', 'shoulder_l', 'clavicle_l', 'clavicle.l', 'l_clavicle', 'leftarm', 'upperarm.l', 'upperarm_l'],
+  right: ['rightshoulder', 'shoulder.r', 'shoulder_r', 'clavicle_r', 'clavicle.r', 'r_clavicle', 'rightarm', 'upperarm.r', 'upperarm_r'],
+  neck: ['neck', 'upperchest', 'spine2', 'chest'],
+};
+
+// Place a segmentsX × segmentsY cape behind a rig's shoulders and pin it to
+// them (and softly to the neck). Returns the cloth options for
+// createClothSystem plus bind(clothSystem), or null if the rig has no
+// recognizable shoulder bones.
+export function fitCapeToSkeleton(skeleton, { segmentsX, segmentsY, width, height }) {
+  const left = skeleton.findBone(...CAPE_BONES.left);
+  const right = skeleton.findBone(...CAPE_BONES.right);
+  if (!left || !right || left === right) return null;
+  const neck = skeleton.findBone(...CAPE_BONES.neck);
+
+  const { anchors } = skeleton;
+  const l = new THREE.Vector3().copy(anchors[left.name]);
+  const r = new THREE.Vector3().copy(anchors[right.name]);
+  const span = l.distanceTo(r);
+
+  // Grid x runs from the left shoulder to the right one; z = x × up points
+  // out of the character's back
+  const xAxis = r.clone().sub(l).normalize();
+  const yAxis = new THREE.Vector3(0, 1, 0).addScaledVector(xAxis, -xAxis.y).normalize();
+  const zAxis = new THREE.Vector3().crossVectors(xAxis, yAxis);
+  const origin = l.add(r).multiplyScalar(0.5).addScaledVector(zAxis, span * 0.2);
+  const transform = new THREE.Matrix4().makeBasis(xAxis, yAxis, zAxis).setPosition(origin);
+
+  const bind = (clothSystem) => {
+    const top = Array.from({ length: segmentsX + 1 }, (_, x) => x);
+    const shoulderPins = {
+      [left.name]: top.filter(x => x <= 2),
+      [right.name]: top.filter(x => x >= segmentsX - 2),
+    };
+    skeleton.bind(clothSystem, shoulderPins);
+    if (neck) {
+      skeleton.bind(clothSystem, { [neck.name]: top.slice(3, segmentsX - 2) }, { stiffness: 0.3 });
+    }
+  };
+
+  return {
+    cloth: {
+      width: span,
+      height: span * (height / width),
+      segmentsX,
+      segmentsY,
+      pinLayout: null,
+      transform: Array.from(transform.elements),
+    },
+    bind,
+  };
+}
+
+// Load a .glb (or self-contained .gltf) File, e.g. from an <input type="file">.
+// The model is scaled to about 2.2 units tall, stood on the demo's floor
+// line and turned to show its back, where the cape hangs.
+export async function loadCharacterFile(file) {
+  const data = await file.arrayBuffer();
+  const gltf = await new Promise((resolve, reject) => new GLTFLoader().parse(data, '', resolve, reject));
+  const model = gltf.scene;
+  model.animations = gltf.animations;
+
+  const box = new THREE.Box3().setFromObject(model);
+  const size = box.getSize(new THREE.Vector3());
+  model.scale.multiplyScalar(2.2 / (size.y || 1));
+  model.rotation.y = Math.PI;
+  model.updateMatrixWorld(true);
+  box.setFromObject(model);
+  const center = box.getCenter(new THREE.Vector3());
+  model.position.x -= center.x;
+  model.position.z -= center.z;
+  model.position.y += -1.6 - box.min.y;
+  return model;
+}
+
+// Load an .obj File as a cloth mesh, scaled to `width` across with the
+// middle of its top edge at the origin, like the grid cape
+export async function loadClothMeshFile(file, width = DEFAULT_CLOTH.width) {
+  const mesh = parseOBJ(await file.text());
+  const box = new THREE.Box3().setFromArray(mesh.positions);
+  const scale = width / ((box.max.x - box.min.x) || 1);
+  const center = box.getCenter(new THREE.Vector3());
+  for (let i = 0; i < mesh.positions.length; i += 3) {
+    mesh.positions[i] = (mesh.positions[i] - center.x) * scale;
+    mesh.positions[i + 1] = (mesh.positions[i + 1] - box.max.y) * scale;
+    mesh.positions[i + 2] = (mesh.positions[i + 2] - center.z) * scale;
+  }
+  return mesh;
+}
+
+// XPBD compliance params and their slider labels
+const COMPLIANCE_SLIDERS = [
+  ['stretchCompliance', 'Stretch Compliance'],
+  ['shearCompliance', 'Shear Compliance'],
+  ['bendCompliance', 'Bend Compliance'],
+];
+
+// Fabric params a preset sets beyond the main sliders: [key, label, min, max, step]
+const FABRIC_SLIDERS = [
+  ['structuralStiffness', 'Structural', 0, 1, 0.05],
+  ['shearStiffness', 'Shear', 0, 1, 0.05],
+  ['bendingStiffness', 'Bending', 0, 1, 0.05],
+  ['mass', 'Mass', 0.2, 5, 0.1],
+  ['dragCoefficient', 'Drag', 0, 1, 0.05],
+  ['liftCoefficient', 'Lift', 0, 1, 0.05],
+];
+
+// createClothSystem's setDebugMode options from ClothDemo's config
+function debugModeOptions(config) {
+  return {
+    constraintColors: config.constraintColors,
+    constraintTypes: config.constraintTypes,
+    showVelocities: config.showVelocities,
+    showStrain: config.showStrain,
+  };
+}
+
+// How far right of the main cloth the A/B compare cloth hangs
+const COMPARE_OFFSET = 1.2;
+
+// Length and frame rate of the demo's "Bake" buttons
+const BAKE_SECONDS = 5;
+const BAKE_FPS = 30;
+
+function downloadFile(name, data, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Performance HUD: frames of history in its graph, and seconds between
+// refreshes of its numbers
+const HUD_SAMPLES = 120;
+const HUD_TEXT_INTERVAL = 0.25;
+const HUD_GRAPH_COLORS = { frame: 'rgba(136,102,170,0.9)', cloth: 'rgba(255,136,170,0.9)' };
+
+// The HUD's lines for clothSystem.getStats()
+function formatStats(stats) {
+  const lines = [
+    `${stats.fps.toFixed(0)} fps · ${stats.frameMs.toFixed(1)} ms/frame`,
+    `${stats.stepsPerFrame.toFixed(1)} steps · ${stats.substepsPerFrame.toFixed(1)} substeps/frame`,
+  ];
+  // A worker hasn't sent the solver's numbers yet
+  if (stats.particles === undefined) return [...lines, `${stats.mode}: waiting for solver stats`];
+
+  lines.push(
+    `${stats.mode} · ${stats.stepMs.toFixed(2)} ms/step`,
+    `${stats.particles} particles · ${stats.constraints} constraints` + (stats.hinges > 0 ? ` · ${stats.hinges} hinges` : ''),
+  );
+  for (const [type, { count, avg, max }] of Object.entries(stats.constraintError)) {
+    if (count > 0) lines.push(`${type} error ${(avg * 100).toFixed(1)}% avg · ${(max * 100).toFixed(1)}% max`);
+  }
+  if (stats.hingeError.count > 0) {
+    lines.push(`hinge error ${stats.hingeError.avg.toFixed(3)} avg · ${stats.hingeError.max.toFixed(3)} max rad`);
+  }
+  lines.push(`kinetic energy ${stats.kineticEnergy.toFixed(3)}`);
+  return lines;
+}
+
+// Rolling graph of the last HUD_SAMPLES frame times and the cloth's share of
+// them (its update() on the main thread), both in ms; `head` is the next
+// sample to overwrite
+function drawStatsGraph(canvas, samples, head) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+
+  // 33 ms (30 fps) at the top unless a frame took longer
+  let top = 33;
+  for (let i = 0; i < HUD_SAMPLES; i++) top = Math.max(top, samples.frame[i]);
+  // 60 fps guide
+  ctx.strokeStyle = 'rgba(100,80,140,0.4)';
+  ctx.beginPath();
+  ctx.moveTo(0, height - (16.7 / top) * height);
+  ctx.lineTo(width, height - (16.7 / top) * height);
+  ctx.stroke();
+
+  for (const key of ['frame', 'cloth']) {
+    ctx.strokeStyle = HUD_GRAPH_COLORS[key];
+    ctx.beginPath();
+    for (let k = 0; k < HUD_SAMPLES; k++) {
+      const x = (k / (HUD_SAMPLES - 1)) * width;
+      const y = height - (samples[key][(head + k) % HUD_SAMPLES] / top) * height;
+      if (k === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+  }
+}
+
+// Download a finished bake: a .glb, or a vertex cache with its OBJ rest mesh
+function downloadBake({ recorder, format, mesh }) {
+  const cache = recorder.toCache();
+  if (format === 'glb') {
+    downloadFile('cape.glb', exportGLB(cache, { indices: mesh.indices, uvs: mesh.uvs, name: 'Cape' }), 'model/gltf-binary');
+    return;
+  }
+  const firstFrame = cache.positions.subarray(0, cache.vertexCount * 3);
+  downloadFile('cape.vcache', encodeVertexCache(cache), 'application/octet-stream');
+  downloadFile('cape.obj', exportOBJ({ ...mesh, positions: firstFrame, name: 'Cape' }), 'text/plain');
+}
+
+const ClothDemo = ({
+  // Physics params and debug toggles: pass `config` + `onConfigChange` for a
+  // controlled component, or `initialConfig` to let ClothDemo own the state
+  config: configProp,
+  initialConfig,
+  onConfigChange,
+  // Cloth structure - changing these rebuilds the cloth in the same scene
+  width = DEFAULT_CLOTH.width,
+  height = DEFAULT_CLOTH.height,
+  segmentsX = DEFAULT_CLOTH.segmentsX,
+  segmentsY = DEFAULT_CLOTH.segmentsY,
+  pinLayout = DEFAULT_CLOTH.pinLayout, // GRID_PIN_LAYOUTS name, stable function or null
+  pins,                                // extra [{ index, anchor, offset, stiffness }] pins
+  bending = 'distance',                // 'distance' links or 'dihedral' hinges between triangles
+  bendRestAngle = null,                // dihedral rest angle: radians, null = as built, or a stable function
+  // Appearance
+  texture = null,                      // THREE.Texture, image URL or null
+  materialProps,                       // extra MeshStandardMaterial params
+  showControls = true,
+  // ClothColliders instances (sphere/capsule/plane/box) the cloth collides with
+  colliders,
+  // ClothWind fields replacing the default breeze; windStrength scales them
+  windFields,
+  // Seconds to ease between old and new physics values (0 = immediate)
+  paramTransition = 0,
+  // Called with the solver's params once a change has taken effect
+  onParamsApplied,
+  // Run the solver in a Web Worker (falls back to the main thread)
+  useWorker = false,
+  // Called with { a, b, type, stretch, cause } when a link tears or is cut
+  onTear,
+  // Called with { cause, time, particle, constraint, type, stretch, maxSpeed,
+  // recovery } when the solver blows up and the cloth is reset
+  onInstability,
+  // A rigged THREE.Object3D (e.g. a glTF scene with a SkinnedMesh): the cape
+  // is pinned to its shoulder bones instead of the pink markers
+  character,
+  // Warm start when the cloth is built: true settles to rest, a number runs
+  // that many silent steps, an object is ClothSimulation.settle options,
+  // false shows the cloth dropping into place
+  settle = true,
+  // Flat xyz positions to start from, e.g. a saved clothSystem.getPose()
+  restPose = null,
+  // A THREE.BufferGeometry or { positions, indices, uvs } to simulate instead
+  // of the grid, pinned by `pinLayout` from MESH_PIN_LAYOUTS
+  mesh,
+  // Painted { invMass, pin, stiffness, wind } maps, each an array or
+  // { image, range }; see createClothSystem. Changing it rebuilds the cloth.
+  weightMaps,
+}) => {
   const containerRef = useRef(null);
   const sceneRef = useRef(null);
   const rendererRef = useRef(null);
@@ -15,16 +1075,135 @@ const ClothDemo = () => {
   const animationFrameRef = useRef(null);
   const clockRef = useRef(new THREE.Clock());
   const attachmentPointsRef = useRef([]);
+  const selfCollisionReadoutRef = useRef(null);
+  const statsTextRef = useRef(null);   // performance HUD, mounted while showStats
+  const statsGraphRef = useRef(null);
   
-  const [config, setConfig] = useState({
-    gravity: 15,
-    windStrength: 3,
-    stiffness: 0.9,
-    damping: 0.98,
-    iterations: 8,
-    showParticles: false,
-    showConstraints: false,
-  });
+  const [uncontrolledConfig, setUncontrolledConfig] = useState(() => ({
+    ...DEFAULT_CONFIG,
+    ...initialConfig,
+  }));
+  const isControlled = configProp !== undefined;
+  const config = isControlled ? { ...DEFAULT_CONFIG, ...configProp } : uncontrolledConfig;
+
+  // Latest config, including updates not rendered yet, so functional updates
+  // chain like setState's even from handlers of an older render
+  const configRef = useRef(config);
+  configRef.current = config;
+  const setConfig = (update) => {
+    const next = typeof update === 'function' ? update(configRef.current) : update;
+    configRef.current = next;
+    if (!isControlled) setUncontrolledConfig(next);
+    onConfigChange?.(next);
+  };
+
+  const onParamsAppliedRef = useRef(onParamsApplied);
+  onParamsAppliedRef.current = onParamsApplied;
+  const onTearRef = useRef(onTear);
+  onTearRef.current = onTear;
+  const onInstabilityRef = useRef(onInstability);
+  onInstabilityRef.current = onInstability;
+  const cutToolRef = useRef(config.cutTool);
+  cutToolRef.current = config.cutTool;
+
+  // Bumped by "Mend Cloth" to rebuild a torn cloth
+  const [mendCount, setMendCount] = useState(0);
+
+  // A character loaded from disk overrides the `character` prop
+  const [loadedCharacter, setLoadedCharacter] = useState(null);
+  const activeCharacter = loadedCharacter ?? character ?? null;
+  // { object, skeleton, mixer } for the character in the scene
+  const characterRef = useRef(null);
+
+  // A cloth mesh loaded from disk overrides the `mesh` prop
+  const [loadedMesh, setLoadedMesh] = useState(null);
+  const activeMesh = loadedMesh ?? mesh ?? null;
+
+  // { recorder, format, mesh } while "Bake" captures the rendered cloth
+  const bakeRef = useRef(null);
+  const [baking, setBaking] = useState(false);
+
+  // Capture the next BAKE_SECONDS of the rendered cloth, then download it
+  // as 'glb' or 'vcache' (vertex cache + OBJ)
+  const startBake = (format) => {
+    const clothSystem = clothSystemRef.current;
+    if (!clothSystem || bakeRef.current) return;
+    const start = clothSystem.getRenderTime();
+    const mesh = clothSystem.getMeshData();
+    bakeRef.current = {
+      recorder: new VertexCacheRecorder(mesh.positions.length / 3, {
+        fps: BAKE_FPS,
+        start,
+        end: start + BAKE_SECONDS,
+      }),
+      format,
+      mesh,
+    };
+    setBaking(true);
+  };
+
+  // Material presets: MATERIAL_PRESETS plus the user's own, saved to
+  // localStorage. Presets are keyed 'builtin:<id>' or 'custom:<id>'.
+  const [customPresets, setCustomPresets] = useState(() => loadCustomPresets());
+  const [presetName, setPresetName] = useState('');
+  // Material of the last applied preset, over `materialProps`
+  const [presetMaterial, setPresetMaterial] = useState(null);
+  // Key of the preset shown beside this cloth for A/B comparison, or null
+  const [comparePreset, setComparePreset] = useState(null);
+  // The comparison cloth's createClothSystem
+  const compareSystemRef = useRef(null);
+  const presetOptions = [
+    ...Object.entries(MATERIAL_PRESETS).map(([id, preset]) => [`builtin:${id}`, preset]),
+    ...Object.entries(customPresets).map(([id, preset]) => [`custom:${id}`, preset]),
+  ];
+  const comparedPreset = presetOptions.find(([key]) => key === comparePreset)?.[1] ?? null;
+
+  const applyPreset = (preset) => {
+    setConfig(c => ({ ...c, ...preset.params }));
+    setPresetMaterial(preset.material);
+  };
+
+  // Saved presets live in state; storage may refuse them (private windows)
+  const updateCustomPresets = (update) => {
+    const next = update(customPresets);
+    setCustomPresets(next);
+    try {
+      saveCustomPresets(next);
+    } catch (error) {
+      console.warn('ClothDemo: could not store presets', error);
+    }
+  };
+
+  const savePreset = () => {
+    const preset = presetFromConfig(presetName || 'Custom', config, presetMaterial ?? {});
+    updateCustomPresets(presets => ({ ...presets, [presetId(preset)]: preset }));
+    setPresetName('');
+  };
+
+  const deletePreset = (id) => {
+    updateCustomPresets((presets) => {
+      const next = { ...presets };
+      delete next[id];
+      return next;
+    });
+    if (comparePreset === `custom:${id}`) setComparePreset(null);
+  };
+
+  // Latest appearance props and colliders, read when the cloth is (re)built
+  const clothMaterialProps = { ...materialProps, ...presetMaterial };
+  const appearanceRef = useRef({ texture, materialProps: clothMaterialProps });
+  appearanceRef.current = { texture, materialProps: clothMaterialProps };
+  const collidersRef = useRef(colliders);
+  collidersRef.current = colliders;
+  const windFieldsRef = useRef(windFields);
+  windFieldsRef.current = windFields;
+  const warmStartRef = useRef({ settle, restPose });
+  warmStartRef.current = { settle, restPose };
+  // Pins are plain data, so the cloth rebuilds when their value changes, not
+  // whenever an inline pins={[...]} makes a new array
+  const pinsRef = useRef(pins);
+  pinsRef.current = pins;
+  const pinsKey = JSON.stringify(pins ?? null);
 
   useEffect(() => {
     if (!containerRef.current) return;
@@ -79,88 +1258,176 @@ const ClothDemo = () => {
     scene.add(rightShoulder);
     attachmentPointsRef.current = [leftShoulder, rightShoulder];
 
-    // Initialize cloth system
-    const clothSystem = createClothSystem(scene, config);
-    clothSystemRef.current = clothSystem;
-
-    // Mouse drag for shoulder movement
-    let isDragging = false;
-    let dragTarget = null;
-    const mouse = new THREE.Vector2();
+    // Pointer drags (mouse, touch or pen), one per pointer: a shoulder, any
+    // cloth particle, or a slice with the cut tool. Dragged points move on a
+    // plane through the grabbed point facing the camera.
+    const drags = new Map();   // pointerId -> drag
+    let shoulderDrags = 0;
+    const pointer = new THREE.Vector2();
     const raycaster = new THREE.Raycaster();
+    const planeNormal = new THREE.Vector3();
+    const dragPoint = new THREE.Vector3();
+    const container = containerRef.current;
 
-    const onMouseDown = (e) => {
-      const rect = containerRef.current.getBoundingClientRect();
-      mouse.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
-      mouse.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
-      
-      raycaster.setFromCamera(mouse, camera);
-      const intersects = raycaster.intersectObjects([leftShoulder, rightShoulder]);
-      
-      if (intersects.length > 0) {
-        isDragging = true;
-        dragTarget = intersects[0].object;
-        containerRef.current.style.cursor = 'grabbing';
+    const setPointer = (e) => {
+      const rect = container.getBoundingClientRect();
+      pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+      pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+      raycaster.setFromCamera(pointer, camera);
+    };
+
+    const facingPlane = (point) =>
+      new THREE.Plane().setFromNormalAndCoplanarPoint(camera.getWorldDirection(planeNormal), point);
+
+    const onPointerDown = (e) => {
+      if (e.button !== 0) return;
+      setPointer(e);
+
+      let drag = null;
+      const shoulderHit = !characterRef.current && raycaster.intersectObjects([leftShoulder, rightShoulder])[0];
+      if (shoulderHit) {
+        const target = shoulderHit.object;
+        drag = { kind: 'shoulder', target, plane: facingPlane(target.position) };
+        shoulderDrags++;
+      } else if (cutToolRef.current) {
+        drag = { kind: 'cut', last: pointer.clone() };
+      } else {
+        const clothSystem = clothSystemRef.current;
+        const picked = clothSystem?.pick(raycaster);
+        if (picked && clothSystem.grab(picked.index, picked.position)) {
+          drag = {
+            kind: 'cloth',
+            clothSystem,
+            index: picked.index,
+            plane: facingPlane(picked.point),
+            // Keep the particle's offset from the hit so it doesn't jump
+            offset: picked.position.sub(picked.point),
+          };
+        }
       }
+      if (!drag) return;
+
+      drags.set(e.pointerId, drag);
+      container.setPointerCapture(e.pointerId);
+      container.style.cursor = drag.kind === 'cut' ? 'crosshair' : 'grabbing';
     };
 
-    const onMouseMove = (e) => {
-      const rect = containerRef.current.getBoundingClientRect();
-      mouse.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
-      mouse.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
-
-      if (isDragging && dragTarget) {
-        // Project mouse to 3D space at z=0
-        const vector = new THREE.Vector3(mouse.x, mouse.y, 0.5);
-        vector.unproject(camera);
-        const dir = vector.sub(camera.position).normalize();
-        const distance = -camera.position.z / dir.z;
-        const pos = camera.position.clone().add(dir.multiplyScalar(distance));
-        
-        dragTarget.position.x = Math.max(-1.5, Math.min(1.5, pos.x));
-        dragTarget.position.y = Math.max(-0.5, Math.min(1.5, pos.y));
+    const onPointerMove = (e) => {
+      const drag = drags.get(e.pointerId);
+      if (!drag) return;
+      setPointer(e);
+
+      if (drag.kind === 'cut') {
+        clothSystemRef.current?.cut(camera, drag.last, pointer);
+        drag.last.copy(pointer);
+        return;
+      }
+
+      if (!raycaster.ray.intersectPlane(drag.plane, dragPoint)) return;
+      if (drag.kind === 'shoulder') {
+        drag.target.position.set(
+          Math.max(-1.5, Math.min(1.5, dragPoint.x)),
+          Math.max(-0.5, Math.min(1.5, dragPoint.y)),
+          dragPoint.z
+        );
+      } else {
+        drag.clothSystem.moveGrab(drag.index, dragPoint.add(drag.offset));
       }
     };
 
-    const onMouseUp = () => {
-      isDragging = false;
-      dragTarget = null;
-      containerRef.current.style.cursor = 'default';
+    const onPointerUp = (e) => {
+      const drag = drags.get(e.pointerId);
+      if (!drag) return;
+      drags.delete(e.pointerId);
+      if (drag.kind === 'shoulder') shoulderDrags--;
+      if (drag.kind === 'cloth') drag.clothSystem.release(drag.index);
+      if (drags.size === 0) container.style.cursor = 'default';
     };
 
-    containerRef.current.addEventListener('mousedown', onMouseDown);
-    containerRef.current.addEventListener('mousemove', onMouseMove);
-    containerRef.current.addEventListener('mouseup', onMouseUp);
-    containerRef.current.addEventListener('mouseleave', onMouseUp);
+    container.style.touchAction = 'none';
+    container.addEventListener('pointerdown', onPointerDown);
+    container.addEventListener('pointermove', onPointerMove);
+    container.addEventListener('pointerup', onPointerUp);
+    container.addEventListener('pointercancel', onPointerUp);
 
     // Animation
+    let lastReadoutTime = 0;
+    let lastStatsTime = 0;
+    const statsSamples = { frame: new Float32Array(HUD_SAMPLES), cloth: new Float32Array(HUD_SAMPLES) };
+    let statsHead = 0;
+    const collar = new THREE.Vector3();
     const animate = () => {
       animationFrameRef.current = requestAnimationFrame(animate);
       
-      const delta = Math.min(clockRef.current.getDelta(), 0.02);
+      // Real frame time; the fixed-step driver caps how much it catches up
+      const delta = clockRef.current.getDelta();
       const time = clockRef.current.getElapsedTime();
-
-      // Animate shoulders in a figure-8 pattern when not dragging
-      if (!isDragging) {
-        const speed = 0.8;
-        const ampX = 0.15;
-        const ampY = 0.08;
-        
-        leftShoulder.position.x = -0.4 + Math.sin(time * speed) * ampX;
-        leftShoulder.position.y = 0.8 + Math.sin(time * speed * 2) * ampY;
-        
-        rightShoulder.position.x = 0.4 + Math.sin(time * speed) * ampX;
-        rightShoulder.position.y = 0.8 + Math.sin(time * speed * 2) * ampY;
-      }
+      // The HUD's graph times the cloth's updates, only while it's shown
+      const statsGraph = statsGraphRef.current;
+      const updateStart = statsGraph ? performance.now() : 0;
 
       // Update cloth
-      if (clothSystemRef.current) {
-        clothSystemRef.current.update(
+      const clothSystem = clothSystemRef.current;
+      const character = characterRef.current;
+      leftShoulder.visible = rightShoulder.visible = !character;
+      if (clothSystem && character) {
+        // Pinned to the rig: animate it, then follow its bones
+        character.mixer?.update(delta);
+        clothSystem.update(delta, character.skeleton.update());
+      } else if (clothSystem) {
+        // Shoulders sway in a figure-8 pattern when not dragging
+        const draggingShoulders = shoulderDrags > 0;
+        if (draggingShoulders) collarBetween(leftShoulder.position, rightShoulder.position, collar);
+        clothSystem.update(
+          delta,
+          draggingShoulders ? [leftShoulder.position, rightShoulder.position, collar] : swayShoulders
+        );
+
+        compareSystemRef.current?.update(
           delta,
-          time,
-          [leftShoulder.position, rightShoulder.position],
-          config
+          draggingShoulders
+            ? offsetAttachments([leftShoulder.position, rightShoulder.position, collar], COMPARE_OFFSET)
+            : (t) => offsetAttachments(swayShoulders(t), COMPARE_OFFSET)
         );
+
+        if (!draggingShoulders) {
+          const [left, right] = swayShoulders(clothSystem.getRenderTime());
+          leftShoulder.position.set(left.x, left.y, left.z);
+          rightShoulder.position.set(right.x, right.y, right.z);
+        }
+
+        // Self-collision cost readout, refreshed a few times per second
+        const readout = selfCollisionReadoutRef.current;
+        if (readout && time - lastReadoutTime > 0.25) {
+          const { ms, checks, contacts } = clothSystem.backend.selfCollisionStats;
+          readout.textContent = `${ms.toFixed(2)} ms · ${checks} checks · ${contacts} contacts`;
+          lastReadoutTime = time;
+        }
+      }
+
+      // Performance HUD
+      if (statsGraph && clothSystem) {
+        statsSamples.frame[statsHead] = delta * 1000;
+        statsSamples.cloth[statsHead] = performance.now() - updateStart;
+        statsHead = (statsHead + 1) % HUD_SAMPLES;
+        drawStatsGraph(statsGraph, statsSamples, statsHead);
+
+        const statsText = statsTextRef.current;
+        if (statsText && time - lastStatsTime > HUD_TEXT_INTERVAL) {
+          statsText.textContent = formatStats(clothSystem.getStats()).join('\n');
+          lastStatsTime = time;
+        }
+      }
+
+      // Capture the rendered cloth while a bake is running
+      const bake = bakeRef.current;
+      if (bake && clothSystem) {
+        bake.recorder.capture(clothSystem.mesh.geometry.attributes.position.array, clothSystem.getRenderTime());
+        if (bake.recorder.done) {
+          bakeRef.current = null;
+          downloadBake(bake);
+          setBaking(false);
+        }
       }
 
       renderer.render(scene, camera);
@@ -180,6 +1447,10 @@ const ClothDemo = () => {
 
     return () => {
       window.removeEventListener('resize', handleResize);
+      container.removeEventListener('pointerdown', onPointerDown);
+      container.removeEventListener('pointermove', onPointerMove);
+      container.removeEventListener('pointerup', onPointerUp);
+      container.removeEventListener('pointercancel', onPointerUp);
       cancelAnimationFrame(animationFrameRef.current);
       renderer.dispose();
       if (containerRef.current?.contains(renderer.domElement)) {
@@ -188,364 +1459,208 @@ const ClothDemo = () => {
     };
   }, []);
 
-  // Update cloth config reactively
+  // Add the character to the scene; runs before the cloth is rebuilt on it
   useEffect(() => {
-    if (clothSystemRef.current) {
-      clothSystemRef.current.setDebugMode(config.showParticles, config.showConstraints);
-    }
-  }, [config.showParticles, config.showConstraints]);
-
-  // Create cloth system
-  function createClothSystem(scene, initialConfig) {
-    // Cape dimensions - proportional for a character
-    const WIDTH = 0.8;  // shoulder span
-    const HEIGHT = 1.2; // cape length
-    const SEGMENTS_X = 12;
-    const SEGMENTS_Y = 18;
-    
-    const particles = [];
-    const constraints = [];
-    
-    // Particle class
-    class Particle {
-      constructor(x, y, z, pinned = false) {
-        this.position = new THREE.Vector3(x, y, z);
-        this.previous = new THREE.Vector3(x, y, z);
-        this.acceleration = new THREE.Vector3();
-        this.pinned = pinned;
-        this.mass = 1;
-      }
-      
-      applyForce(force) {
-        if (this.pinned) return;
-        this.acceleration.add(force.clone().divideScalar(this.mass));
-      }
-      
-      update(damping) {
-        if (this.pinned) return;
-        
-        // Verlet integration
-        const velocity = this.position.clone().sub(this.previous);
-        velocity.multiplyScalar(damping);
-        
-        this.previous.copy(this.position);
-        this.position.add(velocity);
-        this.position.add(this.acceleration);
-        
-        this.acceleration.set(0, 0, 0);
-      }
-    }
-    
-    // Create particles in a grid
-    const spacingX = WIDTH / SEGMENTS_X;
-    const spacingY = HEIGHT / SEGMENTS_Y;
-    
-    for (let y = 0; y <= SEGMENTS_Y; y++) {
-      for (let x = 0; x <= SEGMENTS_X; x++) {
-        const px = (x - SEGMENTS_X / 2) * spacingX;
-        const py = -y * spacingY;
-        const pz = 0;
-        
-        // Pin the top corners (attachment points)
-        const isLeftPin = y === 0 && x <= 2;
-        const isRightPin = y === 0 && x >= SEGMENTS_X - 2;
-        
-        particles.push(new Particle(px, py, pz, isLeftPin || isRightPin));
-      }
-    }
-    
-    // Helper to get particle at grid position
-    const getParticle = (x, y) => {
-      if (x < 0 || x > SEGMENTS_X || y < 0 || y > SEGMENTS_Y) return null;
-      return particles[y * (SEGMENTS_X + 1) + x];
+    const scene = sceneRef.current;
+    if (!scene || !activeCharacter) return;
+
+    scene.add(activeCharacter);
+    const animations = activeCharacter.animations ?? [];
+    const mixer = animations.length > 0 ? new THREE.AnimationMixer(activeCharacter) : null;
+    mixer?.clipAction(animations[0]).play();
+    characterRef.current = { object: activeCharacter, skeleton: new SkeletonAnchors(activeCharacter), mixer };
+
+    return () => {
+      mixer?.stopAllAction();
+      scene.remove(activeCharacter);
+      characterRef.current = null;
     };
-    
-    // Create constraints
-    for (let y = 0; y <= SEGMENTS_Y; y++) {
-      for (let x = 0; x <= SEGMENTS_X; x++) {
-        const p = getParticle(x, y);
-        
-        // Structural (direct neighbors)
-        const right = getParticle(x + 1, y);
-        const down = getParticle(x, y + 1);
-        
-        if (right) {
-          constraints.push({
-            p1: p, p2: right,
-            restLength: spacingX,
-            type: 'structural',
-            stiffness: 1.0
-          });
-        }
-        if (down) {
-          constraints.push({
-            p1: p, p2: down,
-            restLength: spacingY,
-            type: 'structural',
-            stiffness: 1.0
-          });
-        }
-        
-        // Shear (diagonal)
-        const diagDR = getParticle(x + 1, y + 1);
-        const diagDL = getParticle(x - 1, y + 1);
-        
-        if (diagDR) {
-          constraints.push({
-            p1: p, p2: diagDR,
-            restLength: Math.sqrt(spacingX * spacingX + spacingY * spacingY),
-            type: 'shear',
-            stiffness: 0.8
-          });
-        }
-        if (diagDL) {
-          constraints.push({
-            p1: p, p2: diagDL,
-            restLength: Math.sqrt(spacingX * spacingX + spacingY * spacingY),
-            type: 'shear',
-            stiffness: 0.8
-          });
-        }
-        
-        // Bending (skip one)
-        const right2 = getParticle(x + 2, y);
-        const down2 = getParticle(x, y + 2);
-        
-        if (right2) {
-          constraints.push({
-            p1: p, p2: right2,
-            restLength: spacingX * 2,
-            type: 'bending',
-            stiffness: 0.5
-          });
-        }
-        if (down2) {
-          constraints.push({
-            p1: p, p2: down2,
-            restLength: spacingY * 2,
-            type: 'bending',
-            stiffness: 0.5
-          });
-        }
-      }
-    }
-    
-    // Create cloth mesh
-    const geometry = new THREE.BufferGeometry();
-    const vertices = new Float32Array(particles.length * 3);
-    const uvs = new Float32Array(particles.length * 2);
-    
-    // Generate UVs
-    for (let y = 0; y <= SEGMENTS_Y; y++) {
-      for (let x = 0; x <= SEGMENTS_X; x++) {
-        const idx = y * (SEGMENTS_X + 1) + x;
-        uvs[idx * 2] = x / SEGMENTS_X;
-        uvs[idx * 2 + 1] = 1 - y / SEGMENTS_Y;
-      }
+  }, [activeCharacter]);
+
+  // Build the cloth, and rebuild it in the existing scene when its structure changes
+  useEffect(() => {
+    const scene = sceneRef.current;
+    if (!scene) return;
+
+    const character = characterRef.current;
+    const cape = character && fitCapeToSkeleton(character.skeleton, { width, height, segmentsX, segmentsY });
+    if (character && !cape) console.warn('ClothDemo: no shoulder bones found on the character');
+    // Only the grid cape is fitted to characters
+    const clothMesh = character ? null : activeMesh;
+    if (character && activeMesh) console.warn('ClothDemo: using the grid cape on the character, not the cloth mesh');
+
+    const warmStart = warmStartRef.current;
+    const clothSystem = createClothSystem(scene, {
+      ...config,
+      width,
+      height,
+      segmentsX,
+      segmentsY,
+      pinLayout,
+      pins: pinsRef.current,
+      bending,
+      bendRestAngle,
+      mesh: clothMesh,
+      weightMaps: fitWeightMaps(weightMaps, clothMesh, mesh),
+      ...cape?.cloth,
+      worker: useWorker,
+      windFields: windFieldsRef.current,
+      ...appearanceRef.current,
+    });
+    // Checked against the built cloth, since welding decides a mesh's count
+    const { restPose } = warmStart;
+    if (restPose && restPose.length !== clothSystem.backend.particleCount * 3) {
+      console.warn('ClothDemo: restPose does not match the cloth\'s particle count; ignoring it');
+    } else if (restPose) {
+      clothSystem.setPose(restPose);
     }
-    
-    // Generate indices for triangles
-    const indices = [];
-    for (let y = 0; y < SEGMENTS_Y; y++) {
-      for (let x = 0; x < SEGMENTS_X; x++) {
-        const a = y * (SEGMENTS_X + 1) + x;
-        const b = a + 1;
-        const c = a + (SEGMENTS_X + 1);
-        const d = c + 1;
-        
-        indices.push(a, c, b);
-        indices.push(b, c, d);
-      }
+    if (cape) {
+      cape.bind(clothSystem);
+      // Keep the cape off the body: capsules along the longer bones
+      character.skeleton
+        .createCapsules({ minLength: cape.cloth.width * 0.15, radiusScale: 0.5 })
+        .forEach(clothSystem.addCollider);
     }
-    
-    geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
-    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
-    geometry.setIndex(indices);
-    
-    // Cape texture
-    const canvas = document.createElement('canvas');
-    canvas.width = 256;
-    canvas.height = 256;
-    const ctx = canvas.getContext('2d');
-    
-    // Rich fabric gradient
-    const grad = ctx.createLinearGradient(0, 0, 0, 256);
-    grad.addColorStop(0, '#8b0000');
-    grad.addColorStop(0.3, '#6b0000');
-    grad.addColorStop(0.7, '#4a0000');
-    grad.addColorStop(1, '#2a0000');
-    ctx.fillStyle = grad;
-    ctx.fillRect(0, 0, 256, 256);
-    
-    // Subtle pattern
-    ctx.globalAlpha = 0.1;
-    ctx.strokeStyle = '#ffd700';
-    ctx.lineWidth = 1;
-    for (let i = 0; i < 256; i += 16) {
-      ctx.beginPath();
-      ctx.moveTo(i, 0);
-      ctx.lineTo(i, 256);
-      ctx.stroke();
+    collidersRef.current?.forEach(clothSystem.addCollider);
+    if (warmStart.settle) {
+      // Against the pose the first frame will use, colliders in place
+      clothSystem.settle(character ? character.skeleton.update() : swayShoulders, settleOptions(warmStart.settle));
     }
-    
-    // Edge trim
-    ctx.globalAlpha = 0.3;
-    ctx.fillStyle = '#ffd700';
-    ctx.fillRect(0, 0, 256, 8);
-    ctx.fillRect(0, 0, 4, 256);
-    ctx.fillRect(252, 0, 4, 256);
-    
-    const texture = new THREE.CanvasTexture(canvas);
-    
-    const material = new THREE.MeshStandardMaterial({
-      map: texture,
-      side: THREE.DoubleSide,
-      roughness: 0.7,
-      metalness: 0.1,
-    });
-    
-    const mesh = new THREE.Mesh(geometry, material);
-    scene.add(mesh);
-    
-    // Debug visualization
-    let particlePoints = null;
-    let constraintLines = null;
-    
-    const createDebugVisuals = () => {
-      // Particle points
-      const pointsGeo = new THREE.BufferGeometry();
-      const pointsPos = new Float32Array(particles.length * 3);
-      pointsGeo.setAttribute('position', new THREE.BufferAttribute(pointsPos, 3));
-      
-      particlePoints = new THREE.Points(
-        pointsGeo,
-        new THREE.PointsMaterial({ color: 0x00ffff, size: 0.03 })
-      );
-      particlePoints.visible = false;
-      scene.add(particlePoints);
-      
-      // Constraint lines
-      const lineGeo = new THREE.BufferGeometry();
-      const linePos = new Float32Array(constraints.length * 6);
-      lineGeo.setAttribute('position', new THREE.BufferAttribute(linePos, 3));
-      
-      constraintLines = new THREE.LineSegments(
-        lineGeo,
-        new THREE.LineBasicMaterial({ color: 0xffff00, opacity: 0.3, transparent: true })
-      );
-      constraintLines.visible = false;
-      scene.add(constraintLines);
-    };
-    createDebugVisuals();
-    
-    // Update function
-    const update = (dt, time, attachments, cfg) => {
-      const subSteps = 3;
-      const subDt = dt / subSteps;
-      
-      for (let step = 0; step < subSteps; step++) {
-        // Apply gravity
-        const gravity = new THREE.Vector3(0, -cfg.gravity * subDt * subDt, 0);
-        
-        // Apply wind (turbulent)
-        const windBase = cfg.windStrength;
-        const windX = Math.sin(time * 2.3) * 0.5 + Math.sin(time * 5.1) * 0.2;
-        const windZ = Math.cos(time * 1.7) * 0.8 + 1.0;
-        const wind = new THREE.Vector3(
-          windX * windBase * subDt * subDt,
-          Math.sin(time * 3) * windBase * 0.1 * subDt * subDt,
-          windZ * windBase * subDt * subDt
-        );
-        
-        // Update particles
-        particles.forEach((p, i) => {
-          if (p.pinned) {
-            // Move pinned particles to attachment points
-            const row = Math.floor(i / (SEGMENTS_X + 1));
-            const col = i % (SEGMENTS_X + 1);
-            
-            if (row === 0) {
-              if (col <= 2 && attachments[0]) {
-                // Left attachment
-                const t = col / 2;
-                p.position.lerpVectors(attachments[0], attachments[1], t * 0.2);
-                p.position.z = 0;
-              } else if (col >= SEGMENTS_X - 2 && attachments[1]) {
-                // Right attachment
-                const t = (SEGMENTS_X - col) / 2;
-                p.position.lerpVectors(attachments[1], attachments[0], t * 0.2);
-                p.position.z = 0;
-              }
-            }
-            return;
-          }
-          
-          p.applyForce(gravity);
-          
-          // Wind affects front face more
-          const windEffect = wind.clone();
-          if (p.position.z < 0) windEffect.multiplyScalar(0.3);
-          p.applyForce(windEffect);
-          
-          p.update(cfg.damping);
-        });
-        
-        // Solve constraints
-        for (let iter = 0; iter < cfg.iterations; iter++) {
-          constraints.forEach(c => {
-            const diff = c.p2.position.clone().sub(c.p1.position);
-            const dist = diff.length();
-            if (dist === 0) return;
-            
-            const error = (dist - c.restLength) / dist;
-            const correction = diff.multiplyScalar(error * cfg.stiffness * c.stiffness * 0.5);
-            
-            if (!c.p1.pinned && !c.p2.pinned) {
-              c.p1.position.add(correction);
-              c.p2.position.sub(correction);
-            } else if (!c.p1.pinned) {
-              c.p1.position.add(correction.multiplyScalar(2));
-            } else if (!c.p2.pinned) {
-              c.p2.position.sub(correction.multiplyScalar(2));
-            }
-          });
-        }
-      }
-      
-      // Update mesh geometry
-      const posAttr = mesh.geometry.attributes.position;
-      particles.forEach((p, i) => {
-        posAttr.setXYZ(i, p.position.x, p.position.y, p.position.z);
-      });
-      posAttr.needsUpdate = true;
-      mesh.geometry.computeVertexNormals();
-      
-      // Update debug visuals
-      if (particlePoints?.visible) {
-        const ppAttr = particlePoints.geometry.attributes.position;
-        particles.forEach((p, i) => {
-          ppAttr.setXYZ(i, p.position.x, p.position.y, p.position.z);
-        });
-        ppAttr.needsUpdate = true;
-      }
-      
-      if (constraintLines?.visible) {
-        const clAttr = constraintLines.geometry.attributes.position;
-        constraints.forEach((c, i) => {
-          clAttr.setXYZ(i * 2, c.p1.position.x, c.p1.position.y, c.p1.position.z);
-          clAttr.setXYZ(i * 2 + 1, c.p2.position.x, c.p2.position.y, c.p2.position.z);
-        });
-        clAttr.needsUpdate = true;
+    clothSystem.setDebugMode(config.showParticles, config.showConstraints, config.showColliders, debugModeOptions(config));
+    clothSystem.showWeightMap(config.showWeightMap);
+    clothSystem.backend.onParamsApplied = (params) => onParamsAppliedRef.current?.(params);
+    clothSystem.backend.onTear = (tear) => onTearRef.current?.(tear);
+    clothSystem.backend.onInstability = (info) => onInstabilityRef.current?.(info);
+    clothSystemRef.current = clothSystem;
+
+    return () => {
+      clothSystem.dispose();
+      if (clothSystemRef.current === clothSystem) clothSystemRef.current = null;
+      // A bake can't continue on a rebuilt cloth
+      if (bakeRef.current) {
+        bakeRef.current = null;
+        setBaking(false);
       }
     };
-    
-    const setDebugMode = (showParticles, showConstraints) => {
-      if (particlePoints) particlePoints.visible = showParticles;
-      if (constraintLines) constraintLines.visible = showConstraints;
+  }, [width, height, segmentsX, segmentsY, pinLayout, pinsKey, bending, bendRestAngle, useWorker, mendCount, activeCharacter, activeMesh, weightMaps]);
+
+  // A/B compare: a second cloth with the compared preset's physics and
+  // material, on the same shoulders moved COMPARE_OFFSET to the right. It
+  // takes the other settings (solver, tethers, ...) as they are when built.
+  useEffect(() => {
+    const scene = sceneRef.current;
+    const camera = cameraRef.current;
+    if (!scene || !comparedPreset) return;
+    if (activeCharacter) {
+      console.warn('ClothDemo: A/B compare needs the shoulder markers, not a character');
+      return;
+    }
+
+    const system = createClothSystem(scene, {
+      ...config,
+      ...comparedPreset.params,
+      width,
+      height,
+      segmentsX,
+      segmentsY,
+      pinLayout,
+      pins: pinsRef.current,
+      bending,
+      bendRestAngle,
+      transform: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, COMPARE_OFFSET, 0, 0, 1],
+      mesh: activeMesh,
+      weightMaps: fitWeightMaps(weightMaps, activeMesh, mesh),
+      worker: useWorker,
+      windFields: windFieldsRef.current,
+      texture: appearanceRef.current.texture,
+      materialProps: { ...materialProps, ...comparedPreset.material },
+    });
+    collidersRef.current?.forEach(system.addCollider);
+    const { settle } = warmStartRef.current;
+    if (settle) system.settle((t) => offsetAttachments(swayShoulders(t), COMPARE_OFFSET), settleOptions(settle));
+    compareSystemRef.current = system;
+
+    // Frame both cloths
+    camera.position.x = COMPARE_OFFSET / 2;
+    camera.lookAt(COMPARE_OFFSET / 2, -0.5, 0);
+
+    return () => {
+      system.dispose();
+      compareSystemRef.current = null;
+      camera.position.x = 0;
+      camera.lookAt(0, -0.5, 0);
     };
-    
-    return { update, setDebugMode };
-  }
+  }, [comparedPreset, width, height, segmentsX, segmentsY, pinLayout, pinsKey, bending, bendRestAngle, useWorker, mendCount, activeCharacter, activeMesh, weightMaps]);
+
+  // Push physics changes into the running simulation
+  useEffect(() => {
+    clothSystemRef.current?.setParams({
+      gravity: config.gravity,
+      windStrength: config.windStrength,
+      stiffness: config.stiffness,
+      structuralStiffness: config.structuralStiffness,
+      shearStiffness: config.shearStiffness,
+      bendingStiffness: config.bendingStiffness,
+      mass: config.mass,
+      damping: config.damping,
+      dragCoefficient: config.dragCoefficient,
+      liftCoefficient: config.liftCoefficient,
+      iterations: config.iterations,
+      solver: config.solver,
+      stretchCompliance: config.stretchCompliance,
+      shearCompliance: config.shearCompliance,
+      bendCompliance: config.bendCompliance,
+      tethers: config.tethers,
+      selfCollision: config.selfCollision,
+      selfCollisionThickness: config.selfCollisionThickness,
+      tearThreshold: config.tearThreshold,
+      maxSpeed: config.maxSpeed,
+      instabilityStretch: config.instabilityStretch,
+    }, { transition: paramTransition });
+  }, [
+    config.gravity, config.windStrength, config.stiffness, config.damping, config.iterations,
+    config.structuralStiffness, config.shearStiffness, config.bendingStiffness, config.mass,
+    config.dragCoefficient, config.liftCoefficient, config.solver, config.stretchCompliance, config.shearCompliance, config.bendCompliance, config.tethers,
+    config.selfCollision, config.selfCollisionThickness, config.tearThreshold,
+    config.maxSpeed, config.instabilityStretch,
+  ]);
+
+  useEffect(() => {
+    const clothSystem = clothSystemRef.current;
+    if (!clothSystem || !colliders) return;
+    colliders.forEach(clothSystem.addCollider);
+    return () => colliders.forEach(clothSystem.removeCollider);
+  }, [colliders]);
+
+  useEffect(() => {
+    clothSystemRef.current?.setWindFields(windFields ?? createDefaultWindFields());
+  }, [windFields]);
+
+  useEffect(() => {
+    clothSystemRef.current?.setStepRate(config.stepRate);
+  }, [config.stepRate]);
+
+  useEffect(() => {
+    clothSystemRef.current?.setTexture(texture);
+  }, [texture]);
+
+  useEffect(() => {
+    clothSystemRef.current?.setMaterialProps({ ...materialProps, ...presetMaterial });
+  }, [materialProps, presetMaterial]);
+
+  // Update cloth config reactively
+  useEffect(() => {
+    if (clothSystemRef.current) {
+      clothSystemRef.current.setDebugMode(config.showParticles, config.showConstraints, config.showColliders, debugModeOptions(config));
+    }
+  }, [
+    config.showParticles, config.showConstraints, config.showColliders,
+    config.constraintColors, config.constraintTypes, config.showVelocities, config.showStrain,
+  ]);
+
+  useEffect(() => {
+    clothSystemRef.current?.showWeightMap(config.showWeightMap);
+  }, [config.showWeightMap]);
 
   return (
     <div className="relative w-full h-screen overflow-hidden" style={{ background: '#0d0d12' }}>
@@ -562,134 +1677,567 @@ const ClothDemo = () => {
       </div>
       
       {/* Controls */}
-      <div className="absolute left-4 top-1/2 -translate-y-1/2 w-56 z-10">
-        <div className="rounded-lg p-4 space-y-4" style={{ 
-          background: 'rgba(20,18,28,0.9)', 
-          border: '1px solid rgba(100,80,140,0.3)',
-          backdropFilter: 'blur(8px)'
-        }}>
-          <h2 className="text-xs tracking-[0.15em] uppercase pb-2" style={{ 
-            color: 'rgba(180,160,200,0.8)',
-            borderBottom: '1px solid rgba(100,80,140,0.3)'
+      {showControls && (
+        <div className="absolute left-4 top-1/2 -translate-y-1/2 w-56 z-10">
+          <div className="rounded-lg p-4 space-y-4" style={{ 
+            background: 'rgba(20,18,28,0.9)', 
+            border: '1px solid rgba(100,80,140,0.3)',
+            backdropFilter: 'blur(8px)'
           }}>
-            Physics Parameters
-          </h2>
-          
-          {/* Gravity */}
-          <div className="space-y-1">
-            <div className="flex justify-between">
-              <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>Gravity</span>
-              <span className="text-xs" style={{ color: 'rgba(200,180,220,0.9)' }}>{config.gravity.toFixed(1)}</span>
+            <h2 className="text-xs tracking-[0.15em] uppercase pb-2" style={{ 
+              color: 'rgba(180,160,200,0.8)',
+              borderBottom: '1px solid rgba(100,80,140,0.3)'
+            }}>
+              Physics Parameters
+            </h2>
+
+            {/* Presets: apply, save, export/import and A/B compare */}
+            <div className="space-y-2">
+              <div className="flex flex-wrap gap-1">
+                {presetOptions.map(([key, preset]) => (
+                  <div key={key} className="flex">
+                    <button
+                      onClick={() => applyPreset(preset)}
+                      className="px-2 py-1 rounded text-xs uppercase tracking-wider"
+                      style={{ background: '#2a2540', color: 'rgba(200,180,220,0.9)', border: '1px solid rgba(100,80,140,0.3)' }}
+                    >
+                      {preset.name}
+                    </button>
+                    {key.startsWith('custom:') && (
+                      <button
+                        onClick={() => deletePreset(key.slice('custom:'.length))}
+                        title="Delete preset"
+                        className="px-1 text-xs"
+                        style={{ color: 'rgba(160,140,180,0.7)' }}
+                      >
+                        ×
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+              <div className="flex gap-1">
+                <input
+                  type="text"
+                  value={presetName}
+                  onChange={(e) => setPresetName(e.target.value)}
+                  placeholder="Preset name"
+                  className="flex-1 min-w-0 text-xs rounded px-1"
+                  style={{ background: '#2a2540', color: 'rgba(200,180,220,0.9)', border: '1px solid rgba(100,80,140,0.3)' }}
+                />
+                <button
+                  onClick={savePreset}
+                  className="px-2 py-1 rounded text-xs uppercase tracking-wider"
+                  style={{ background: '#2a2540', color: 'rgba(200,180,220,0.9)', border: '1px solid rgba(100,80,140,0.3)' }}
+                >
+                  Save
+                </button>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => downloadPresets(customPresets)}
+                  className="flex-1 py-1 rounded text-xs uppercase tracking-wider"
+                  style={{ background: '#2a2540', color: 'rgba(200,180,220,0.9)', border: '1px solid rgba(100,80,140,0.3)' }}
+                >
+                  Export
+                </button>
+                <label
+                  className="flex-1 py-1 rounded text-xs uppercase tracking-wider text-center cursor-pointer"
+                  style={{ background: '#2a2540', color: 'rgba(200,180,220,0.9)', border: '1px solid rgba(100,80,140,0.3)' }}
+                >
+                  Import
+                  <input
+                    type="file"
+                    accept=".json"
+                    className="hidden"
+                    onChange={async (e) => {
+                      const file = e.target.files[0];
+                      e.target.value = '';
+                      if (!file) return;
+                      try {
+                        const imported = await readPresetFile(file);
+                        updateCustomPresets(presets => ({ ...presets, ...imported }));
+                      } catch (error) {
+                        console.warn('ClothDemo: could not import presets', error);
+                      }
+                    }}
+                  />
+                </label>
+              </div>
+              <label className="flex items-center justify-between gap-2">
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>
+                  Compare With
+                </span>
+                <select
+                  value={comparedPreset ? comparePreset : ''}
+                  onChange={(e) => setComparePreset(e.target.value || null)}
+                  className="text-xs rounded px-1"
+                  style={{ background: '#2a2540', color: 'rgba(200,180,220,0.9)', border: '1px solid rgba(100,80,140,0.3)' }}
+                >
+                  <option value="">Off</option>
+                  {presetOptions.map(([key, preset]) => <option key={key} value={key}>{preset.name}</option>)}
+                </select>
+              </label>
             </div>
-            <input
-              type="range" min="0" max="40" step="1"
-              value={config.gravity}
-              onChange={(e) => setConfig(c => ({ ...c, gravity: parseFloat(e.target.value) }))}
-              className="w-full h-1 rounded-full appearance-none cursor-pointer"
-              style={{ background: '#2a2540', accentColor: '#8866aa' }}
-            />
-          </div>
           
-          {/* Wind */}
-          <div className="space-y-1">
-            <div className="flex justify-between">
-              <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>Wind</span>
-              <span className="text-xs" style={{ color: 'rgba(200,180,220,0.9)' }}>{config.windStrength.toFixed(1)}</span>
+            {/* Gravity */}
+            <div className="space-y-1">
+              <div className="flex justify-between">
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>Gravity</span>
+                <span className="text-xs" style={{ color: 'rgba(200,180,220,0.9)' }}>{config.gravity.toFixed(1)}</span>
+              </div>
+              <input
+                type="range" min="0" max="40" step="1"
+                value={config.gravity}
+                onChange={(e) => setConfig(c => ({ ...c, gravity: parseFloat(e.target.value) }))}
+                className="w-full h-1 rounded-full appearance-none cursor-pointer"
+                style={{ background: '#2a2540', accentColor: '#8866aa' }}
+              />
             </div>
-            <input
-              type="range" min="0" max="15" step="0.5"
-              value={config.windStrength}
-              onChange={(e) => setConfig(c => ({ ...c, windStrength: parseFloat(e.target.value) }))}
-              className="w-full h-1 rounded-full appearance-none cursor-pointer"
-              style={{ background: '#2a2540', accentColor: '#8866aa' }}
-            />
-          </div>
           
-          {/* Stiffness */}
-          <div className="space-y-1">
-            <div className="flex justify-between">
-              <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>Stiffness</span>
-              <span className="text-xs" style={{ color: 'rgba(200,180,220,0.9)' }}>{config.stiffness.toFixed(2)}</span>
+            {/* Wind */}
+            <div className="space-y-1">
+              <div className="flex justify-between">
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>Wind</span>
+                <span className="text-xs" style={{ color: 'rgba(200,180,220,0.9)' }}>{config.windStrength.toFixed(1)}</span>
+              </div>
+              <input
+                type="range" min="0" max="15" step="0.5"
+                value={config.windStrength}
+                onChange={(e) => setConfig(c => ({ ...c, windStrength: parseFloat(e.target.value) }))}
+                className="w-full h-1 rounded-full appearance-none cursor-pointer"
+                style={{ background: '#2a2540', accentColor: '#8866aa' }}
+              />
             </div>
-            <input
-              type="range" min="0.3" max="1" step="0.05"
-              value={config.stiffness}
-              onChange={(e) => setConfig(c => ({ ...c, stiffness: parseFloat(e.target.value) }))}
-              className="w-full h-1 rounded-full appearance-none cursor-pointer"
-              style={{ background: '#2a2540', accentColor: '#8866aa' }}
-            />
-          </div>
           
-          {/* Damping */}
-          <div className="space-y-1">
-            <div className="flex justify-between">
-              <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>Damping</span>
-              <span className="text-xs" style={{ color: 'rgba(200,180,220,0.9)' }}>{config.damping.toFixed(2)}</span>
+            {/* Stiffness */}
+            <div className="space-y-1">
+              <div className="flex justify-between">
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>Stiffness</span>
+                <span className="text-xs" style={{ color: 'rgba(200,180,220,0.9)' }}>{config.stiffness.toFixed(2)}</span>
+              </div>
+              <input
+                type="range" min="0.3" max="1" step="0.05"
+                value={config.stiffness}
+                onChange={(e) => setConfig(c => ({ ...c, stiffness: parseFloat(e.target.value) }))}
+                className="w-full h-1 rounded-full appearance-none cursor-pointer"
+                style={{ background: '#2a2540', accentColor: '#8866aa' }}
+              />
             </div>
-            <input
-              type="range" min="0.9" max="0.995" step="0.005"
-              value={config.damping}
-              onChange={(e) => setConfig(c => ({ ...c, damping: parseFloat(e.target.value) }))}
-              className="w-full h-1 rounded-full appearance-none cursor-pointer"
-              style={{ background: '#2a2540', accentColor: '#8866aa' }}
-            />
-          </div>
           
-          {/* Iterations */}
-          <div className="space-y-1">
-            <div className="flex justify-between">
-              <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>Solver Iterations</span>
-              <span className="text-xs" style={{ color: 'rgba(200,180,220,0.9)' }}>{config.iterations}</span>
+            {/* Damping */}
+            <div className="space-y-1">
+              <div className="flex justify-between">
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>Damping</span>
+                <span className="text-xs" style={{ color: 'rgba(200,180,220,0.9)' }}>{config.damping.toFixed(2)}</span>
+              </div>
+              <input
+                type="range" min="0.9" max="0.995" step="0.005"
+                value={config.damping}
+                onChange={(e) => setConfig(c => ({ ...c, damping: parseFloat(e.target.value) }))}
+                className="w-full h-1 rounded-full appearance-none cursor-pointer"
+                style={{ background: '#2a2540', accentColor: '#8866aa' }}
+              />
             </div>
-            <input
-              type="range" min="1" max="20" step="1"
-              value={config.iterations}
-              onChange={(e) => setConfig(c => ({ ...c, iterations: parseInt(e.target.value) }))}
-              className="w-full h-1 rounded-full appearance-none cursor-pointer"
-              style={{ background: '#2a2540', accentColor: '#8866aa' }}
-            />
-          </div>
           
-          {/* Debug toggles */}
-          <div className="pt-2 space-y-2" style={{ borderTop: '1px solid rgba(100,80,140,0.3)' }}>
-            <label className="flex items-center gap-2 cursor-pointer">
+            {/* Iterations */}
+            <div className="space-y-1">
+              <div className="flex justify-between">
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>Solver Iterations</span>
+                <span className="text-xs" style={{ color: 'rgba(200,180,220,0.9)' }}>{config.iterations}</span>
+              </div>
               <input
-                type="checkbox"
-                checked={config.showParticles}
-                onChange={(e) => setConfig(c => ({ ...c, showParticles: e.target.checked }))}
-                className="w-3 h-3 rounded"
+                type="range" min="1" max="20" step="1"
+                value={config.iterations}
+                onChange={(e) => setConfig(c => ({ ...c, iterations: parseInt(e.target.value) }))}
+                className="w-full h-1 rounded-full appearance-none cursor-pointer"
+                style={{ background: '#2a2540', accentColor: '#8866aa' }}
               />
-              <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>
-                Show Particles
-              </span>
-            </label>
-            <label className="flex items-center gap-2 cursor-pointer">
+            </div>
+          
+            {/* Fabric: per-type stiffness, mass and wind response */}
+            {FABRIC_SLIDERS.map(([key, label, min, max, step]) => (
+              <div key={key} className="space-y-1">
+                <div className="flex justify-between">
+                  <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>{label}</span>
+                  <span className="text-xs" style={{ color: 'rgba(200,180,220,0.9)' }}>{config[key].toFixed(2)}</span>
+                </div>
+                <input
+                  type="range" min={min} max={max} step={step}
+                  value={config[key]}
+                  onChange={(e) => setConfig(c => ({ ...c, [key]: parseFloat(e.target.value) }))}
+                  className="w-full h-1 rounded-full appearance-none cursor-pointer"
+                  style={{ background: '#2a2540', accentColor: '#8866aa' }}
+                />
+              </div>
+            ))}
+
+            {/* Solver: Verlet, or XPBD with a compliance per constraint type */}
+            <div className="space-y-1">
+              <div className="flex justify-between">
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>Solver</span>
+                <select
+                  value={config.solver}
+                  onChange={(e) => setConfig(c => ({ ...c, solver: e.target.value }))}
+                  className="text-xs rounded px-1"
+                  style={{ background: '#2a2540', color: 'rgba(200,180,220,0.9)', border: '1px solid rgba(100,80,140,0.3)' }}
+                >
+                  <option value="verlet">Verlet</option>
+                  <option value="xpbd">XPBD</option>
+                </select>
+              </div>
+              {config.solver === 'xpbd' && COMPLIANCE_SLIDERS.map(([key, label]) => (
+                <div key={key} className="space-y-1">
+                  <div className="flex justify-between">
+                    <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>{label}</span>
+                    <span className="text-xs" style={{ color: 'rgba(200,180,220,0.9)' }}>{config[key].toExponential(0)}</span>
+                  </div>
+                  {/* log10 of the compliance */}
+                  <input
+                    type="range" min="-8" max="-2" step="0.5"
+                    value={Math.log10(config[key])}
+                    onChange={(e) => setConfig(c => ({ ...c, [key]: 10 ** parseFloat(e.target.value) }))}
+                    className="w-full h-1 rounded-full appearance-none cursor-pointer"
+                    style={{ background: '#2a2540', accentColor: '#8866aa' }}
+                  />
+                </div>
+              ))}
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={config.tethers}
+                  onChange={(e) => setConfig(c => ({ ...c, tethers: e.target.checked }))}
+                  className="w-3 h-3 rounded"
+                />
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>
+                  Tethers
+                </span>
+              </label>
+            </div>
+          
+            {/* Step rate */}
+            <div className="space-y-1">
+              <div className="flex justify-between">
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>Step Rate (Hz)</span>
+                <span className="text-xs" style={{ color: 'rgba(200,180,220,0.9)' }}>{config.stepRate}</span>
+              </div>
               <input
-                type="checkbox"
-                checked={config.showConstraints}
-                onChange={(e) => setConfig(c => ({ ...c, showConstraints: e.target.checked }))}
-                className="w-3 h-3 rounded"
+                type="range" min="30" max="240" step="10"
+                value={config.stepRate}
+                onChange={(e) => setConfig(c => ({ ...c, stepRate: parseInt(e.target.value) }))}
+                className="w-full h-1 rounded-full appearance-none cursor-pointer"
+                style={{ background: '#2a2540', accentColor: '#8866aa' }}
               />
-              <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>
-                Show Constraints
-              </span>
-            </label>
+            </div>
+          
+            {/* Debug toggles */}
+            <div className="pt-2 space-y-2" style={{ borderTop: '1px solid rgba(100,80,140,0.3)' }}>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={config.showParticles}
+                  onChange={(e) => setConfig(c => ({ ...c, showParticles: e.target.checked }))}
+                  className="w-3 h-3 rounded"
+                />
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>
+                  Show Particles
+                </span>
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={config.showConstraints}
+                  onChange={(e) => setConfig(c => ({ ...c, showConstraints: e.target.checked }))}
+                  className="w-3 h-3 rounded"
+                />
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>
+                  Show Constraints
+                </span>
+              </label>
+              {config.showConstraints && (
+                <div className="pl-5 space-y-1">
+                  <label className="flex items-center justify-between gap-2">
+                    <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>
+                      Colour
+                    </span>
+                    <select
+                      value={config.constraintColors}
+                      onChange={(e) => setConfig(c => ({ ...c, constraintColors: e.target.value }))}
+                      className="text-xs rounded px-1"
+                      style={{ background: '#2a2540', color: 'rgba(200,180,220,0.9)', border: '1px solid rgba(100,80,140,0.3)' }}
+                    >
+                      <option value="stretch">Stretch</option>
+                      <option value="flat">Flat</option>
+                    </select>
+                  </label>
+                  <div className="flex justify-between gap-2">
+                    {CONSTRAINT_TYPES.map(type => (
+                      <label key={type} className="flex items-center gap-1 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={config.constraintTypes.includes(type)}
+                          onChange={(e) => setConfig(c => ({
+                            ...c,
+                            constraintTypes: e.target.checked
+                              ? CONSTRAINT_TYPES.filter(t => t === type || c.constraintTypes.includes(t))
+                              : c.constraintTypes.filter(t => t !== type),
+                          }))}
+                          className="w-3 h-3 rounded"
+                        />
+                        <span className="text-xs capitalize" style={{ color: 'rgba(160,140,180,0.7)' }}>{type}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={config.showVelocities}
+                  onChange={(e) => setConfig(c => ({ ...c, showVelocities: e.target.checked }))}
+                  className="w-3 h-3 rounded"
+                />
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>
+                  Show Velocities
+                </span>
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={config.showStrain}
+                  onChange={(e) => setConfig(c => ({ ...c, showStrain: e.target.checked }))}
+                  className="w-3 h-3 rounded"
+                />
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>
+                  Strain Heatmap
+                </span>
+              </label>
+              {(config.showStrain || (config.showConstraints && config.constraintColors === 'stretch')) && (
+                <div className="space-y-1">
+                  {/* setStrainColor's scale */}
+                  <div className="h-1 rounded-full" style={{ background: 'linear-gradient(to right, #0d16f2, #11f20d, #f20d0d)' }} />
+                  <div className="flex justify-between text-xs" style={{ color: 'rgba(160,140,180,0.7)' }}>
+                    <span>-{STRAIN_COLOR_RANGE * 100}%</span>
+                    <span>rest</span>
+                    <span>+{STRAIN_COLOR_RANGE * 100}%</span>
+                  </div>
+                </div>
+              )}
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={config.showColliders}
+                  onChange={(e) => setConfig(c => ({ ...c, showColliders: e.target.checked }))}
+                  className="w-3 h-3 rounded"
+                />
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>
+                  Show Colliders
+                </span>
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={config.showStats}
+                  onChange={(e) => setConfig(c => ({ ...c, showStats: e.target.checked }))}
+                  className="w-3 h-3 rounded"
+                />
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>
+                  Show Stats
+                </span>
+              </label>
+              <label className="flex items-center justify-between gap-2">
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>
+                  Weight Map
+                </span>
+                <select
+                  value={config.showWeightMap ?? ''}
+                  onChange={(e) => setConfig(c => ({ ...c, showWeightMap: e.target.value || null }))}
+                  className="text-xs rounded px-1"
+                  style={{ background: '#2a2540', color: 'rgba(200,180,220,0.9)', border: '1px solid rgba(100,80,140,0.3)' }}
+                >
+                  <option value="">Off</option>
+                  {Object.keys(WEIGHT_MAPS).map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </label>
+            </div>
+
+            {/* Self collision */}
+            <div className="pt-2 space-y-2" style={{ borderTop: '1px solid rgba(100,80,140,0.3)' }}>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={config.selfCollision}
+                  onChange={(e) => setConfig(c => ({ ...c, selfCollision: e.target.checked }))}
+                  className="w-3 h-3 rounded"
+                />
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>
+                  Self Collision
+                </span>
+              </label>
+              {config.selfCollision && (
+                <>
+                  <div className="space-y-1">
+                    <div className="flex justify-between">
+                      <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>Thickness</span>
+                      <span className="text-xs" style={{ color: 'rgba(200,180,220,0.9)' }}>{config.selfCollisionThickness.toFixed(3)}</span>
+                    </div>
+                    <input
+                      type="range" min="0.005" max="0.06" step="0.005"
+                      value={config.selfCollisionThickness}
+                      onChange={(e) => setConfig(c => ({ ...c, selfCollisionThickness: parseFloat(e.target.value) }))}
+                      className="w-full h-1 rounded-full appearance-none cursor-pointer"
+                      style={{ background: '#2a2540', accentColor: '#8866aa' }}
+                    />
+                  </div>
+                  <p ref={selfCollisionReadoutRef} className="text-xs" style={{ color: 'rgba(200,180,220,0.9)' }} />
+                </>
+              )}
+            </div>
+
+            {/* Tearing */}
+            <div className="pt-2 space-y-2" style={{ borderTop: '1px solid rgba(100,80,140,0.3)' }}>
+              <div className="space-y-1">
+                <div className="flex justify-between">
+                  <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>Tear At</span>
+                  <span className="text-xs" style={{ color: 'rgba(200,180,220,0.9)' }}>
+                    {config.tearThreshold > 0 ? `${config.tearThreshold.toFixed(1)}× stretch` : 'Off'}
+                  </span>
+                </div>
+                {/* The far left of the slider (1.0) turns tearing off */}
+                <input
+                  type="range" min="1" max="3" step="0.1"
+                  value={config.tearThreshold || 1}
+                  onChange={(e) => {
+                    const ratio = parseFloat(e.target.value);
+                    setConfig(c => ({ ...c, tearThreshold: ratio > 1 ? ratio : 0 }));
+                  }}
+                  className="w-full h-1 rounded-full appearance-none cursor-pointer"
+                  style={{ background: '#2a2540', accentColor: '#8866aa' }}
+                />
+              </div>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={config.cutTool}
+                  onChange={(e) => setConfig(c => ({ ...c, cutTool: e.target.checked }))}
+                  className="w-3 h-3 rounded"
+                />
+                <span className="text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>
+                  Cut Tool (drag across cloth)
+                </span>
+              </label>
+              <button
+                onClick={() => setMendCount(n => n + 1)}
+                className="w-full py-1 rounded text-xs uppercase tracking-wider"
+                style={{ background: '#2a2540', color: 'rgba(200,180,220,0.9)', border: '1px solid rgba(100,80,140,0.3)' }}
+              >
+                Mend Cloth
+              </button>
+            </div>
+
+            {/* Character */}
+            <div className="pt-2 space-y-2" style={{ borderTop: '1px solid rgba(100,80,140,0.3)' }}>
+              <label className="block text-xs uppercase tracking-wider cursor-pointer" style={{ color: 'rgba(160,140,180,0.7)' }}>
+                Load Character (.glb)
+                <input
+                  type="file"
+                  accept=".glb,.gltf"
+                  className="hidden"
+                  onChange={async (e) => {
+                    const file = e.target.files[0];
+                    e.target.value = '';
+                    if (!file) return;
+                    try {
+                      setLoadedCharacter(await loadCharacterFile(file));
+                    } catch (error) {
+                      console.warn('ClothDemo: could not load character', error);
+                    }
+                  }}
+                />
+              </label>
+              {loadedCharacter && (
+                <button
+                  onClick={() => setLoadedCharacter(null)}
+                  className="w-full py-1 rounded text-xs uppercase tracking-wider"
+                  style={{ background: '#2a2540', color: 'rgba(200,180,220,0.9)', border: '1px solid rgba(100,80,140,0.3)' }}
+                >
+                  Remove Character
+                </button>
+              )}
+            </div>
+
+            {/* Cloth mesh */}
+            <div className="pt-2 space-y-2" style={{ borderTop: '1px solid rgba(100,80,140,0.3)' }}>
+              <label className="block text-xs uppercase tracking-wider cursor-pointer" style={{ color: 'rgba(160,140,180,0.7)' }}>
+                Load Cloth Mesh (.obj)
+                <input
+                  type="file"
+                  accept=".obj"
+                  className="hidden"
+                  onChange={async (e) => {
+                    const file = e.target.files[0];
+                    e.target.value = '';
+                    if (!file) return;
+                    try {
+                      setLoadedMesh(await loadClothMeshFile(file, width));
+                    } catch (error) {
+                      console.warn('ClothDemo: could not load cloth mesh', error);
+                    }
+                  }}
+                />
+              </label>
+              {loadedMesh && (
+                <button
+                  onClick={() => setLoadedMesh(null)}
+                  className="w-full py-1 rounded text-xs uppercase tracking-wider"
+                  style={{ background: '#2a2540', color: 'rgba(200,180,220,0.9)', border: '1px solid rgba(100,80,140,0.3)' }}
+                >
+                  Use Grid Cloth
+                </button>
+              )}
+            </div>
+
+            {/* Bake */}
+            <div className="pt-2 space-y-2" style={{ borderTop: '1px solid rgba(100,80,140,0.3)' }}>
+              <label className="block text-xs uppercase tracking-wider" style={{ color: 'rgba(160,140,180,0.7)' }}>
+                {baking ? 'Baking…' : `Bake ${BAKE_SECONDS}s`}
+              </label>
+              <div className="flex gap-2">
+                {[['glb', 'glTF'], ['vcache', 'Cache + OBJ']].map(([format, label]) => (
+                  <button
+                    key={format}
+                    onClick={() => startBake(format)}
+                    disabled={baking}
+                    className="flex-1 py-1 rounded text-xs uppercase tracking-wider"
+                    style={{ background: '#2a2540', color: 'rgba(200,180,220,0.9)', border: '1px solid rgba(100,80,140,0.3)', opacity: baking ? 0.5 : 1 }}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
           </div>
         </div>
-      </div>
+      )}
       
-      {/* Info */}
-      <div className="absolute right-4 bottom-4 text-right pointer-events-none">
-        <p className="text-xs" style={{ color: 'rgba(140,120,160,0.6)' }}>
-          12×18 particle grid
-        </p>
-        <p className="text-xs" style={{ color: 'rgba(140,120,160,0.6)' }}>
-          Verlet integration + constraint solving
-        </p>
-        <p className="text-xs" style={{ color: 'rgba(140,120,160,0.6)' }}>
-          Structural + shear + bending constraints
-        </p>
-      </div>
+      {/* Performance HUD, filled in by the animation loop */}
+      {config.showStats && (
+        <div
+          className="absolute right-4 bottom-4 rounded-lg p-2 pointer-events-none"
+          style={{ background: 'rgba(20,15,30,0.8)', border: '1px solid rgba(100,80,140,0.3)' }}
+        >
+          <canvas ref={statsGraphRef} width={HUD_SAMPLES * 1.5} height={40} className="block mb-1" />
+          <div className="flex gap-3 mb-1 text-xs">
+            <span style={{ color: HUD_GRAPH_COLORS.frame }}>frame ms</span>
+            <span style={{ color: HUD_GRAPH_COLORS.cloth }}>cloth update ms</span>
+          </div>
+          <p
+            ref={statsTextRef}
+            className="text-xs font-mono"
+            style={{ color: 'rgba(200,180,220,0.9)', whiteSpace: 'pre' }}
+          />
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,253 @@
+// ============================================================================
+// CLOTH PRESET LIBRARY - The fabric material presets behind ClothPresets.js.
+// A plain script with no imports or exports, so demo.html can load it with a
+// classic <script> tag and still run from file://. It puts its API on
+// globalThis.ClothPresets; modules import it through ClothPresets.js.
+// ============================================================================
+
+(function () {
+  const PRESET_FORMAT = 'cloth-presets';
+  // Bump when the preset layout changes; importPresets rejects newer versions
+  const PRESET_VERSION = 1;
+
+  // localStorage key holding the user's own presets
+  const PRESET_STORAGE_KEY = 'cloth-presets';
+
+  // ClothSimulation params a preset sets. gravity and windStrength describe
+  // the scene rather than the fabric, but presets have always set them.
+  const PRESET_PARAMS = [
+    'gravity',
+    'windStrength',
+    'stiffness',
+    'structuralStiffness',
+    'shearStiffness',
+    'bendingStiffness',
+    'mass',
+    'damping',
+    'dragCoefficient',  // wind response: how hard the air pushes the cloth ...
+    'liftCoefficient',  // ... and how much it lifts it sideways
+    'iterations',
+  ];
+
+  // Built-in presets. Material values are THREE.MeshStandardMaterial params;
+  // the colour tints the cloth's texture.
+  //   preset = { name, params: { ...PRESET_PARAMS }, material: { color, roughness, metalness } }
+  const MATERIAL_PRESETS = {
+    default: {
+      name: 'Default',
+      params: {
+        gravity: 15, windStrength: 3, stiffness: 0.9,
+        structuralStiffness: 1.0, shearStiffness: 0.8, bendingStiffness: 0.5,
+        mass: 1, damping: 0.98, dragCoefficient: 0.35, liftCoefficient: 0.2, iterations: 8,
+      },
+      material: { color: '#ffffff', roughness: 0.7, metalness: 0.1 },
+    },
+    silk: {
+      name: 'Silk',
+      params: {
+        gravity: 8, windStrength: 6, stiffness: 0.6,
+        structuralStiffness: 1.0, shearStiffness: 0.5, bendingStiffness: 0.1,
+        mass: 0.5, damping: 0.99, dragCoefficient: 0.45, liftCoefficient: 0.35, iterations: 12,
+      },
+      material: { color: '#f4e6ff', roughness: 0.35, metalness: 0.25 },
+    },
+    heavy: {
+      name: 'Heavy',
+      params: {
+        gravity: 30, windStrength: 2, stiffness: 0.95,
+        structuralStiffness: 1.0, shearStiffness: 0.9, bendingStiffness: 0.6,
+        mass: 2.5, damping: 0.96, dragCoefficient: 0.3, liftCoefficient: 0.1, iterations: 10,
+      },
+      material: { color: '#d08898', roughness: 0.95, metalness: 0 },
+    },
+    windy: {
+      name: 'Windy',
+      params: {
+        gravity: 12, windStrength: 12, stiffness: 0.85,
+        structuralStiffness: 1.0, shearStiffness: 0.7, bendingStiffness: 0.3,
+        mass: 0.7, damping: 0.97, dragCoefficient: 0.4, liftCoefficient: 0.3, iterations: 8,
+      },
+      material: { color: '#ffffff', roughness: 0.5, metalness: 0.05 },
+    },
+    stiff: {
+      name: 'Stiff',
+      params: {
+        gravity: 15, windStrength: 3, stiffness: 1.0,
+        structuralStiffness: 1.0, shearStiffness: 1.0, bendingStiffness: 0.9,
+        mass: 1.5, damping: 0.98, dragCoefficient: 0.3, liftCoefficient: 0.15, iterations: 15,
+      },
+      material: { color: '#e8dcc0', roughness: 0.9, metalness: 0 },
+    },
+  };
+
+  // Lowest mass a preset may set; the solver divides by it
+  const MIN_MASS = 0.01;
+
+  // [min, max] each of PRESET_PARAMS is clamped to. Stiffness and damping are
+  // fractions: above 1 the solver overshoots and adds energy, below 0 it
+  // pushes the cloth apart. Negative forces would turn gravity and wind
+  // around, and negative drag or lift adds energy rather than taking it.
+  const PARAM_RANGES = {
+    gravity: [0, Infinity],
+    windStrength: [0, Infinity],
+    stiffness: [0, 1],
+    structuralStiffness: [0, 1],
+    shearStiffness: [0, 1],
+    bendingStiffness: [0, 1],
+    mass: [MIN_MASS, Infinity],
+    damping: [0, 1],
+    dragCoefficient: [0, Infinity],
+    liftCoefficient: [0, Infinity],
+    iterations: [1, Infinity],
+  };
+
+  // A complete, valid preset from any object: missing or malformed values
+  // come from the default preset, out-of-range ones are clamped, unknown keys
+  // are dropped
+  function normalizePreset(preset) {
+    if (!preset || typeof preset !== 'object') throw new Error('Not a cloth preset');
+    const base = MATERIAL_PRESETS.default;
+
+    const params = {};
+    for (const key of PRESET_PARAMS) {
+      const value = preset.params?.[key];
+      const [min, max] = PARAM_RANGES[key];
+      params[key] = Math.min(Math.max(Number.isFinite(value) ? value : base.params[key], min), max);
+    }
+    params.iterations = Math.round(params.iterations);
+
+    const material = {};
+    for (const key of Object.keys(base.material)) {
+      const value = preset.material?.[key];
+      material[key] = typeof value === typeof base.material[key] ? value : base.material[key];
+    }
+
+    const name = typeof preset.name === 'string' && preset.name.trim() ? preset.name.trim() : 'Untitled';
+    return { name, params, material };
+  }
+
+  // A preset of the physics in `config` (e.g. ClothDemo's config) and a material
+  function presetFromConfig(name, config, material = {}) {
+    const params = {};
+    for (const key of PRESET_PARAMS) params[key] = config[key];
+    return normalizePreset({ name, params, material });
+  }
+
+  // Storage id of a preset: its name, lowercased with runs of other
+  // characters as dashes
+  function presetId(preset) {
+    return preset.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset';
+  }
+
+  // ============================================================================
+  // Saved presets and JSON files
+  // ============================================================================
+
+  // The user's saved presets as { id: preset }; empty without storage or when
+  // what is stored can't be read
+  function loadCustomPresets(storage = browserStorage()) {
+    const text = storage?.getItem(PRESET_STORAGE_KEY);
+    if (!text) return {};
+    try {
+      return importPresets(text);
+    } catch (error) {
+      console.warn('ClothPresets: ignoring unreadable saved presets', error);
+      return {};
+    }
+  }
+
+  // Replace the saved presets with { id: preset }. Throws without storage,
+  // or when the browser refuses to store them (private windows, quota).
+  function saveCustomPresets(presets, storage = browserStorage()) {
+    if (!storage) throw new Error('No storage to save presets in');
+    storage.setItem(PRESET_STORAGE_KEY, exportPresets(presets));
+  }
+
+  // Save one preset under presetId(preset), replacing one of the same name.
+  // Returns the id.
+  function saveCustomPreset(preset, storage = browserStorage()) {
+    const normalized = normalizePreset(preset);
+    const id = presetId(normalized);
+    saveCustomPresets({ ...loadCustomPresets(storage), [id]: normalized }, storage);
+    return id;
+  }
+
+  function deleteCustomPreset(id, storage = browserStorage()) {
+    const presets = loadCustomPresets(storage);
+    delete presets[id];
+    saveCustomPresets(presets, storage);
+  }
+
+  // { id: preset } (or a list of presets) -> versioned JSON text
+  function exportPresets(presets) {
+    const list = Array.isArray(presets) ? presets : Object.values(presets);
+    return JSON.stringify({
+      format: PRESET_FORMAT,
+      version: PRESET_VERSION,
+      presets: list.map(normalizePreset),
+    }, null, 2);
+  }
+
+  // exportPresets' JSON (or the parsed object) -> { id: preset }; throws if it
+  // isn't a preset file this version can read
+  function importPresets(data) {
+    const file = typeof data === 'string' ? JSON.parse(data) : data;
+    if (file?.format !== PRESET_FORMAT || !Array.isArray(file.presets)) throw new Error('Not a cloth preset file');
+    if (file.version > PRESET_VERSION) throw new Error(`Unsupported cloth preset version: ${file.version}`);
+
+    const presets = {};
+    for (const preset of file.presets) {
+      const normalized = normalizePreset(preset);
+      presets[presetId(normalized)] = normalized;
+    }
+    return presets;
+  }
+
+  // ============================================================================
+  // Preset files in the browser
+  // ============================================================================
+
+  // Save { id: preset } as a JSON file through the browser's downloads
+  function downloadPresets(presets, name = 'cloth-presets.json') {
+    const url = URL.createObjectURL(new Blob([exportPresets(presets)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // A File (e.g. from an <input type="file">) of exportPresets' JSON ->
+  // Promise of { id: preset }; rejects if it isn't a preset file
+  async function readPresetFile(file) {
+    return importPresets(await file.text());
+  }
+
+  // localStorage where there is one; reading it throws in some sandboxes
+  function browserStorage() {
+    try {
+      return globalThis.localStorage ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  globalThis.ClothPresets = {
+    PRESET_FORMAT,
+    PRESET_VERSION,
+    PRESET_STORAGE_KEY,
+    PRESET_PARAMS,
+    MATERIAL_PRESETS,
+    normalizePreset,
+    presetFromConfig,
+    presetId,
+    loadCustomPresets,
+    saveCustomPresets,
+    saveCustomPreset,
+    deleteCustomPreset,
+    exportPresets,
+    importPresets,
+    downloadPresets,
+    readPresetFile,
+  };
+})();
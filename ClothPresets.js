@@ -0,0 +1,29 @@
+// ============================================================================
+// CLOTH PRESETS - Fabric material presets shared by ClothDemo, the artifact
+// and demo.html. A preset is a whole material: its physics params (per-type
+// stiffness, mass, damping, wind response) plus the look of its surface.
+// Presets save to localStorage and move between machines as JSON files.
+// The presets live in ClothPresetLibrary.js, a plain script demo.html loads
+// without modules; this is their module side.
+// ============================================================================
+
+import './ClothPresetLibrary.js';
+
+export const {
+  PRESET_FORMAT,
+  PRESET_VERSION,
+  PRESET_STORAGE_KEY,
+  PRESET_PARAMS,
+  MATERIAL_PRESETS,
+  normalizePreset,
+  presetFromConfig,
+  presetId,
+  loadCustomPresets,
+  saveCustomPresets,
+  saveCustomPreset,
+  deleteCustomPreset,
+  exportPresets,
+  importPresets,
+  downloadPresets,
+  readPresetFile,
+} = globalThis.ClothPresets;
@@ -0,0 +1,137 @@
+// ============================================================================
+// CLOTH RECORDER - Input log of a ClothSimulation for deterministic replay
+// Starts from a serialize() snapshot, then logs every fixed step: its dt,
+// the attachments, collider transforms, wind fields when they change, and
+// the input calls (setParams, grab, cut, pin ...) made since the last step.
+// replayRecording() feeds the log to a fresh simulation, which reproduces
+// the session exactly on the same JS engine.
+//
+// Recordings are JSON-safe, so they can be attached to bug reports or
+// checked in as regression fixtures. Record a simulation that steps on this
+// thread (a ClothBackend in 'sync' mode); wind fields that are plain
+// functions can't be recorded.
+// ============================================================================
+
+import { ClothSimulation } from './ClothSimulation.js';
+import { copyAttachments } from './ClothTimestep.js';
+import { describeCollider, createCollider } from './ClothColliders.js';
+import { describeWindField, createWindField } from './ClothWind.js';
+
+export const RECORDING_FORMAT = 'cloth-recording';
+export const RECORDING_VERSION = 1;
+
+// Simulation methods that are logged and re-applied on replay
+const COMMANDS = ['setParams', 'cut', 'grab', 'moveGrab', 'release', 'pin', 'unpin', 'setBreakThreshold', 'setWeightMap'];
+
+export class ClothRecorder {
+  constructor() {
+    this.simulation = null;
+    this.recording = null;
+    this._commands = [];
+    this._colliders = null;   // collider list as of the last logged step
+    this._windJson = null;
+  }
+
+  get stepCount() {
+    return this.recording ? this.recording.steps.length : 0;
+  }
+
+  // Snapshot `simulation` and log it from now on
+  start(simulation) {
+    this.stop();
+    this.simulation = simulation;
+    this.recording = {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      initial: simulation.serialize(),
+      steps: [],
+    };
+    this._commands = [];
+    this._colliders = null;
+    this._windJson = null;
+    simulation.recorder = this;
+    return this;
+  }
+
+  // Stop logging and return the recording
+  stop() {
+    if (this.simulation?.recorder === this) this.simulation.recorder = null;
+    this.simulation = null;
+    return this.recording;
+  }
+
+  // Called by ClothSimulation for each input call
+  record(type, args) {
+    this._commands.push({ type, args: JSON.parse(JSON.stringify(args)) });
+  }
+
+  // Called by ClothSimulation at the start of every step
+  recordStep(simulation, dt, attachments) {
+    const step = { dt, attachments: copyAttachments(attachments) };
+
+    if (this._commands.length > 0) {
+      step.commands = this._commands;
+      this._commands = [];
+    }
+
+    const colliders = simulation.colliders;
+    if (!sameItems(colliders, this._colliders)) {
+      step.colliders = colliders.map(describeCollider);
+      this._colliders = [...colliders];
+    }
+    if (colliders.length > 0) {
+      step.colliderTransforms = colliders.map(({ enabled, object }) => {
+        object?.updateWorldMatrix?.(true, false);
+        return { enabled, matrix: object ? Array.from(object.matrixWorld.elements) : null };
+      });
+    }
+
+    const windFields = simulation.windFields.map(describeWindField);
+    const windJson = JSON.stringify(windFields);
+    if (windJson !== this._windJson) {
+      step.windFields = windFields;
+      this._windJson = windJson;
+    }
+
+    this.recording.steps.push(step);
+  }
+}
+
+// Re-run a recording on a fresh simulation and return it. `steps` stops
+// early; `onStep(simulation, index)` runs after every step.
+export function replayRecording(recording, { steps = recording.steps.length, onStep = null } = {}) {
+  if (recording?.format !== RECORDING_FORMAT) throw new Error('Not a cloth recording');
+  if (recording.version > RECORDING_VERSION) {
+    throw new Error(`Unsupported cloth recording version: ${recording.version}`);
+  }
+
+  const simulation = new ClothSimulation();
+  simulation.restore(recording.initial);
+
+  for (let s = 0; s < steps; s++) {
+    const step = recording.steps[s];
+    for (const { type, args } of step.commands ?? []) {
+      if (COMMANDS.includes(type)) simulation[type](...args);
+    }
+
+    if (step.colliders) simulation.colliders = step.colliders.map(createCollider);
+    step.colliderTransforms?.forEach(({ enabled, matrix }, i) => {
+      const collider = simulation.colliders[i];
+      collider.enabled = enabled;
+      collider.object = matrix ? { matrixWorld: { elements: matrix } } : null;
+    });
+    if (step.windFields) simulation.windFields = step.windFields.filter(Boolean).map(createWindField);
+
+    simulation.step(step.dt, step.attachments);
+    onStep?.(simulation, s);
+  }
+  return simulation;
+}
+
+function sameItems(a, b) {
+  if (!b || a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
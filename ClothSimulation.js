@@ -0,0 +1,2093 @@
+// ============================================================================
+// CLOTH SIMULATION - Renderer-agnostic Verlet cloth solver
+// No THREE.js, DOM or React dependencies, so the solver runs headless in Node
+// as well as in the browser.
+//
+// State is stored as structure-of-arrays: particle i lives at [i * 3 .. i * 3 + 2]
+// of `positions` / `previous`, and constraint c joins particles
+// constraintA[c] and constraintB[c]. Stepping allocates nothing.
+// ============================================================================
+
+import { SelfCollision } from './ClothSelfCollision.js';
+import { createDefaultWindFields, sampleWind } from './ClothWind.js';
+import { STATE_FORMAT, STATE_VERSION, readState } from './ClothState.js';
+import { weldVertices, meshConstraintPairs } from './ClothMesh.js';
+import { WEIGHT_MAPS, particleWeights } from './ClothWeights.js';
+
+export const DEFAULT_PARAMS = {
+  gravity: 15,
+  windStrength: 3,     // scales every wind field
+  dragCoefficient: 0.35,
+  liftCoefficient: 0.2,
+  stiffness: 0.9,
+  // Stiffness of each constraint type, scaled by `stiffness`; the defaults
+  // are CONSTRAINT_STIFFNESS, and bendingStiffness also scales hinges
+  structuralStiffness: 1.0,
+  shearStiffness: 0.8,
+  bendingStiffness: 0.5,
+  mass: 1,             // scales every particle's mass: heavier cloth gives less to the wind
+  damping: 0.98,
+  iterations: 8,
+  subSteps: 3,
+  selfCollision: false,
+  selfCollisionThickness: 0.02, // min distance between non-adjacent particles
+  tearThreshold: 0,    // stretch ratio (length / rest) that breaks a link; 0 = never
+  tethers: false,      // keep each particle within its rest distance of its nearest pin
+  solver: 'verlet',    // 'verlet' (stiffness per iteration) or 'xpbd' (compliance)
+  // XPBD compliance per constraint type: stretch per unit force (m/N with
+  // particles of mass 1), so 0 is rigid. Unlike `stiffness`, the material
+  // doesn't change with iterations or subSteps.
+  stretchCompliance: 1e-6,
+  shearCompliance: 1e-5,
+  bendCompliance: 1e-4,
+  // Stability guard: free particles move at most maxSpeed units/s, and a
+  // step that leaves a NaN, or a link past instabilityStretch × its rest
+  // length and still running away, is undone (see onInstability). 0 turns
+  // either off.
+  maxSpeed: 25,
+  instabilityStretch: 5,
+};
+
+// Scratch values reused by applyAerodynamics, cut and the pin solvers
+const _wind = { x: 0, y: 0, z: 0 };
+const _pinTarget = { x: 0, y: 0, z: 0 };
+const _screenA = { x: 0, y: 0 };
+const _screenB = { x: 0, y: 0 };
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+// Params that must stay whole numbers while transitioning
+const INTEGER_PARAMS = ['iterations', 'subSteps'];
+
+// Params that always switch instantly: easing tearThreshold up from 0 would
+// pass through ratios below 1 and shred the cloth, and the guard's limits
+// would clamp or reset a healthy cloth on the way up from 0
+const DISCRETE_PARAMS = ['tearThreshold', 'maxSpeed', 'instabilityStretch'];
+
+// Stiffness and XPBD compliance params of each constraint type, by
+// CONSTRAINT_TYPES index
+const TYPE_STIFFNESS_PARAMS = ['structuralStiffness', 'shearStiffness', 'bendingStiffness'];
+const COMPLIANCE_PARAMS = ['stretchCompliance', 'shearCompliance', 'bendCompliance'];
+
+// Time over which the XPBD solver applies `damping` once: a substep at the
+// default 60 Hz with 3 substeps, so both solvers damp alike by default
+const DAMPING_INTERVAL = 1 / 180;
+
+// XPBD hinges take bendCompliance times this: they resist an angle rather
+// than a length, so need far more give for a similar drape
+const HINGE_COMPLIANCE_SCALE = 1000;
+
+// CONSTRAINT_TYPES index of bending, whose stiffness param also scales hinges
+const BENDING = 2;
+
+// Seconds between the stability guard's snapshots of a healthy cloth
+const STABLE_SNAPSHOT_INTERVAL = 0.5;
+// How much the worst stretch must grow in one step to count as running away.
+// Shoulders dragged apart or a soft fabric sagging stretch the cloth far but
+// steadily; a blow-up multiplies it.
+const RUNAWAY_GROWTH = 1.5;
+
+// Lowest 'invMass' weight, so a black map paints heavy rather than infinite mass
+const MIN_INV_MASS = 0.01;
+
+// Constraint types, indexed by the values stored in `constraintTypes`
+export const CONSTRAINT_TYPES = ['structural', 'shear', 'bending'];
+
+// Relative stiffness per constraint type (multiplied by params.stiffness)
+export const CONSTRAINT_STIFFNESS = {
+  structural: 1.0,
+  shear: 0.8,
+  bending: 0.5,
+};
+
+// Relative stiffness of dihedral bending hinges (see addHinge), which the
+// Verlet solver applies per iteration like CONSTRAINT_STIFFNESS
+export const HINGE_STIFFNESS = 0.05;
+
+// Named pin layouts for grid cloth: (x, y, segmentsX, segmentsY, grid) =>
+// a binding (see ClothSimulation.pin), true, or falsy for a free particle.
+// `true` spreads the pin between anchors 0 and 1 by column. `grid.offset(x, y,
+// ox)` is the particle's rest position relative to the top of column `ox`.
+export const GRID_PIN_LAYOUTS = {
+  // A cape held at both shoulders: anchors 0 (left) and 1 (right)
+  shoulders: (x, y, sx, sy, grid) => {
+    if (y !== 0) return false;
+    if (x <= 2) return { anchor: 0, offset: grid.offset(x, y, 0) };
+    if (x >= sx - 2) return { anchor: 1, offset: grid.offset(x, y, sx) };
+    return false;
+  },
+  // The shoulders plus a softer hold along the neckline from anchor 2
+  collar: (x, y, sx, sy, grid) => {
+    if (y !== 0) return false;
+    return GRID_PIN_LAYOUTS.shoulders(x, y, sx, sy, grid) ||
+      { anchor: 2, offset: grid.offset(x, y, sx / 2), stiffness: 0.3 };
+  },
+  top: (x, y) => y === 0,
+  // Every other top particle hangs from its own ring: anchors 0, 1, 2 ...
+  rings: (x, y, sx) => y === 0 && (x % 2 === 0 || x === sx) && { anchor: Math.ceil(x / 2) },
+  // A flag along a pole: the left edge hangs below anchor 0
+  left: (x, y, sx, sy, grid) => x === 0 && { anchor: 0, offset: grid.offset(x, y, 0) },
+  center: (x, y, sx) => y === 0 && x === Math.floor(sx / 2),
+};
+
+// Named pin layouts for mesh cloth: (x, y, z, mesh) => a binding, true or
+// falsy, like GRID_PIN_LAYOUTS. `mesh` holds the rest bounds `min`, `max`
+// and `center`, `band` (how far below the highest point still counts as the
+// top edge) and `left` / `right`, the x extent of that top edge. `true`
+// spreads the pin between anchors 0 and 1 by x along the top edge.
+export const MESH_PIN_LAYOUTS = {
+  // The outer quarters of the top edge, relative to its left and right ends
+  shoulders: (x, y, z, mesh) => {
+    const { max, center, left, right } = mesh;
+    if (y < max.y - mesh.band) return false;
+    const quarter = (right - left) / 4;
+    if (x <= left + quarter) return { anchor: 0, offset: { x: x - left, y: y - max.y, z: z - center.z } };
+    if (x >= right - quarter) return { anchor: 1, offset: { x: x - right, y: y - max.y, z: z - center.z } };
+    return false;
+  },
+  // The shoulders plus a softer hold along the rest of the top from anchor 2
+  collar: (x, y, z, mesh) => {
+    if (y < mesh.max.y - mesh.band) return false;
+    const { max, center } = mesh;
+    return MESH_PIN_LAYOUTS.shoulders(x, y, z, mesh) ||
+      { anchor: 2, offset: { x: x - center.x, y: y - max.y, z: z - center.z }, stiffness: 0.3 };
+  },
+  top: (x, y, z, mesh) => y >= mesh.max.y - mesh.band,
+  // The whole top edge held rigidly around anchor 0, e.g. a skirt's waist
+  ring: (x, y, z, mesh) => {
+    const { max, center } = mesh;
+    if (y < max.y - mesh.band) return false;
+    return { anchor: 0, offset: { x: x - center.x, y: y - max.y, z: z - center.z } };
+  },
+  // A flag along a pole: the leftmost edge hangs below anchor 0
+  left: (x, y, z, mesh) => {
+    const { min, max, center } = mesh;
+    if (x > min.x + (max.x - min.x) * 0.01) return false;
+    return { anchor: 0, offset: { x: x - min.x, y: y - max.y, z: z - center.z } };
+  },
+};
+
+export class ClothSimulation {
+  constructor(params = {}) {
+    this.params = { ...DEFAULT_PARAMS };
+    for (const key of Object.keys(params)) {
+      if (key in DEFAULT_PARAMS) this.params[key] = params[key];
+    }
+
+    // Particles. Arrays grow on demand, so re-read them after adding particles.
+    this.particleCount = 0;
+    this.positions = new Float32Array(0);
+    this.previous = new Float32Array(0);
+    this.masses = new Float32Array(0);
+    this.invMass = new Float32Array(0);   // 0 while pinned
+    this.pinned = new Uint8Array(0);     // 1 = pinned, 2 = grabbed
+    this.windForce = new Float32Array(0);  // per-particle aerodynamic force
+    // Where pinned particle i follows, or null to stay put; see pin()
+    this.bindings = [];
+    this._softPins = [];  // indices of pins with stiffness < 1
+    // Weight maps set by setWeightMap(), one value per particle
+    this.weightMaps = {};
+
+    // Distance constraints
+    this.constraintCount = 0;
+    this.constraintA = new Uint32Array(0);
+    this.constraintB = new Uint32Array(0);
+    this.restLengths = new Float32Array(0);
+    this.constraintStiffness = new Float32Array(0);
+    this.constraintTypes = new Uint8Array(0);
+    // Per-constraint break ratio; 0 falls back to params.tearThreshold
+    this.breakThresholds = new Float32Array(0);
+    this._hasBreakThresholds = false;
+    this._lambdas = new Float32Array(0);  // XPBD multipliers, reset every substep
+    this._compliance = new Float32Array(CONSTRAINT_TYPES.length);
+    // Each type's stiffness param over the CONSTRAINT_STIFFNESS it was built with
+    this._typeScale = new Float32Array(CONSTRAINT_TYPES.length);
+
+    // Dihedral bending hinges: hinge h bends particles hinges[h * 4] and
+    // hinges[h * 4 + 1] about the edge from hinges[h * 4 + 2] to [h * 4 + 3]
+    this.hingeCount = 0;
+    this.hinges = new Uint32Array(0);
+    this.hingeRestAngles = new Float32Array(0);
+    this.hingeStiffness = new Float32Array(0);
+    this._hingeLambdas = new Float32Array(0);
+    // Bumped whenever constraints or triangles are added or removed
+    this.topologyVersion = 0;
+
+    // Tethers: each particle's nearest hard pin along the cloth (-1 for
+    // none) and its rest distance from it, rebuilt when pins or topology change
+    this._tetherPins = new Int32Array(0);
+    this._tetherLengths = new Float32Array(0);
+    this._tetherVersion = -1;
+    this._pinVersion = 0;
+
+    // Surface triangles (particle index triples) that catch the wind
+    this.triangleCount = 0;
+    this.triangles = new Uint32Array(0);
+    this._triangleWind = new Float32Array(0);  // wind sampled at each triangle
+    this._aeroAreaScale = 1;
+
+    // Wind fields from ClothWind.js, or (x, y, z, time, out) => out functions
+    this.windFields = createDefaultWindFields();
+    this.colliders = [];
+    // Particles held by grab(), e.g. under the mouse
+    this.grabs = [];
+    this._lastSubDt = 1 / 180;
+    this.selfCollision = new SelfCollision();
+    this.time = 0;
+    // Wall-clock milliseconds the last step() took; see getStats()
+    this.stepMs = 0;
+
+    // Called with the params in effect once a setParams() change has
+    // reached the solver (after any transition has finished)
+    this.onParamsApplied = null;
+    // Called with { a, b, type, stretch, cause } for every constraint that
+    // breaks, with cause 'stretch' or 'cut'
+    this.onTear = null;
+    this._tears = [];
+    // Called with { cause, time, particle, constraint, stretch, maxSpeed,
+    // recovery } when a step blows up and the guard resets the cloth, with
+    // cause 'nan' or 'stretch' and recovery 'snapshot' or 'rest'
+    this.onInstability = null;
+    this._restPose = null;        // pose to fall back to: as built or settled
+    this._stablePose = null;      // last snapshot of a healthy cloth
+    this._stableTime = 0;
+    this._stablePoseFailed = false; // the snapshot didn't hold last time
+    this._worstStretch = Infinity;  // worst link stretch after the last step
+    this._transitions = {};
+    this._paramsPending = false;
+    // Set by ClothRecorder to log steps and inputs for replay
+    this.recorder = null;
+  }
+
+  // Build a rectangular cloth hanging from y = 0. `pinLayout` is a
+  // GRID_PIN_LAYOUTS name, a function of the same shape or null; by default
+  // the cape's two shoulder groups. `pins` adds plain-data pins on top, as
+  // [{ index, ...binding }]. `transform`, a column-major 4x4 matrix, places
+  // the rest pose in the world (e.g. behind a character's shoulders).
+  // `weightMaps` is { name: values } for setWeightMap. `bending` is
+  // 'distance' (skip-one constraints) or 'dihedral' (hinges between adjacent
+  // triangles, see addHinges) bent to `bendRestAngle`, or as they start.
+  static createGrid(options = {}) {
+    const {
+      width = 0.8,
+      height = 1.2,
+      segmentsX = 12,
+      segmentsY = 18,
+      pinLayout = 'shoulders',
+      pins = [],
+      transform = null,
+      restPose = null,
+      weightMaps = {},
+      bending = 'distance',
+      bendRestAngle = null,
+      ...params
+    } = options;
+
+    const layout = pinLayout === null || typeof pinLayout === 'function'
+      ? pinLayout
+      : GRID_PIN_LAYOUTS[pinLayout];
+    if (layout === undefined) throw new Error(`Unknown pin layout: ${pinLayout}`);
+
+    const sim = new ClothSimulation(params);
+    const spacingX = width / segmentsX;
+    const spacingY = height / segmentsY;
+    sim.grid = {
+      width,
+      height,
+      segmentsX,
+      segmentsY,
+      offset: (x, y, ox) => ({ x: (x - ox) * spacingX, y: -y * spacingY, z: 0 }),
+    };
+
+    const count = (segmentsX + 1) * (segmentsY + 1);
+    sim.reserve(count, count * 6);
+    const m = transform ?? IDENTITY;
+
+    for (let y = 0; y <= segmentsY; y++) {
+      for (let x = 0; x <= segmentsX; x++) {
+        const px = (x - segmentsX / 2) * spacingX;
+        const py = -y * spacingY;
+        const index = sim.addParticle(
+          m[0] * px + m[4] * py + m[12],
+          m[1] * px + m[5] * py + m[13],
+          m[2] * px + m[6] * py + m[14]
+        );
+        const binding = layout?.(x, y, segmentsX, segmentsY, sim.grid);
+        if (binding === true) {
+          // Spread between anchors 0 and 1 by column, hanging below by row
+          sim.pin(index, { anchor: 0, anchorB: 1, t: x / segmentsX, offset: { x: 0, y: py, z: 0 } });
+        } else if (binding) {
+          sim.pin(index, binding);
+        }
+      }
+    }
+    for (const { index, ...binding } of pins) sim.pin(index, binding);
+
+    const indices = createGridIndices(segmentsX, segmentsY);
+    sim.buildGridConstraints(segmentsX, segmentsY, { bending });
+    if (bending === 'dihedral') sim.addHinges(meshConstraintPairs(indices).hinges, bendRestAngle);
+    sim.setTriangles(indices);
+    for (const name of Object.keys(weightMaps)) sim.setWeightMap(name, weightMaps[name]);
+    // After the constraints, whose rest lengths come from the flat grid
+    if (restPose) sim.setPose(restPose);
+    return sim;
+  }
+
+  // Cloth from any triangle mesh: `mesh` is { positions, indices } (see
+  // meshFromGeometry and parseOBJ in ClothMesh.js). Vertices closer than
+  // `weldTolerance` share a particle, so UV seams and split normals don't
+  // split the cloth; `sim.mesh.vertexToParticle` maps each source vertex to
+  // its particle for rendering. Every edge becomes a structural constraint,
+  // and every two triangles sharing an edge a bending constraint between
+  // their opposite vertices. `pinLayout` is a MESH_PIN_LAYOUTS name or
+  // function and `pinBand` overrides the top edge band (1% of the height).
+  // `weightMaps`, `bending` and `bendRestAngle` are as in createGrid, with
+  // weights per source vertex.
+  static fromMesh(options = {}) {
+    const {
+      mesh,
+      pinLayout = 'top',
+      pins = [],
+      transform = null,
+      restPose = null,
+      weldTolerance = 1e-5,
+      pinBand = null,
+      weightMaps = {},
+      bending = 'distance',
+      bendRestAngle = null,
+      ...params
+    } = options;
+
+    const layout = pinLayout === null || typeof pinLayout === 'function'
+      ? pinLayout
+      : MESH_PIN_LAYOUTS[pinLayout];
+    if (layout === undefined) throw new Error(`Unknown mesh pin layout: ${pinLayout}`);
+
+    // Place the source vertices, then weld them into particles
+    const m = transform ?? IDENTITY;
+    const source = mesh.positions;
+    const placed = new Float32Array(source.length);
+    for (let i = 0; i < source.length; i += 3) {
+      const x = source[i], y = source[i + 1], z = source[i + 2];
+      placed[i] = m[0] * x + m[4] * y + m[8] * z + m[12];
+      placed[i + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+      placed[i + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+    }
+    const { positions, vertexToParticle } = weldVertices(placed, weldTolerance);
+
+    // Triangles that welding collapsed are dropped
+    const triangles = [];
+    for (let t = 0; t + 2 < mesh.indices.length; t += 3) {
+      const a = vertexToParticle[mesh.indices[t]];
+      const b = vertexToParticle[mesh.indices[t + 1]];
+      const c = vertexToParticle[mesh.indices[t + 2]];
+      if (a !== b && b !== c && c !== a) triangles.push(a, b, c);
+    }
+    const { edges, bends, hinges } = meshConstraintPairs(triangles);
+
+    const sim = new ClothSimulation(params);
+    const count = positions.length / 3;
+    const dihedral = bending === 'dihedral';
+    sim.reserve(count, (edges.length + (dihedral ? 0 : bends.length)) / 2, dihedral ? hinges.length / 4 : 0);
+    for (let i = 0; i < count; i++) sim.addParticle(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+
+    const bounds = meshBounds(positions);
+    sim.mesh = { vertexCount: vertexToParticle.length, vertexToParticle, ...bounds };
+    const band = pinBand ?? (bounds.max.y - bounds.min.y) * 0.01;
+    const context = { ...bounds, band, left: Infinity, right: -Infinity };
+    for (let i = 0; i < count; i++) {
+      if (positions[i * 3 + 1] < bounds.max.y - band) continue;
+      context.left = Math.min(context.left, positions[i * 3]);
+      context.right = Math.max(context.right, positions[i * 3]);
+    }
+    const spanX = context.right - context.left || 1;
+
+    for (let i = 0; i < count; i++) {
+      const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+      const binding = layout?.(x, y, z, context);
+      if (binding === true) {
+        // Spread between anchors 0 and 1 along the top edge, hanging below it
+        sim.pin(i, {
+          anchor: 0,
+          anchorB: 1,
+          t: (x - context.left) / spanX,
+          offset: { x: 0, y: y - bounds.max.y, z: z - bounds.center.z },
+        });
+      } else if (binding) {
+        sim.pin(i, binding);
+      }
+    }
+    for (const { index, ...binding } of pins) sim.pin(index, binding);
+
+    for (let e = 0; e < edges.length; e += 2) sim.addConstraint(edges[e], edges[e + 1], 'structural');
+    if (dihedral) sim.addHinges(hinges, bendRestAngle);
+    else for (let e = 0; e < bends.length; e += 2) sim.addConstraint(bends[e], bends[e + 1], 'bending');
+    sim.setTriangles(triangles);
+    for (const name of Object.keys(weightMaps)) sim.setWeightMap(name, weightMaps[name]);
+    if (restPose) sim.setPose(restPose);
+    return sim;
+  }
+
+  // Grid or mesh cloth from shape options, depending on whether `mesh` is set
+  static create(options = {}) {
+    return options.mesh ? ClothSimulation.fromMesh(options) : ClothSimulation.createGrid(options);
+  }
+
+  // Preallocate room for this many particles, constraints and hinges
+  reserve(particleCapacity, constraintCapacity = 0, hingeCapacity = 0) {
+    if (particleCapacity > this.masses.length) {
+      this.positions = grow(this.positions, particleCapacity * 3);
+      this.previous = grow(this.previous, particleCapacity * 3);
+      this.masses = grow(this.masses, particleCapacity);
+      this.invMass = grow(this.invMass, particleCapacity);
+      this.pinned = grow(this.pinned, particleCapacity);
+      this.windForce = grow(this.windForce, particleCapacity * 3);
+    }
+    if (constraintCapacity > this.restLengths.length) {
+      this.constraintA = grow(this.constraintA, constraintCapacity);
+      this.constraintB = grow(this.constraintB, constraintCapacity);
+      this.restLengths = grow(this.restLengths, constraintCapacity);
+      this.constraintStiffness = grow(this.constraintStiffness, constraintCapacity);
+      this.constraintTypes = grow(this.constraintTypes, constraintCapacity);
+      this.breakThresholds = grow(this.breakThresholds, constraintCapacity);
+      this._lambdas = new Float32Array(constraintCapacity);
+    }
+    if (hingeCapacity > this.hingeRestAngles.length) {
+      this.hinges = grow(this.hinges, hingeCapacity * 4);
+      this.hingeRestAngles = grow(this.hingeRestAngles, hingeCapacity);
+      this.hingeStiffness = grow(this.hingeStiffness, hingeCapacity);
+      this._hingeLambdas = new Float32Array(hingeCapacity);
+    }
+  }
+
+  addParticle(x, y, z, mass = 1) {
+    const i = this.particleCount;
+    if (i >= this.masses.length) this.reserve(Math.max(16, i * 2));
+
+    const i3 = i * 3;
+    this.positions[i3] = this.previous[i3] = x;
+    this.positions[i3 + 1] = this.previous[i3 + 1] = y;
+    this.positions[i3 + 2] = this.previous[i3 + 2] = z;
+    this.masses[i] = mass;
+    this.invMass[i] = 1 / mass;
+    this.pinned[i] = 0;
+    this.particleCount++;
+    return i;
+  }
+
+  // Rest length defaults to the current distance between the two particles
+  addConstraint(i1, i2, type = 'structural', restLength = null) {
+    const c = this.constraintCount;
+    if (c >= this.restLengths.length) this.reserve(0, Math.max(32, c * 2));
+
+    this.constraintA[c] = i1;
+    this.constraintB[c] = i2;
+    this.restLengths[c] = restLength ?? this.distance(i1, i2);
+    this.constraintStiffness[c] = CONSTRAINT_STIFFNESS[type] ?? 1.0;
+    this.constraintTypes[c] = Math.max(CONSTRAINT_TYPES.indexOf(type), 0);
+    this.breakThresholds[c] = 0;
+    this.constraintCount++;
+    this.topologyVersion++;
+    return c;
+  }
+
+  // Stretch ratio at which constraint c breaks (0 = use params.tearThreshold)
+  setBreakThreshold(c, ratio) {
+    this._record('setBreakThreshold', c, ratio);
+    this.breakThresholds[c] = ratio;
+    if (ratio > 0) this._hasBreakThresholds = true;
+  }
+
+  // Remove constraint c; the last constraint moves into its slot. Triangles
+  // and hinges along the edge go too once no other constraint joins the two
+  // particles.
+  removeConstraint(c) {
+    const a = this.constraintA[c];
+    const b = this.constraintB[c];
+    const last = --this.constraintCount;
+
+    this.constraintA[c] = this.constraintA[last];
+    this.constraintB[c] = this.constraintB[last];
+    this.restLengths[c] = this.restLengths[last];
+    this.constraintStiffness[c] = this.constraintStiffness[last];
+    this.constraintTypes[c] = this.constraintTypes[last];
+    this.breakThresholds[c] = this.breakThresholds[last];
+    this.topologyVersion++;
+
+    if (this.findConstraint(a, b) === -1) {
+      this._removeTrianglesWithEdge(a, b);
+      this._removeHingesWithEdge(a, b);
+    }
+  }
+
+  // Index of a constraint joining particles a and b, or -1
+  findConstraint(a, b) {
+    const ca = this.constraintA;
+    const cb = this.constraintB;
+    for (let c = 0; c < this.constraintCount; c++) {
+      if ((ca[c] === a && cb[c] === b) || (ca[c] === b && cb[c] === a)) return c;
+    }
+    return -1;
+  }
+
+  // Dihedral bending between triangles (a, b, c1) and (b, a, c2), which
+  // share the edge a-b. The hinge holds the angle between their normals at
+  // `restAngle` (radians, signed; 0 = flat), or where it is now when null.
+  addHinge(c1, c2, a, b, restAngle = null) {
+    const h = this.hingeCount;
+    if (h >= this.hingeRestAngles.length) this.reserve(0, 0, Math.max(32, h * 2));
+
+    const h4 = h * 4;
+    this.hinges[h4] = c1;
+    this.hinges[h4 + 1] = c2;
+    this.hinges[h4 + 2] = a;
+    this.hinges[h4 + 3] = b;
+    this.hingeCount++;
+    this.hingeRestAngles[h] = restAngle ?? this.hingeAngle(h);
+    this.hingeStiffness[h] = HINGE_STIFFNESS;
+    this.topologyVersion++;
+    return h;
+  }
+
+  // Hinges from flat [c1, c2, a, b, ...] quads, e.g. ClothMesh.meshConstraintPairs.
+  // `restAngle` is one angle for all, null for the current shape (so a
+  // pre-curved mesh keeps its curves) or (c1, c2, a, b) => angle per hinge.
+  addHinges(quads, restAngle = null) {
+    this.reserve(0, 0, this.hingeCount + quads.length / 4);
+    for (let q = 0; q + 3 < quads.length; q += 4) {
+      const c1 = quads[q], c2 = quads[q + 1], a = quads[q + 2], b = quads[q + 3];
+      this.addHinge(c1, c2, a, b, typeof restAngle === 'function' ? restAngle(c1, c2, a, b) : restAngle);
+    }
+  }
+
+  // Current angle of hinge h in radians: 0 when its triangles lie flat,
+  // signed by which way they fold
+  hingeAngle(h) {
+    const pos = this.positions;
+    const h4 = h * 4;
+    const c1 = this.hinges[h4] * 3, c2 = this.hinges[h4 + 1] * 3;
+    const a = this.hinges[h4 + 2] * 3, b = this.hinges[h4 + 3] * 3;
+    const ex = pos[b] - pos[a], ey = pos[b + 1] - pos[a + 1], ez = pos[b + 2] - pos[a + 2];
+    const px = pos[c1] - pos[a], py = pos[c1 + 1] - pos[a + 1], pz = pos[c1 + 2] - pos[a + 2];
+    const qx = pos[c2] - pos[b], qy = pos[c2 + 1] - pos[b + 1], qz = pos[c2 + 2] - pos[b + 2];
+    const n1x = ey * pz - ez * py, n1y = ez * px - ex * pz, n1z = ex * py - ey * px;
+    const n2x = qy * ez - qz * ey, n2y = qz * ex - qx * ez, n2z = qx * ey - qy * ex;
+    return hingeAngleFrom(n1x, n1y, n1z, n2x, n2y, n2z, ex, ey, ez);
+  }
+
+  // Structural, shear and skip-one bending constraints for a row-major grid.
+  // With `bending: 'dihedral'` the skip-one links are left to hinges.
+  buildGridConstraints(segmentsX, segmentsY, { bending = 'distance' } = {}) {
+    const index = (x, y) => (x < 0 || x > segmentsX || y < 0 || y > segmentsY) ? -1 : y * (segmentsX + 1) + x;
+    const links = [
+      [1, 0, 'structural'], [0, 1, 'structural'],
+      [1, 1, 'shear'], [-1, 1, 'shear'],
+    ];
+    if (bending !== 'dihedral') links.push([2, 0, 'bending'], [0, 2, 'bending']);
+
+    for (let y = 0; y <= segmentsY; y++) {
+      for (let x = 0; x <= segmentsX; x++) {
+        const i = index(x, y);
+        for (const [dx, dy, type] of links) {
+          const j = index(x + dx, y + dy);
+          if (j !== -1) this.addConstraint(i, j, type);
+        }
+      }
+    }
+  }
+
+  // Set the surface as a flat list of triangle indices (e.g. a geometry index).
+  // Wind acts on triangles, so a cloth without them ignores the wind.
+  setTriangles(indices) {
+    this.triangles = Uint32Array.from(indices);
+    this.triangleCount = Math.floor(this.triangles.length / 3);
+    this._triangleWind = new Float32Array(this.triangleCount * 3);
+
+    // Aerodynamic force is measured against the mean rest triangle area, so
+    // particles (which have fixed masses) feel the same wind at any resolution
+    let totalArea = 0;
+    for (let t = 0; t < this.triangleCount; t++) totalArea += this._triangleArea(t);
+    this._aeroAreaScale = totalArea > 0 ? this.triangleCount / totalArea : 1;
+  }
+
+  // Pin a particle to an anchor: a key into the `attachments` passed to
+  // step(), so an array index or a name when attachments is an object. Each
+  // attachment is an { x, y, z } point with an optional `quaternion`
+  // ({ x, y, z, w }) that rotates the offsets of the pins that follow it.
+  //   binding = {
+  //     anchor,            // follows attachments[anchor] ...
+  //     anchorB, t,        // ... or lerp(attachments[anchor], attachments[anchorB], t)
+  //     offset,            // local offset from the anchor, { x, y, z }
+  //     stiffness,         // 1 = locked; lower values pull the particle
+  //   }                    // towards its target each substep but leave it free
+  // Without a binding, or while its anchor is missing, a pin stays put.
+  pin(index, binding = null) {
+    if (this.pinned[index] === 2) this.grabs = this.grabs.filter(g => g.index !== index);
+    this._setBinding(index, binding && {
+      anchor: binding.anchor ?? 0,
+      anchorB: binding.anchorB ?? null,
+      t: binding.t ?? 0,
+      offset: { x: 0, y: 0, z: 0, ...binding.offset },
+      stiffness: binding.stiffness ?? 1,
+    });
+
+    const soft = this.bindings[index] !== null && this.bindings[index].stiffness < 1;
+    this.pinned[index] = soft ? 0 : 1;
+    this.invMass[index] = soft ? 1 / this.masses[index] : 0;
+    this._record('pin', index, this.bindings[index]);
+  }
+
+  // Pin particles to an anchor where they are now, relative to `anchorPoint`
+  // (the anchor's current { x, y, z, quaternion? }). `indices` is one index or
+  // a list; `options` can set the binding's stiffness.
+  pinToAnchor(indices, anchor, anchorPoint, { stiffness = 1 } = {}) {
+    for (const index of [].concat(indices)) {
+      const i3 = index * 3;
+      const offset = {
+        x: this.positions[i3] - anchorPoint.x,
+        y: this.positions[i3 + 1] - anchorPoint.y,
+        z: this.positions[i3 + 2] - anchorPoint.z,
+      };
+      const q = anchorPoint.quaternion;
+      if (q) rotateByQuaternion(-q.x, -q.y, -q.z, q.w, offset);
+      this.pin(index, { anchor, offset, stiffness });
+    }
+  }
+
+  unpin(index) {
+    this._record('unpin', index);
+    this._setBinding(index, null);
+    if (this.pinned[index] !== 1) return;
+    this.pinned[index] = 0;
+    this.invMass[index] = 1 / this.masses[index];
+    // Start from rest rather than inheriting the last attachment jump
+    const i3 = index * 3;
+    this.previous[i3] = this.positions[i3];
+    this.previous[i3 + 1] = this.positions[i3 + 1];
+    this.previous[i3 + 2] = this.positions[i3 + 2];
+  }
+
+  // Paint a weight map (see ClothWeights.WEIGHT_MAPS): `values` holds one
+  // number per particle, or per source vertex of a mesh cloth; null clears
+  // the map. 'invMass' sets the particle masses and 'stiffness' the
+  // stiffness of every constraint from its type's and its two particles'
+  // values. 'pin' re-pins the cloth: pins keep their binding at the new
+  // strength and other painted particles follow the nearest pin's anchor,
+  // offset by where they are now, so paint it with the cloth at rest.
+  setWeightMap(name, values) {
+    if (!(name in WEIGHT_MAPS)) throw new Error(`Unknown weight map: ${name}`);
+    this._record('setWeightMap', name, values && Array.from(values));
+    const map = values && this._particleWeights(values);
+    const n = this.particleCount;
+
+    // The pins made here are part of this call when it's replayed
+    const recorder = this.recorder;
+    this.recorder = null;
+    try {
+      if (name === 'invMass') {
+        for (let i = 0; i < n; i++) {
+          this.masses[i] = map ? 1 / Math.max(map[i], MIN_INV_MASS) : 1;
+          if (!this.pinned[i]) this.invMass[i] = 1 / this.masses[i];
+        }
+      } else if (name === 'stiffness') {
+        for (let c = 0; c < this.constraintCount; c++) {
+          const base = CONSTRAINT_STIFFNESS[CONSTRAINT_TYPES[this.constraintTypes[c]]];
+          const scale = map ? (map[this.constraintA[c]] + map[this.constraintB[c]]) / 2 : 1;
+          this.constraintStiffness[c] = Math.min(Math.max(base * scale, 0), 1);
+        }
+        const hinges = this.hinges;
+        for (let h = 0; h < this.hingeCount; h++) {
+          const h4 = h * 4;
+          const scale = map
+            ? (map[hinges[h4]] + map[hinges[h4 + 1]] + map[hinges[h4 + 2]] + map[hinges[h4 + 3]]) / 4
+            : 1;
+          this.hingeStiffness[h] = Math.min(Math.max(HINGE_STIFFNESS * scale, 0), 1);
+        }
+      } else if (name === 'pin' && map) {
+        this._paintPins(map);
+      }
+    } finally {
+      this.recorder = recorder;
+    }
+
+    if (map) this.weightMaps[name] = map;
+    else delete this.weightMaps[name];
+  }
+
+  // Current per-particle values of a weight map, painted or not: 'invMass'
+  // and 'pin' read the live masses and pins
+  getWeightMap(name, out = new Float32Array(this.particleCount)) {
+    if (!(name in WEIGHT_MAPS)) throw new Error(`Unknown weight map: ${name}`);
+    const map = this.weightMaps[name];
+    for (let i = 0; i < this.particleCount; i++) {
+      if (name === 'invMass') out[i] = 1 / this.masses[i];
+      else if (name === 'pin') out[i] = this.bindings[i] ? this.bindings[i].stiffness : this.pinned[i] === 1 ? 1 : 0;
+      else out[i] = map ? map[i] : WEIGHT_MAPS[name];
+    }
+    return out;
+  }
+
+  // Hold a free particle at a target point until release(). The particle
+  // moves there smoothly over the next step and keeps its recent velocity
+  // when let go. Returns false for pinned or already grabbed particles.
+  grab(index, x, y, z) {
+    if (this.pinned[index]) return false;
+    this._record('grab', index, x, y, z);
+    const i3 = index * 3;
+    this.pinned[index] = 2;
+    this.invMass[index] = 0;
+    this.grabs.push({
+      index,
+      target: { x, y, z },
+      from: { x: this.positions[i3], y: this.positions[i3 + 1], z: this.positions[i3 + 2] },
+      velocity: { x: 0, y: 0, z: 0 },
+    });
+    return true;
+  }
+
+  moveGrab(index, x, y, z) {
+    const grab = this.grabs.find(g => g.index === index);
+    if (!grab) return;
+    this._record('moveGrab', index, x, y, z);
+    grab.target.x = x;
+    grab.target.y = y;
+    grab.target.z = z;
+  }
+
+  release(index) {
+    const g = this.grabs.findIndex(grab => grab.index === index);
+    if (g === -1) return;
+    this._record('release', index);
+    const { velocity } = this.grabs[g];
+    this.grabs.splice(g, 1);
+
+    this.pinned[index] = 0;
+    this.invMass[index] = 1 / this.masses[index];
+    // Verlet velocity is implicit: set the previous position one substep back
+    const i3 = index * 3;
+    this.previous[i3] = this.positions[i3] - velocity.x * this._lastSubDt;
+    this.previous[i3 + 1] = this.positions[i3 + 1] - velocity.y * this._lastSubDt;
+    this.previous[i3 + 2] = this.positions[i3 + 2] - velocity.z * this._lastSubDt;
+  }
+
+  getPosition(index, out = { x: 0, y: 0, z: 0 }) {
+    const i3 = index * 3;
+    out.x = this.positions[i3];
+    out.y = this.positions[i3 + 1];
+    out.z = this.positions[i3 + 2];
+    return out;
+  }
+
+  // Teleport a particle (no velocity is introduced)
+  setPosition(index, x, y, z) {
+    const i3 = index * 3;
+    this.positions[i3] = this.previous[i3] = x;
+    this.positions[i3 + 1] = this.previous[i3 + 1] = y;
+    this.positions[i3 + 2] = this.previous[i3 + 2] = z;
+  }
+
+  // Teleport every particle to a flat xyz array, at rest. Pass a pose saved
+  // with writePositions() to start already draped.
+  setPose(positions) {
+    const n = this.particleCount * 3;
+    if (positions.length !== n) {
+      throw new Error(`Pose has ${positions.length / 3} particles, expected ${this.particleCount}`);
+    }
+    this.positions.set(positions);
+    this.previous.set(positions);
+    this._restPose = Float32Array.from(positions);
+    this._stablePose = null;
+    this._worstStretch = Infinity;
+  }
+
+  distance(i1, i2) {
+    const p = this.positions;
+    const dx = p[i2 * 3] - p[i1 * 3];
+    const dy = p[i2 * 3 + 1] - p[i1 * 3 + 1];
+    const dz = p[i2 * 3 + 2] - p[i1 * 3 + 2];
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  addWindField(field) {
+    this.windFields.push(field);
+    return field;
+  }
+
+  removeWindField(field) {
+    const i = this.windFields.indexOf(field);
+    if (i !== -1) this.windFields.splice(i, 1);
+  }
+
+  // Colliders from ClothColliders.js (sphere, capsule, plane, box)
+  addCollider(collider) {
+    this.colliders.push(collider);
+    return collider;
+  }
+
+  removeCollider(collider) {
+    const i = this.colliders.indexOf(collider);
+    if (i !== -1) this.colliders.splice(i, 1);
+  }
+
+  // Update solver params on the running simulation. Unknown keys are ignored.
+  // With `transition` (seconds) numeric params ease from their current value
+  // instead of jumping, so the cloth doesn't pop.
+  setParams(params, { transition = 0 } = {}) {
+    this._record('setParams', params, { transition });
+    let changed = false;
+
+    for (const key of Object.keys(params)) {
+      if (!(key in DEFAULT_PARAMS)) continue;
+      const to = params[key];
+      const active = this._transitions[key];
+      if ((active ? active.to : this.params[key]) === to) continue;
+
+      changed = true;
+      if (transition > 0 && typeof to === 'number' && !DISCRETE_PARAMS.includes(key)) {
+        this._transitions[key] = { from: this.params[key], to, elapsed: 0, duration: transition };
+      } else {
+        delete this._transitions[key];
+        this.params[key] = to;
+      }
+    }
+
+    if (changed) this._paramsPending = true;
+    return changed;
+  }
+
+  // Advance in-flight param transitions and report settled changes
+  _applyParams(dt) {
+    let transitioning = false;
+
+    for (const key in this._transitions) {
+      const tr = this._transitions[key];
+      tr.elapsed += dt;
+      const t = Math.min(tr.elapsed / tr.duration, 1);
+      const eased = t * t * (3 - 2 * t);
+      const value = tr.from + (tr.to - tr.from) * eased;
+      this.params[key] = INTEGER_PARAMS.includes(key) ? Math.round(value) : value;
+
+      if (t >= 1) {
+        this.params[key] = tr.to;
+        delete this._transitions[key];
+      } else {
+        transitioning = true;
+      }
+    }
+
+    if (this._paramsPending && !transitioning) {
+      this._paramsPending = false;
+      this.onParamsApplied?.({ ...this.params });
+    }
+  }
+
+  // Advance the simulation by dt seconds. `attachments` holds the anchors
+  // that pinned particles follow (see pin()), e.g. THREE.Vector3s.
+  // Simulate silently so the cloth starts draped instead of dropping into
+  // place. `steps` is a step count, or 'rest' to run until no particle moves
+  // faster than `tolerance` (units/s), at most `maxSteps` steps. The
+  // attachments are held still (a function is sampled at time 0) and wind is
+  // off unless `wind` is set. Afterwards the cloth is at rest and time is 0.
+  // Returns the number of steps taken.
+  settle(attachments = [], {
+    steps = 'rest',
+    stepSize = 1 / 60,
+    tolerance = 0.01,
+    maxSteps = 600,
+    wind = false,
+  } = {}) {
+    const points = typeof attachments === 'function' ? attachments(0) : attachments;
+    const toRest = steps === 'rest';
+    const limit = toRest ? maxSteps : steps;
+    const windFields = this.windFields;
+    if (!wind) this.windFields = [];
+    this._moveToPins(points);
+
+    // A swinging cloth stops for an instant at each end of its swing, so it
+    // must stay slow for a quarter second to count as at rest
+    const restSteps = Math.ceil(0.25 / stepSize);
+    let slowSteps = 0;
+    let taken = 0;
+    while (taken < limit) {
+      this.step(stepSize, points);
+      taken++;
+      slowSteps = this._maxSpeed() < tolerance ? slowSteps + 1 : 0;
+      if (toRest && slowSteps >= restSteps) break;
+    }
+
+    this.windFields = windFields;
+    this.previous.set(this.positions.subarray(0, this.particleCount * 3));
+    this.time = 0;
+    // The stability guard falls back to the draped pose
+    this._restPose = this.positions.slice(0, this.particleCount * 3);
+    this._stablePose = null;
+    this._worstStretch = Infinity;
+    return taken;
+  }
+
+  step(dt, attachments = []) {
+    const start = now();
+    this.recorder?.recordStep(this, dt, attachments);
+    this._applyParams(dt);
+
+    const cfg = this.params;
+    const subSteps = cfg.subSteps;
+    const subDt = dt / subSteps;
+    const time = this.time;
+    if (this._restPose?.length !== this.particleCount * 3) {
+      this._restPose = this.positions.slice(0, this.particleCount * 3);
+    }
+
+    for (let c = 0; c < this.colliders.length; c++) this.colliders[c].updateTransform();
+    this.selfCollision.resetStats();
+    this._startGrabs();
+
+    const windy = cfg.windStrength !== 0 && this.triangleCount > 0 && this.windFields.length > 0;
+    const xpbd = cfg.solver === 'xpbd';
+    // Verlet damps per substep; XPBD per DAMPING_INTERVAL, so it stays the
+    // same material at any subSteps or step rate
+    const damping = xpbd ? cfg.damping ** (subDt / DAMPING_INTERVAL) : cfg.damping;
+    const maxMove = cfg.maxSpeed > 0 ? cfg.maxSpeed * subDt : Infinity;
+    for (let t = 0; t < CONSTRAINT_TYPES.length; t++) {
+      this._typeScale[t] = cfg[TYPE_STIFFNESS_PARAMS[t]] / CONSTRAINT_STIFFNESS[CONSTRAINT_TYPES[t]];
+    }
+
+    for (let s = 0; s < subSteps; s++) {
+      const dt2 = subDt * subDt;
+      const gravityY = -cfg.gravity * dt2;
+
+      // Fields vary slowly, so they're sampled once per step
+      if (windy) this.applyAerodynamics(subDt, time, s === 0);
+      this.integrate(damping, gravityY, windy ? dt2 / cfg.mass : 0, attachments, maxMove);
+      this._driveGrabs((s + 1) / subSteps);
+      if (xpbd) this.solveConstraintsXPBD(cfg.iterations, cfg.stiffness, subDt);
+      else this.solveConstraints(cfg.iterations, cfg.stiffness);
+      if (cfg.tethers) this.solveTethers();
+      if (this._softPins.length > 0) this.solveSoftPins(attachments);
+      this.breakOverstretched();
+      if (cfg.selfCollision) {
+        this.selfCollision.solve(this, cfg.selfCollisionThickness);
+      }
+      this.solveCollisions();
+    }
+
+    this._endGrabs(dt);
+    this._lastSubDt = subDt;
+    this.time += dt;
+    this._guardStability(attachments);
+    this._flushTears();
+    this.stepMs = now() - start;
+  }
+
+  // Verlet integration: pos_new = pos + (pos - pos_old) * damping + accel.
+  // `windDt2` scales windForce into a displacement (0 when there's no wind);
+  // no particle moves further than `maxMove`.
+  integrate(damping, gravityY, windDt2, attachments, maxMove = Infinity) {
+    const pos = this.positions;
+    const prev = this.previous;
+    const invMass = this.invMass;
+    const force = this.windForce;
+    const windMap = this.weightMaps.wind;
+
+    for (let i = 0; i < this.particleCount; i++) {
+      if (this.pinned[i]) {
+        if (this.pinned[i] === 1) this._followBinding(i, attachments);
+        continue;
+      }
+
+      const i3 = i * 3;
+      const wind = windDt2 * invMass[i] * (windMap ? windMap[i] : 1);
+
+      const x = pos[i3], y = pos[i3 + 1], z = pos[i3 + 2];
+      pos[i3] = x + (x - prev[i3]) * damping + force[i3] * wind;
+      pos[i3 + 1] = y + (y - prev[i3 + 1]) * damping + gravityY + force[i3 + 1] * wind;
+      pos[i3 + 2] = z + (z - prev[i3 + 2]) * damping + force[i3 + 2] * wind;
+
+      const dx = pos[i3] - x, dy = pos[i3 + 1] - y, dz = pos[i3 + 2] - z;
+      const moveSq = dx * dx + dy * dy + dz * dz;
+      if (moveSq > maxMove * maxMove) {
+        const scale = maxMove / Math.sqrt(moveSq);
+        pos[i3] = x + dx * scale;
+        pos[i3 + 1] = y + dy * scale;
+        pos[i3 + 2] = z + dz * scale;
+      }
+      prev[i3] = x;
+      prev[i3 + 1] = y;
+      prev[i3 + 2] = z;
+    }
+  }
+
+  // Pull each soft pin a `stiffness` fraction of the way to its target
+  solveSoftPins(attachments) {
+    const pos = this.positions;
+    for (let p = 0; p < this._softPins.length; p++) {
+      const i = this._softPins[p];
+      if (this.pinned[i] || !this._bindingTarget(this.bindings[i], attachments, _pinTarget)) continue;
+      const k = this.bindings[i].stiffness;
+      const i3 = i * 3;
+      pos[i3] += (_pinTarget.x - pos[i3]) * k;
+      pos[i3 + 1] += (_pinTarget.y - pos[i3 + 1]) * k;
+      pos[i3 + 2] += (_pinTarget.z - pos[i3 + 2]) * k;
+    }
+  }
+
+  // Aerodynamic drag and lift per triangle from the wind relative to the
+  // triangle's own velocity, shared equally by its three particles.
+  // Drag acts along the relative wind and lift across it, both scaled by
+  // how squarely the face meets the wind. With `resample` false the wind
+  // sampled by the previous call is reused.
+  applyAerodynamics(subDt, time, resample = true) {
+    const cfg = this.params;
+    const pos = this.positions;
+    const prev = this.previous;
+    const tri = this.triangles;
+    const force = this.windForce;
+    const windScale = cfg.windStrength;
+    const drag = cfg.dragCoefficient;
+    const lift = cfg.liftCoefficient;
+    const velScale = 1 / (3 * subDt);
+    const triWind = this._triangleWind;
+
+    force.fill(0, 0, this.particleCount * 3);
+
+    for (let t = 0; t < this.triangleCount; t++) {
+      const a3 = tri[t * 3] * 3, b3 = tri[t * 3 + 1] * 3, c3 = tri[t * 3 + 2] * 3;
+
+      // Face normal; its length is twice the triangle's area
+      const e1x = pos[b3] - pos[a3], e1y = pos[b3 + 1] - pos[a3 + 1], e1z = pos[b3 + 2] - pos[a3 + 2];
+      const e2x = pos[c3] - pos[a3], e2y = pos[c3 + 1] - pos[a3 + 1], e2z = pos[c3 + 2] - pos[a3 + 2];
+      let nx = e1y * e2z - e1z * e2y;
+      let ny = e1z * e2x - e1x * e2z;
+      let nz = e1x * e2y - e1y * e2x;
+      const nLen = Math.sqrt(nx * nx + ny * ny + nz * nz);
+      if (nLen < 1e-12) continue;
+      nx /= nLen; ny /= nLen; nz /= nLen;
+
+      const t3 = t * 3;
+      if (resample) {
+        sampleWind(
+          this.windFields,
+          (pos[a3] + pos[b3] + pos[c3]) / 3,
+          (pos[a3 + 1] + pos[b3 + 1] + pos[c3 + 1]) / 3,
+          (pos[a3 + 2] + pos[b3 + 2] + pos[c3 + 2]) / 3,
+          time,
+          _wind
+        );
+        triWind[t3] = _wind.x * windScale;
+        triWind[t3 + 1] = _wind.y * windScale;
+        triWind[t3 + 2] = _wind.z * windScale;
+      }
+
+      // Wind relative to the triangle's average velocity
+      const rx = triWind[t3] - (pos[a3] - prev[a3] + pos[b3] - prev[b3] + pos[c3] - prev[c3]) * velScale;
+      const ry = triWind[t3 + 1] - (pos[a3 + 1] - prev[a3 + 1] + pos[b3 + 1] - prev[b3 + 1] + pos[c3 + 1] - prev[c3 + 1]) * velScale;
+      const rz = triWind[t3 + 2] - (pos[a3 + 2] - prev[a3 + 2] + pos[b3 + 2] - prev[b3 + 2] + pos[c3 + 2] - prev[c3 + 2]) * velScale;
+      const speedSq = rx * rx + ry * ry + rz * rz;
+      if (speedSq < 1e-12) continue;
+      const speed = Math.sqrt(speedSq);
+      const ux = rx / speed, uy = ry / speed, uz = rz / speed;
+
+      // Flip the normal to face downwind
+      let cos = nx * ux + ny * uy + nz * uz;
+      if (cos < 0) {
+        cos = -cos;
+        nx = -nx; ny = -ny; nz = -nz;
+      }
+
+      // Dynamic pressure × area, split over three particles
+      const q = 0.5 * speedSq * 0.5 * nLen * this._aeroAreaScale / 3;
+      const fd = drag * q * cos;
+      // Lift ~ cos·sin along (n - cos·u), which already has length sin
+      const fl = lift * q * cos;
+      const fx = ux * fd + (nx - cos * ux) * fl;
+      const fy = uy * fd + (ny - cos * uy) * fl;
+      const fz = uz * fd + (nz - cos * uz) * fl;
+
+      force[a3] += fx; force[a3 + 1] += fy; force[a3 + 2] += fz;
+      force[b3] += fx; force[b3 + 1] += fy; force[b3 + 2] += fz;
+      force[c3] += fx; force[c3 + 1] += fy; force[c3 + 2] += fz;
+    }
+  }
+
+  solveConstraints(iterations, globalStiffness) {
+    const pos = this.positions;
+    const invMass = this.invMass;
+    const ca = this.constraintA;
+    const cb = this.constraintB;
+    const rest = this.restLengths;
+    const stiffness = this.constraintStiffness;
+    const types = this.constraintTypes;
+    const typeScale = this._typeScale;
+    const count = this.constraintCount;
+
+    for (let iter = 0; iter < iterations; iter++) {
+      for (let c = 0; c < count; c++) {
+        const a = ca[c];
+        const b = cb[c];
+        const wa = invMass[a];
+        const wb = invMass[b];
+        const wSum = wa + wb;
+        if (wSum === 0) continue;
+
+        const a3 = a * 3, b3 = b * 3;
+        const dx = pos[b3] - pos[a3];
+        const dy = pos[b3 + 1] - pos[a3 + 1];
+        const dz = pos[b3 + 2] - pos[a3 + 2];
+        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (dist === 0) continue;
+
+        // Split the correction by inverse mass (half each for equal masses,
+        // all of it on the free end when the other is pinned)
+        const k = (dist - rest[c]) / dist * globalStiffness * stiffness[c] * typeScale[types[c]] / wSum;
+        const ka = k * wa, kb = k * wb;
+        pos[a3] += dx * ka; pos[a3 + 1] += dy * ka; pos[a3 + 2] += dz * ka;
+        pos[b3] -= dx * kb; pos[b3 + 1] -= dy * kb; pos[b3 + 2] -= dz * kb;
+      }
+      if (this.hingeCount > 0) this.solveHinges(globalStiffness * typeScale[BENDING]);
+    }
+  }
+
+  // XPBD: each constraint is a spring of compliance alpha (the type's
+  // compliance, softened by params.stiffness and weight maps below 1), solved
+  // with a Lagrange multiplier that accumulates over the substep's
+  // iterations. More iterations only converge closer to the same material.
+  // A stiffness of 0 (infinite compliance) leaves the constraints off, as it
+  // does under Verlet.
+  solveConstraintsXPBD(iterations, globalStiffness, subDt) {
+    if (!(globalStiffness > 0)) return;
+    const pos = this.positions;
+    const invMass = this.invMass;
+    const ca = this.constraintA;
+    const cb = this.constraintB;
+    const rest = this.restLengths;
+    const stiffness = this.constraintStiffness;
+    const types = this.constraintTypes;
+    const lambdas = this._lambdas;
+    const count = this.constraintCount;
+
+    // Compliance scaled by mass / dt², per type; -1 for a type whose
+    // stiffness param is 0, which is skipped
+    const compliance = this._compliance;
+    const typeScale = this._typeScale;
+    const scale = this.params.mass / (globalStiffness * subDt * subDt);
+    for (let t = 0; t < CONSTRAINT_TYPES.length; t++) {
+      compliance[t] = typeScale[t] > 0
+        ? this.params[COMPLIANCE_PARAMS[t]] * CONSTRAINT_STIFFNESS[CONSTRAINT_TYPES[t]] * scale / typeScale[t]
+        : -1;
+    }
+    lambdas.fill(0, 0, count);
+    const hinges = this.hingeCount > 0 && typeScale[BENDING] > 0;
+    const hingeCompliance = this.params.bendCompliance * HINGE_COMPLIANCE_SCALE * HINGE_STIFFNESS * scale /
+      typeScale[BENDING];
+    this._hingeLambdas.fill(0, 0, this.hingeCount);
+
+    for (let iter = 0; iter < iterations; iter++) {
+      for (let c = 0; c < count; c++) {
+        const a = ca[c];
+        const b = cb[c];
+        const wa = invMass[a];
+        const wb = invMass[b];
+        const wSum = wa + wb;
+        if (wSum === 0 || stiffness[c] === 0 || compliance[types[c]] < 0) continue;
+
+        const a3 = a * 3, b3 = b * 3;
+        const dx = pos[b3] - pos[a3];
+        const dy = pos[b3 + 1] - pos[a3 + 1];
+        const dz = pos[b3 + 2] - pos[a3 + 2];
+        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (dist === 0) continue;
+
+        // A weight-mapped stiffness below the type's default softens the spring
+        const alpha = compliance[types[c]] / stiffness[c];
+        const dLambda = (rest[c] - dist - alpha * lambdas[c]) / (wSum + alpha);
+        lambdas[c] += dLambda;
+
+        const k = dLambda / dist;
+        const ka = k * wa, kb = k * wb;
+        pos[a3] -= dx * ka; pos[a3 + 1] -= dy * ka; pos[a3 + 2] -= dz * ka;
+        pos[b3] += dx * kb; pos[b3 + 1] += dy * kb; pos[b3 + 2] += dz * kb;
+      }
+      if (hinges) this.solveHinges(globalStiffness, hingeCompliance);
+    }
+  }
+
+  // Long-range attachments: pull every free particle back inside its rest
+  // distance (along the cloth) from its nearest hard pin. Cheap, and it stops
+  // long hanging cloth stretching like rubber at low iteration counts.
+  solveTethers() {
+    this._updateTethers();
+    const pos = this.positions;
+    const pins = this._tetherPins;
+    const lengths = this._tetherLengths;
+
+    for (let i = 0; i < this.particleCount; i++) {
+      const p = pins[i];
+      if (p < 0 || this.pinned[i]) continue;
+      const i3 = i * 3, p3 = p * 3;
+      const dx = pos[i3] - pos[p3], dy = pos[i3 + 1] - pos[p3 + 1], dz = pos[i3 + 2] - pos[p3 + 2];
+      const distSq = dx * dx + dy * dy + dz * dz;
+      if (distSq <= lengths[i] * lengths[i]) continue;
+
+      const k = lengths[i] / Math.sqrt(distSq);
+      pos[i3] = pos[p3] + dx * k;
+      pos[i3 + 1] = pos[p3 + 1] + dy * k;
+      pos[i3 + 2] = pos[p3 + 2] + dz * k;
+    }
+  }
+
+  // One pass over the dihedral hinges. The Verlet solver turns each hinge a
+  // `stiffness` fraction of the way to its rest angle. With `compliance`
+  // (XPBD, over dt²) each hinge is a spring whose multiplier accumulates in
+  // _hingeLambdas over the substep's iterations.
+  solveHinges(globalStiffness, compliance = -1) {
+    const pos = this.positions;
+    const invMass = this.invMass;
+    const hinges = this.hinges;
+    const rest = this.hingeRestAngles;
+    const stiffness = this.hingeStiffness;
+    const lambdas = this._hingeLambdas;
+
+    for (let h = 0; h < this.hingeCount; h++) {
+      const h4 = h * 4;
+      const i1 = hinges[h4], i2 = hinges[h4 + 1], ia = hinges[h4 + 2], ib = hinges[h4 + 3];
+      const w1 = invMass[i1], w2 = invMass[i2], wa = invMass[ia], wb = invMass[ib];
+      if (w1 + w2 + wa + wb === 0 || stiffness[h] === 0) continue;
+
+      const c1 = i1 * 3, c2 = i2 * 3, a = ia * 3, b = ib * 3;
+      const ex = pos[b] - pos[a], ey = pos[b + 1] - pos[a + 1], ez = pos[b + 2] - pos[a + 2];
+      const px = pos[c1] - pos[a], py = pos[c1 + 1] - pos[a + 1], pz = pos[c1 + 2] - pos[a + 2];
+      const qx = pos[c2] - pos[b], qy = pos[c2 + 1] - pos[b + 1], qz = pos[c2 + 2] - pos[b + 2];
+      const n1x = ey * pz - ez * py, n1y = ez * px - ex * pz, n1z = ex * py - ey * px;
+      const n2x = qy * ez - qz * ey, n2y = qz * ex - qx * ez, n2z = qx * ey - qy * ex;
+      const lenSq = ex * ex + ey * ey + ez * ez;
+      const n1Sq = n1x * n1x + n1y * n1y + n1z * n1z;
+      const n2Sq = n2x * n2x + n2y * n2y + n2z * n2z;
+      // Skip collapsed triangles, whose normals are undefined
+      if (lenSq < 1e-12 || n1Sq < 1e-12 || n2Sq < 1e-12) continue;
+
+      let error = hingeAngleFrom(n1x, n1y, n1z, n2x, n2y, n2z, ex, ey, ez) - rest[h];
+      if (error > Math.PI) error -= 2 * Math.PI;
+      else if (error < -Math.PI) error += 2 * Math.PI;
+
+      // Gradient of the angle for each particle (Bridson et al. 2003): the
+      // wing tips move along their normals, the edge ends share the rest
+      const len = Math.sqrt(lenSq);
+      const k1 = -len / n1Sq, k2 = -len / n2Sq;
+      const tA1 = (px * ex + py * ey + pz * ez) / (len * n1Sq);               // (c1 - a)·e
+      const tA2 = ((qx + ex) * ex + (qy + ey) * ey + (qz + ez) * ez) / (len * n2Sq); // (c2 - a)·e
+      const tB1 = ((px - ex) * ex + (py - ey) * ey + (pz - ez) * ez) / (len * n1Sq); // (c1 - b)·e
+      const tB2 = (qx * ex + qy * ey + qz * ez) / (len * n2Sq);               // (c2 - b)·e
+      const gax = -(n1x * tB1 + n2x * tB2), gay = -(n1y * tB1 + n2y * tB2), gaz = -(n1z * tB1 + n2z * tB2);
+      const gbx = n1x * tA1 + n2x * tA2, gby = n1y * tA1 + n2y * tA2, gbz = n1z * tA1 + n2z * tA2;
+      const weight = w1 * lenSq / n1Sq + w2 * lenSq / n2Sq +
+        wa * (gax * gax + gay * gay + gaz * gaz) + wb * (gbx * gbx + gby * gby + gbz * gbz);
+      if (weight === 0) continue;
+
+      let dLambda;
+      if (compliance >= 0) {
+        const alpha = compliance / stiffness[h];
+        dLambda = (-error - alpha * lambdas[h]) / (weight + alpha);
+        lambdas[h] += dLambda;
+      } else {
+        dLambda = -error * globalStiffness * stiffness[h] / weight;
+      }
+
+      const s1 = dLambda * w1 * k1, s2 = dLambda * w2 * k2;
+      const sa = dLambda * wa, sb = dLambda * wb;
+      pos[c1] += n1x * s1; pos[c1 + 1] += n1y * s1; pos[c1 + 2] += n1z * s1;
+      pos[c2] += n2x * s2; pos[c2 + 1] += n2y * s2; pos[c2 + 2] += n2z * s2;
+      pos[a] += gax * sa; pos[a + 1] += gay * sa; pos[a + 2] += gaz * sa;
+      pos[b] += gbx * sb; pos[b + 1] += gby * sb; pos[b + 2] += gbz * sb;
+    }
+  }
+
+  // Break every constraint stretched past its threshold
+  breakOverstretched() {
+    const globalLimit = this.params.tearThreshold;
+    if (!(globalLimit > 0) && !this._hasBreakThresholds) return;
+
+    const rest = this.restLengths;
+    // Backwards, so the constraint swapped into a removed slot was already checked
+    for (let c = this.constraintCount - 1; c >= 0; c--) {
+      const limit = this.breakThresholds[c] || globalLimit;
+      if (!(limit > 0)) continue;
+      const stretch = this.distance(this.constraintA[c], this.constraintB[c]) / rest[c];
+      if (stretch > limit) this._breakConstraint(c, 'stretch', stretch);
+    }
+  }
+
+  // Cut every constraint whose on-screen projection crosses the stroke from
+  // (x0, y0) to (x1, y1) in normalized device coordinates. `viewProjection` is
+  // a column-major 4x4 matrix (camera.projectionMatrix × matrixWorldInverse).
+  // Returns the number of constraints cut.
+  cut(viewProjection, x0, y0, x1, y1) {
+    this._record('cut', Array.from(viewProjection), x0, y0, x1, y1);
+    const m = viewProjection;
+    const pos = this.positions;
+    let count = 0;
+
+    for (let c = this.constraintCount - 1; c >= 0; c--) {
+      const a3 = this.constraintA[c] * 3;
+      const b3 = this.constraintB[c] * 3;
+      if (!projectToScreen(m, pos[a3], pos[a3 + 1], pos[a3 + 2], _screenA)) continue;
+      if (!projectToScreen(m, pos[b3], pos[b3 + 1], pos[b3 + 2], _screenB)) continue;
+      if (!segmentsCross(x0, y0, x1, y1, _screenA.x, _screenA.y, _screenB.x, _screenB.y)) continue;
+
+      const stretch = this.distance(this.constraintA[c], this.constraintB[c]) / this.restLengths[c];
+      this._breakConstraint(c, 'cut', stretch);
+      count++;
+    }
+
+    this._flushTears();
+    return count;
+  }
+
+  solveCollisions() {
+    const colliders = this.colliders;
+    if (colliders.length === 0) return;
+    for (let i = 0; i < this.particleCount; i++) {
+      if (this.pinned[i]) continue;
+      for (let c = 0; c < colliders.length; c++) {
+        if (colliders[c].enabled) colliders[c].collide(this.positions, this.previous, i * 3);
+      }
+    }
+  }
+
+  // Translate the whole cloth by the average distance from its hard pins to
+  // their targets, so the first step doesn't yank it into place
+  _moveToPins(attachments) {
+    let dx = 0, dy = 0, dz = 0, count = 0;
+    for (let i = 0; i < this.particleCount; i++) {
+      const binding = this.bindings[i];
+      if (this.pinned[i] !== 1 || !binding || !this._bindingTarget(binding, attachments, _pinTarget)) continue;
+      const i3 = i * 3;
+      dx += _pinTarget.x - this.positions[i3];
+      dy += _pinTarget.y - this.positions[i3 + 1];
+      dz += _pinTarget.z - this.positions[i3 + 2];
+      count++;
+    }
+    if (count === 0) return;
+
+    dx /= count; dy /= count; dz /= count;
+    for (let i = 0; i < this.particleCount; i++) {
+      const i3 = i * 3;
+      this.positions[i3] += dx; this.previous[i3] += dx;
+      this.positions[i3 + 1] += dy; this.previous[i3 + 1] += dy;
+      this.positions[i3 + 2] += dz; this.previous[i3 + 2] += dz;
+    }
+  }
+
+  // Undo a step that blew up (see _findInstability): back to the last
+  // healthy snapshot, or to the rest pose if that snapshot already failed to
+  // hold, moved onto the current pins and at rest. Healthy cloth is
+  // snapshotted every STABLE_SNAPSHOT_INTERVAL seconds.
+  _guardStability(attachments) {
+    const n = this.particleCount * 3;
+    const problem = this._findInstability();
+    if (!problem) {
+      if (this._stablePose?.length !== n || this.time - this._stableTime >= STABLE_SNAPSHOT_INTERVAL) {
+        if (this._stablePose?.length === n) this._stablePose.set(this.positions.subarray(0, n));
+        else this._stablePose = this.positions.slice(0, n);
+        this._stableTime = this.time;
+        this._stablePoseFailed = false;
+      }
+      return;
+    }
+
+    const maxSpeed = this._maxSpeed();
+    const recovery = this._stablePose?.length === n && !this._stablePoseFailed ? 'snapshot' : 'rest';
+    this.positions.set(recovery === 'snapshot' ? this._stablePose : this._restPose);
+    this._moveToPins(attachments);
+    for (let i = 0; i < this.particleCount; i++) {
+      if (this.pinned[i] === 1) this._followBinding(i, attachments);
+    }
+    this.previous.set(this.positions.subarray(0, n));
+    // A second blow-up before the next snapshot goes back to the rest pose
+    this._stablePoseFailed = true;
+    this._stableTime = this.time;
+    this._worstStretch = Infinity;
+
+    this.onInstability?.({
+      ...problem,
+      type: problem.constraint === -1 ? null : CONSTRAINT_TYPES[this.constraintTypes[problem.constraint]],
+      time: this.time,
+      maxSpeed,
+      recovery,
+    });
+  }
+
+  // Signs of a blown-up step: a NaN or infinite position, or a worst link
+  // stretch past instabilityStretch × its rest length that grew RUNAWAY_GROWTH
+  // times over since the last step. Links with no stiffness can't hold the
+  // cloth together, so they're skipped.
+  // Returns { cause, particle, constraint, stretch } or null.
+  _findInstability() {
+    const pos = this.positions;
+    for (let i = 0; i < this.particleCount * 3; i++) {
+      if (!Number.isFinite(pos[i])) return { cause: 'nan', particle: Math.floor(i / 3), constraint: -1, stretch: NaN };
+    }
+
+    const limit = this.params.instabilityStretch;
+    if (!(limit > 0)) return null;
+    const ca = this.constraintA;
+    const cb = this.constraintB;
+    const rest = this.restLengths;
+    const stiffness = this.constraintStiffness;
+    const types = this.constraintTypes;
+    const typeScale = this._typeScale;
+    let worst = 0;
+    let constraint = -1;
+    for (let c = 0; c < this.constraintCount; c++) {
+      if (stiffness[c] === 0 || typeScale[types[c]] === 0) continue;
+      const a3 = ca[c] * 3, b3 = cb[c] * 3;
+      const dx = pos[b3] - pos[a3], dy = pos[b3 + 1] - pos[a3 + 1], dz = pos[b3 + 2] - pos[a3 + 2];
+      const ratioSq = (dx * dx + dy * dy + dz * dz) / (rest[c] * rest[c]);
+      if (ratioSq > worst) {
+        worst = ratioSq;
+        constraint = c;
+      }
+    }
+    const stretch = Math.sqrt(worst);
+    const previous = this._worstStretch;
+    this._worstStretch = stretch;
+    if (stretch <= limit || stretch <= previous * RUNAWAY_GROWTH) return null;
+    return { cause: 'stretch', particle: -1, constraint, stretch };
+  }
+
+  // Fastest free particle over the last substep, in units/s
+  _maxSpeed() {
+    const pos = this.positions;
+    const prev = this.previous;
+    let max = 0;
+    for (let i = 0; i < this.particleCount; i++) {
+      if (this.pinned[i]) continue;
+      const i3 = i * 3;
+      const dx = pos[i3] - prev[i3], dy = pos[i3 + 1] - prev[i3 + 1], dz = pos[i3 + 2] - prev[i3 + 2];
+      max = Math.max(max, dx * dx + dy * dy + dz * dz);
+    }
+    return Math.sqrt(max) / this._lastSubDt;
+  }
+
+  _startGrabs() {
+    for (const grab of this.grabs) this.getPosition(grab.index, grab.from);
+  }
+
+  // Move grabbed particles a fraction `t` of the way to their targets
+  _driveGrabs(t) {
+    const pos = this.positions;
+    const prev = this.previous;
+    for (const { index, from, target } of this.grabs) {
+      const i3 = index * 3;
+      prev[i3] = pos[i3];
+      prev[i3 + 1] = pos[i3 + 1];
+      prev[i3 + 2] = pos[i3 + 2];
+      pos[i3] = from.x + (target.x - from.x) * t;
+      pos[i3 + 1] = from.y + (target.y - from.y) * t;
+      pos[i3 + 2] = from.z + (target.z - from.z) * t;
+    }
+  }
+
+  // Track each grab's velocity, smoothed over ~50ms so steps without pointer
+  // movement (several fixed steps in one frame) don't zero the throw
+  _endGrabs(dt) {
+    const k = 1 - Math.exp(-dt / 0.05);
+    for (const { from, target, velocity } of this.grabs) {
+      velocity.x += ((target.x - from.x) / dt - velocity.x) * k;
+      velocity.y += ((target.y - from.y) / dt - velocity.y) * k;
+      velocity.z += ((target.z - from.z) / dt - velocity.z) * k;
+    }
+  }
+
+  _breakConstraint(c, cause, stretch) {
+    this._tears.push({
+      a: this.constraintA[c],
+      b: this.constraintB[c],
+      type: CONSTRAINT_TYPES[this.constraintTypes[c]],
+      stretch,
+      cause,
+    });
+    this.removeConstraint(c);
+  }
+
+  // Report tears once the step (or cut) is done, so handlers see a
+  // consistent simulation
+  _flushTears() {
+    if (this._tears.length === 0) return;
+    const tears = this._tears;
+    this._tears = [];
+    if (this.onTear) tears.forEach(this.onTear);
+  }
+
+  _removeTrianglesWithEdge(a, b) {
+    const tri = this.triangles;
+    for (let t = this.triangleCount - 1; t >= 0; t--) {
+      const t3 = t * 3;
+      const hasA = tri[t3] === a || tri[t3 + 1] === a || tri[t3 + 2] === a;
+      const hasB = tri[t3] === b || tri[t3 + 1] === b || tri[t3 + 2] === b;
+      if (!hasA || !hasB) continue;
+
+      const l3 = --this.triangleCount * 3;
+      tri[t3] = tri[l3];
+      tri[t3 + 1] = tri[l3 + 1];
+      tri[t3 + 2] = tri[l3 + 2];
+      this.topologyVersion++;
+    }
+  }
+
+  // Rebuild the tethers if pins or topology changed since the last build
+  _updateTethers() {
+    const version = this.topologyVersion + this._pinVersion;
+    const n = this.particleCount;
+    if (version === this._tetherVersion && this._tetherPins.length === n) return;
+    this._tetherVersion = version;
+    if (this._tetherPins.length !== n) {
+      this._tetherPins = new Int32Array(n);
+      this._tetherLengths = new Float32Array(n);
+    }
+
+    const sources = [];
+    for (let i = 0; i < n; i++) {
+      if (this.pinned[i] === 1) sources.push(i);
+    }
+    nearestAlongEdges(
+      n, sources,
+      this.constraintA, this.constraintB, this.restLengths, this.constraintCount,
+      this._tetherPins, this._tetherLengths,
+    );
+  }
+
+  // A hinge goes with either of its triangles
+  _removeHingesWithEdge(a, b) {
+    const hinges = this.hinges;
+    for (let h = this.hingeCount - 1; h >= 0; h--) {
+      const h4 = h * 4;
+      const ha = hinges[h4 + 2], hb = hinges[h4 + 3];
+      const onEdge = (i) => i === ha || i === hb;
+      const inFirst = (onEdge(a) || a === hinges[h4]) && (onEdge(b) || b === hinges[h4]);
+      const inSecond = (onEdge(a) || a === hinges[h4 + 1]) && (onEdge(b) || b === hinges[h4 + 1]);
+      if (!inFirst && !inSecond) continue;
+
+      const last = --this.hingeCount;
+      hinges.copyWithin(h4, last * 4, last * 4 + 4);
+      this.hingeRestAngles[h] = this.hingeRestAngles[last];
+      this.hingeStiffness[h] = this.hingeStiffness[last];
+      this.topologyVersion++;
+    }
+  }
+
+  _triangleArea(t) {
+    const tri = this.triangles;
+    const a = tri[t * 3], b = tri[t * 3 + 1], c = tri[t * 3 + 2];
+    const pos = this.positions;
+    const e1x = pos[b * 3] - pos[a * 3], e1y = pos[b * 3 + 1] - pos[a * 3 + 1], e1z = pos[b * 3 + 2] - pos[a * 3 + 2];
+    const e2x = pos[c * 3] - pos[a * 3], e2y = pos[c * 3 + 1] - pos[a * 3 + 1], e2z = pos[c * 3 + 2] - pos[a * 3 + 2];
+    const nx = e1y * e2z - e1z * e2y;
+    const ny = e1z * e2x - e1x * e2z;
+    const nz = e1x * e2y - e1y * e2x;
+    return 0.5 * Math.sqrt(nx * nx + ny * ny + nz * nz);
+  }
+
+  _record(type, ...args) {
+    this.recorder?.record(type, args);
+  }
+
+  _setBinding(index, binding) {
+    this._pinVersion++;
+    const wasSoft = this.bindings[index]?.stiffness < 1;
+    this.bindings[index] = binding;
+    const soft = binding !== null && binding.stiffness < 1;
+    if (soft && !wasSoft) this._softPins.push(index);
+    if (!soft && wasSoft) this._softPins.splice(this._softPins.indexOf(index), 1);
+  }
+
+  // A weight map's values per particle; mesh cloth can give them per vertex
+  _particleWeights(values) {
+    if (values.length === this.particleCount) return Float32Array.from(values);
+    if (this.mesh && values.length === this.mesh.vertexCount) {
+      return particleWeights(values, this.mesh.vertexToParticle, this.particleCount);
+    }
+    throw new Error(`Weight map has ${values.length} values, expected ${this.particleCount}`);
+  }
+
+  // Apply a 'pin' weight map; see setWeightMap
+  _paintPins(map) {
+    const pos = this.positions;
+    // Pins as they were before painting, which may unpin some of them
+    const anchored = [];
+    this.bindings.forEach((binding, index) => {
+      if (binding) anchored.push({ index, binding });
+    });
+
+    for (let i = 0; i < this.particleCount; i++) {
+      const strength = Math.min(map[i], 1);
+      const binding = this.bindings[i];
+      if (binding) {
+        if (strength <= 0) this.unpin(i);
+        else if (strength !== binding.stiffness) this.pin(i, { ...binding, stiffness: strength });
+      } else if (this.pinned[i] === 1) {
+        if (strength <= 0) this.unpin(i);
+      } else if (strength > 0 && anchored.length > 0) {
+        let nearest = null;
+        let best = Infinity;
+        for (const pin of anchored) {
+          const j = pin.index;
+          const dx = pos[i * 3] - pos[j * 3], dy = pos[i * 3 + 1] - pos[j * 3 + 1], dz = pos[i * 3 + 2] - pos[j * 3 + 2];
+          const d = dx * dx + dy * dy + dz * dz;
+          if (d < best) {
+            best = d;
+            nearest = pin;
+          }
+        }
+        const { offset, ...rest } = nearest.binding;
+        const j = nearest.index;
+        this.pin(i, {
+          ...rest,
+          offset: {
+            x: offset.x + pos[i * 3] - pos[j * 3],
+            y: offset.y + pos[i * 3 + 1] - pos[j * 3 + 1],
+            z: offset.z + pos[i * 3 + 2] - pos[j * 3 + 2],
+          },
+          stiffness: strength,
+        });
+      } else if (strength >= 1) {
+        // With no anchored pins to follow, a full-strength pin holds still
+        this.pin(i, null);
+      }
+    }
+  }
+
+  _followBinding(i, attachments) {
+    const binding = this.bindings[i];
+    if (!binding || !this._bindingTarget(binding, attachments, _pinTarget)) return;
+    const i3 = i * 3;
+    this.positions[i3] = this.previous[i3] = _pinTarget.x;
+    this.positions[i3 + 1] = this.previous[i3 + 1] = _pinTarget.y;
+    this.positions[i3 + 2] = this.previous[i3 + 2] = _pinTarget.z;
+  }
+
+  // Where a binding currently holds its particle; false if its anchor is missing
+  _bindingTarget(binding, attachments, out) {
+    const a = attachments[binding.anchor];
+    if (!a) return false;
+    const b = binding.anchorB === null ? a : attachments[binding.anchorB] ?? a;
+    const t = binding.t;
+
+    out.x = binding.offset.x;
+    out.y = binding.offset.y;
+    out.z = binding.offset.z;
+    const q = a.quaternion;
+    if (q) rotateByQuaternion(q.x, q.y, q.z, q.w, out);
+
+    out.x += a.x + (b.x - a.x) * t;
+    out.y += a.y + (b.y - a.y) * t;
+    out.z += a.z + (b.z - a.z) * t;
+    return true;
+  }
+
+  // Full simulation state as a versioned, JSON-safe object: particles, pins,
+  // grabs, the live constraints and triangles (so tears persist), params and
+  // time. Colliders and wind fields belong to the scene and aren't included.
+  // ClothState.encodeState packs it into a smaller binary form.
+  serialize() {
+    const n = this.particleCount;
+    const c = this.constraintCount;
+    const pins = [];
+    this.bindings.forEach((binding, index) => {
+      if (binding) pins.push({ index, ...binding, offset: { ...binding.offset } });
+    });
+    const weightMaps = {};
+    for (const name of Object.keys(this.weightMaps)) weightMaps[name] = Array.from(this.weightMaps[name]);
+
+    return {
+      format: STATE_FORMAT,
+      version: STATE_VERSION,
+      time: this.time,
+      params: { ...this.params },
+      transitions: JSON.parse(JSON.stringify(this._transitions)),
+      particles: {
+        count: n,
+        positions: Array.from(this.positions.subarray(0, n * 3)),
+        previous: Array.from(this.previous.subarray(0, n * 3)),
+        masses: Array.from(this.masses.subarray(0, n)),
+        pinned: Array.from(this.pinned.subarray(0, n)),
+      },
+      pins,
+      grabs: this.grabs.map(({ index, target, velocity }) => ({
+        index,
+        target: { ...target },
+        velocity: { ...velocity },
+      })),
+      lastSubDt: this._lastSubDt,
+      constraints: {
+        count: c,
+        a: Array.from(this.constraintA.subarray(0, c)),
+        b: Array.from(this.constraintB.subarray(0, c)),
+        restLengths: Array.from(this.restLengths.subarray(0, c)),
+        stiffness: Array.from(this.constraintStiffness.subarray(0, c)),
+        types: Array.from(this.constraintTypes.subarray(0, c)),
+        breakThresholds: Array.from(this.breakThresholds.subarray(0, c)),
+      },
+      triangles: Array.from(this.triangles.subarray(0, this.triangleCount * 3)),
+      hinges: {
+        count: this.hingeCount,
+        indices: Array.from(this.hinges.subarray(0, this.hingeCount * 4)),
+        restAngles: Array.from(this.hingeRestAngles.subarray(0, this.hingeCount)),
+        stiffness: Array.from(this.hingeStiffness.subarray(0, this.hingeCount)),
+      },
+      aeroAreaScale: this._aeroAreaScale,
+      weightMaps,
+    };
+  }
+
+  // Replace the whole simulation state with one from serialize(), given as
+  // the object, its JSON string or ClothState.encodeState's binary form.
+  // Stepping on from a restored state matches stepping on from the original.
+  restore(state) {
+    state = readState(state);
+
+    const { particles, constraints } = state;
+    const n = particles.count;
+    const c = constraints.count;
+    // States from before dihedral bending have no hinges
+    const hinges = state.hinges ?? { count: 0, indices: [], restAngles: [], stiffness: [] };
+    this.reserve(n, c, hinges.count);
+
+    this.particleCount = n;
+    this.positions.set(particles.positions);
+    this.previous.set(particles.previous);
+    this.masses.set(particles.masses);
+    this.pinned.set(particles.pinned);
+    this.windForce.fill(0);
+    for (let i = 0; i < n; i++) this.invMass[i] = this.pinned[i] ? 0 : 1 / this.masses[i];
+
+    this.bindings = [];
+    this._softPins = [];
+    for (const { index, ...binding } of state.pins) this._setBinding(index, binding);
+    this.grabs = state.grabs.map(({ index, target, velocity }) => ({
+      index,
+      target: { ...target },
+      from: this.getPosition(index),
+      velocity: { ...velocity },
+    }));
+    this._lastSubDt = state.lastSubDt;
+    // Masses, stiffness and pins already carry the maps' effect
+    this.weightMaps = {};
+    for (const [name, values] of Object.entries(state.weightMaps ?? {})) this.weightMaps[name] = Float32Array.from(values);
+
+    this.constraintCount = c;
+    this.constraintA.set(constraints.a);
+    this.constraintB.set(constraints.b);
+    this.restLengths.set(constraints.restLengths);
+    this.constraintStiffness.set(constraints.stiffness);
+    this.constraintTypes.set(constraints.types);
+    this.breakThresholds.set(constraints.breakThresholds);
+    this._hasBreakThresholds = this.breakThresholds.subarray(0, c).some(ratio => ratio > 0);
+
+    this.triangles = Uint32Array.from(state.triangles);
+    this.triangleCount = this.triangles.length / 3;
+    this.hingeCount = hinges.count;
+    this.hinges.set(hinges.indices);
+    this.hingeRestAngles.set(hinges.restAngles);
+    this.hingeStiffness.set(hinges.stiffness);
+    this._triangleWind = new Float32Array(this.triangleCount * 3);
+    this._aeroAreaScale = state.aeroAreaScale;
+    this.topologyVersion++;
+
+    this.params = { ...DEFAULT_PARAMS, ...state.params };
+    this._transitions = JSON.parse(JSON.stringify(state.transitions));
+    this._paramsPending = false;
+    this.time = state.time;
+    this._tears.length = 0;
+    // The stability guard falls back to the restored pose, never to one from
+    // before the restore
+    this._restPose = this.positions.slice(0, n * 3);
+    this._stablePose = null;
+    this._stableTime = this.time;
+    this._stablePoseFailed = false;
+    this._worstStretch = Infinity;
+  }
+
+  // Copy particle positions into a flat xyz array (e.g. a BufferAttribute's array)
+  writePositions(target) {
+    target.set(this.positions.subarray(0, this.particleCount * 3));
+    return target;
+  }
+
+  // Copy constraint endpoints into a flat array of line segments
+  writeConstraintSegments(target) {
+    const pos = this.positions;
+    for (let c = 0; c < this.constraintCount; c++) {
+      const a3 = this.constraintA[c] * 3;
+      const b3 = this.constraintB[c] * 3;
+      const o = c * 6;
+      target[o] = pos[a3]; target[o + 1] = pos[a3 + 1]; target[o + 2] = pos[a3 + 2];
+      target[o + 3] = pos[b3]; target[o + 4] = pos[b3 + 1]; target[o + 5] = pos[b3 + 2];
+    }
+    return target;
+  }
+
+  // Length / rest length of every constraint into `target`: 1 at rest, above
+  // when stretched, below when compressed. `positions` defaults to the
+  // solver's own; pass interpolated ones (e.g. a renderer's) to match them.
+  writeConstraintStretch(target, positions = this.positions) {
+    for (let c = 0; c < this.constraintCount; c++) {
+      const a3 = this.constraintA[c] * 3;
+      const b3 = this.constraintB[c] * 3;
+      const dx = positions[b3] - positions[a3];
+      const dy = positions[b3 + 1] - positions[a3 + 1];
+      const dz = positions[b3 + 2] - positions[a3 + 2];
+      target[c] = Math.sqrt(dx * dx + dy * dy + dz * dz) / this.restLengths[c];
+    }
+    return target;
+  }
+
+  // In-plane strain of every particle into `target`: length / rest length - 1
+  // of its most strained structural or shear link, so positive is stretch
+  // and negative compression. Bending links are left out, since they shorten
+  // wherever the cloth simply folds. 0 for a particle with no such links.
+  writeParticleStrain(target, positions = this.positions) {
+    target.fill(0, 0, this.particleCount);
+    const types = this.constraintTypes;
+    for (let c = 0; c < this.constraintCount; c++) {
+      if (types[c] === BENDING) continue;
+      const a = this.constraintA[c], b = this.constraintB[c];
+      const a3 = a * 3, b3 = b * 3;
+      const dx = positions[b3] - positions[a3];
+      const dy = positions[b3 + 1] - positions[a3 + 1];
+      const dz = positions[b3 + 2] - positions[a3 + 2];
+      const strain = Math.sqrt(dx * dx + dy * dy + dz * dz) / this.restLengths[c] - 1;
+      if (Math.abs(strain) > Math.abs(target[a])) target[a] = strain;
+      if (Math.abs(strain) > Math.abs(target[b])) target[b] = strain;
+    }
+    return target;
+  }
+
+  // Solver diagnostics for the current state, e.g. for a HUD or a test:
+  //   { time, stepMs, particles, constraints, hinges, kineticEnergy, maxSpeed,
+  //     constraintError: { structural: { count, avg, max }, shear, bending },
+  //     hingeError: { count, avg, max }, selfCollision: { ms, checks, contacts } }
+  // Constraint error is |length / rest length - 1|, hinge error is radians
+  // off the rest angle. Kinetic energy and speed are over free particles.
+  // Walks every particle and constraint, so call it when the numbers are
+  // wanted rather than every step.
+  getStats() {
+    const pos = this.positions;
+    const prev = this.previous;
+    const rest = this.restLengths;
+    const types = this.constraintTypes;
+
+    const constraintError = {};
+    for (const type of CONSTRAINT_TYPES) constraintError[type] = { count: 0, avg: 0, max: 0 };
+    for (let c = 0; c < this.constraintCount; c++) {
+      const error = Math.abs(this.distance(this.constraintA[c], this.constraintB[c]) / rest[c] - 1);
+      const entry = constraintError[CONSTRAINT_TYPES[types[c]]];
+      entry.count++;
+      entry.avg += error;
+      entry.max = Math.max(entry.max, error);
+    }
+    for (const type of CONSTRAINT_TYPES) {
+      if (constraintError[type].count > 0) constraintError[type].avg /= constraintError[type].count;
+    }
+
+    const hingeError = { count: this.hingeCount, avg: 0, max: 0 };
+    for (let h = 0; h < this.hingeCount; h++) {
+      let error = Math.abs(this.hingeAngle(h) - this.hingeRestAngles[h]);
+      if (error > Math.PI) error = 2 * Math.PI - error;
+      hingeError.avg += error;
+      hingeError.max = Math.max(hingeError.max, error);
+    }
+    if (this.hingeCount > 0) hingeError.avg /= this.hingeCount;
+
+    // Velocity over the last substep, as in _maxSpeed
+    let energy = 0;
+    let maxSpeedSq = 0;
+    for (let i = 0; i < this.particleCount; i++) {
+      if (this.pinned[i]) continue;
+      const i3 = i * 3;
+      const dx = pos[i3] - prev[i3], dy = pos[i3 + 1] - prev[i3 + 1], dz = pos[i3 + 2] - prev[i3 + 2];
+      const speedSq = (dx * dx + dy * dy + dz * dz) / (this._lastSubDt * this._lastSubDt);
+      energy += 0.5 * this.masses[i] * this.params.mass * speedSq;
+      maxSpeedSq = Math.max(maxSpeedSq, speedSq);
+    }
+
+    return {
+      time: this.time,
+      stepMs: this.stepMs,
+      particles: this.particleCount,
+      constraints: this.constraintCount,
+      hinges: this.hingeCount,
+      kineticEnergy: energy,
+      maxSpeed: Math.sqrt(maxSpeedSq),
+      constraintError,
+      hingeError,
+      selfCollision: { ...this.selfCollision.stats },
+    };
+  }
+}
+
+// Triangle indices for a row-major (segmentsX + 1) × (segmentsY + 1) grid
+export function createGridIndices(segmentsX, segmentsY) {
+  const indices = [];
+  for (let y = 0; y < segmentsY; y++) {
+    for (let x = 0; x < segmentsX; x++) {
+      const a = y * (segmentsX + 1) + x;
+      const b = a + 1;
+      const c = a + (segmentsX + 1);
+      const d = c + 1;
+      indices.push(a, c, b, b, c, d);
+    }
+  }
+  return indices;
+}
+
+// UVs for the same grid, v = 1 at the top edge
+export function createGridUVs(segmentsX, segmentsY) {
+  const uvs = new Float32Array((segmentsX + 1) * (segmentsY + 1) * 2);
+  for (let y = 0; y <= segmentsY; y++) {
+    for (let x = 0; x <= segmentsX; x++) {
+      const idx = y * (segmentsX + 1) + x;
+      uvs[idx * 2] = x / segmentsX;
+      uvs[idx * 2 + 1] = 1 - y / segmentsY;
+    }
+  }
+  return uvs;
+}
+
+// Bounding box of flat xyz positions as { min, max, center }
+function meshBounds(positions) {
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  for (let i = 0; i < positions.length; i += 3) {
+    min.x = Math.min(min.x, positions[i]); max.x = Math.max(max.x, positions[i]);
+    min.y = Math.min(min.y, positions[i + 1]); max.y = Math.max(max.y, positions[i + 1]);
+    min.z = Math.min(min.z, positions[i + 2]); max.z = Math.max(max.z, positions[i + 2]);
+  }
+  const center = { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2 };
+  return { min, max, center };
+}
+
+// Copy a typed array into a larger one of the same type
+function grow(array, length) {
+  const next = new array.constructor(length);
+  next.set(array);
+  return next;
+}
+
+// Multi-source Dijkstra over the edges a[c]-b[c] weighted by `lengths`:
+// for each of `count` nodes, the nearest source (-1 if unreachable) into
+// outSource and the distance to it into outDistance
+function nearestAlongEdges(count, sources, a, b, lengths, edgeCount, outSource, outDistance) {
+  // Adjacency in compressed rows
+  const start = new Uint32Array(count + 1);
+  for (let c = 0; c < edgeCount; c++) {
+    start[a[c] + 1]++;
+    start[b[c] + 1]++;
+  }
+  for (let i = 0; i < count; i++) start[i + 1] += start[i];
+  const fill = start.slice(0, count);
+  const neighbours = new Uint32Array(edgeCount * 2);
+  const weights = new Float32Array(edgeCount * 2);
+  for (let c = 0; c < edgeCount; c++) {
+    neighbours[fill[a[c]]] = b[c]; weights[fill[a[c]]++] = lengths[c];
+    neighbours[fill[b[c]]] = a[c]; weights[fill[b[c]]++] = lengths[c];
+  }
+
+  outSource.fill(-1);
+  outDistance.fill(Infinity);
+  // Binary min-heap of [distance, node], with stale entries skipped
+  const heap = [];
+  const push = (distance, node) => {
+    let i = heap.length;
+    heap.push([distance, node]);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent][0] <= distance) break;
+      [heap[i], heap[parent]] = [heap[parent], heap[i]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = i * 2 + 1, r = l + 1;
+        let m = i;
+        if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+        if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+        if (m === i) break;
+        [heap[i], heap[m]] = [heap[m], heap[i]];
+        i = m;
+      }
+    }
+    return top;
+  };
+
+  for (const source of sources) {
+    outSource[source] = source;
+    outDistance[source] = 0;
+    push(0, source);
+  }
+  while (heap.length > 0) {
+    const [distance, node] = pop();
+    if (distance > outDistance[node]) continue;
+    for (let e = start[node]; e < start[node + 1]; e++) {
+      const next = neighbours[e];
+      const d = distance + weights[e];
+      if (d >= outDistance[next]) continue;
+      outDistance[next] = d;
+      outSource[next] = outSource[node];
+      // The stored (maybe rounded) distance, so the stale check above holds
+      push(outDistance[next], next);
+    }
+  }
+}
+
+// Signed dihedral angle between two triangle normals n1, n2 that share the
+// edge e: 0 when flat, negative when the second wing folds up to the side
+// n1 points to
+function hingeAngleFrom(n1x, n1y, n1z, n2x, n2y, n2z, ex, ey, ez) {
+  const cx = n1y * n2z - n1z * n2y, cy = n1z * n2x - n1x * n2z, cz = n1x * n2y - n1y * n2x;
+  const sin = (cx * ex + cy * ey + cz * ez) / Math.sqrt(ex * ex + ey * ey + ez * ez);
+  return Math.atan2(sin, n1x * n2x + n1y * n2y + n1z * n2z);
+}
+
+// Project a world point with a column-major view-projection matrix into
+// normalized device coordinates. False when the point is behind the camera.
+function projectToScreen(m, x, y, z, out) {
+  const w = m[3] * x + m[7] * y + m[11] * z + m[15];
+  if (w <= 1e-6) return false;
+  out.x = (m[0] * x + m[4] * y + m[8] * z + m[12]) / w;
+  out.y = (m[1] * x + m[5] * y + m[9] * z + m[13]) / w;
+  return true;
+}
+
+// Whether 2D segments p0-p1 and q0-q1 intersect
+function segmentsCross(p0x, p0y, p1x, p1y, q0x, q0y, q1x, q1y) {
+  const d1 = orient(q0x, q0y, q1x, q1y, p0x, p0y);
+  const d2 = orient(q0x, q0y, q1x, q1y, p1x, p1y);
+  const d3 = orient(p0x, p0y, p1x, p1y, q0x, q0y);
+  const d4 = orient(p0x, p0y, p1x, p1y, q1x, q1y);
+  return d1 * d2 < 0 && d3 * d4 < 0;
+}
+
+function orient(ax, ay, bx, by, cx, cy) {
+  return (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+}
+
+// Rotate v in place by the unit quaternion (qx, qy, qz, qw)
+function rotateByQuaternion(qx, qy, qz, qw, v) {
+  // v' = v + 2w (q × v) + 2 q × (q × v)
+  const tx = 2 * (qy * v.z - qz * v.y);
+  const ty = 2 * (qz * v.x - qx * v.z);
+  const tz = 2 * (qx * v.y - qy * v.x);
+  const x = v.x + qw * tx + (qy * tz - qz * ty);
+  const y = v.y + qw * ty + (qz * tx - qx * tz);
+  const z = v.z + qw * tz + (qx * ty - qy * tx);
+  v.x = x; v.y = y; v.z = z;
+  return v;
+}
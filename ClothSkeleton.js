@@ -0,0 +1,182 @@
+// ============================================================================
+// CLOTH SKELETON - Pin cloth to the bones of a skinned character
+// Turns bones into named pin anchors (see ClothSimulation.pin) and builds
+// capsule colliders along them. Duck-typed like ClothColliders: a bone is
+// anything with a `name`, `children`, `position` and a column-major
+// `matrixWorld.elements`, such as the THREE.Bone objects of a SkinnedMesh.
+// ============================================================================
+
+import { CapsuleCollider } from './ClothColliders.js';
+
+export class SkeletonAnchors {
+  // `root` is a SkinnedMesh, a Skeleton, or any object with bones among its
+  // descendants (e.g. a loaded glTF scene)
+  constructor(root) {
+    this.root = root;
+    this.bones = collectBones(root);
+    this._rootBones = this.bones.filter(bone => !bone.parent?.isBone);
+
+    // Pin anchors by bone name: pass to ClothSimulation.step, FixedTimestep
+    // or clothSystem.update as the attachments
+    this.anchors = {};
+    for (const bone of this.bones) {
+      this.anchors[bone.name] = { x: 0, y: 0, z: 0, quaternion: { x: 0, y: 0, z: 0, w: 1 } };
+    }
+    this.update();
+  }
+
+  getBone(name) {
+    return this.bones.find(bone => bone.name === name) ?? null;
+  }
+
+  // First bone whose lowercased name contains any of the patterns, tried in
+  // order, e.g. findBone('leftshoulder', 'shoulder.l', 'clavicle_l')
+  findBone(...patterns) {
+    for (const pattern of patterns) {
+      const bone = this.bones.find(b => b.name.toLowerCase().includes(pattern.toLowerCase()));
+      if (bone) return bone;
+    }
+    return null;
+  }
+
+  // Refresh the anchors from the bones' current world transforms (call after
+  // animating the rig, before stepping the cloth). Returns `anchors`.
+  update() {
+    for (const bone of this._rootBones) bone.updateWorldMatrix?.(true, true);
+    for (const bone of this.bones) {
+      const anchor = this.anchors[bone.name];
+      const e = bone.matrixWorld.elements;
+      anchor.x = e[12];
+      anchor.y = e[13];
+      anchor.z = e[14];
+      rotationFromMatrix(e, anchor.quaternion);
+    }
+    return this.anchors;
+  }
+
+  // Pin particles to bones where they are now: each keeps its current offset
+  // in its bone's frame, so bind while the rig is in its rest pose and the
+  // cloth is placed on it. `target` is a ClothSimulation, ClothBackend or
+  // clothSystem; `pinsByBone` maps bone names to particle indices.
+  bind(target, pinsByBone, { stiffness = 1 } = {}) {
+    this.update();
+    for (const [name, indices] of Object.entries(pinsByBone)) {
+      const anchor = this.anchors[name];
+      if (!anchor) throw new Error(`Unknown bone: ${name}`);
+      target.pinToAnchor(indices, name, anchor, { stiffness });
+    }
+  }
+
+  // Pin each particle to the nearest of `bones` (bone objects or names,
+  // default all). Returns the { boneName: indices } it bound.
+  bindNearest(target, indices, { bones = this.bones, stiffness = 1 } = {}) {
+    const candidates = bones.map(b => typeof b === 'string' ? this.getBone(b) : b).filter(Boolean);
+    const positions = (target.simulation ?? target).positions;
+    this.update();
+
+    const pinsByBone = {};
+    for (const index of indices) {
+      const i3 = index * 3;
+      let nearest = null;
+      let best = Infinity;
+      for (const bone of candidates) {
+        const a = this.anchors[bone.name];
+        const dx = positions[i3] - a.x, dy = positions[i3 + 1] - a.y, dz = positions[i3 + 2] - a.z;
+        const d = dx * dx + dy * dy + dz * dz;
+        if (d < best) {
+          best = d;
+          nearest = bone.name;
+        }
+      }
+      if (nearest !== null) (pinsByBone[nearest] ??= []).push(index);
+    }
+    this.bind(target, pinsByBone, { stiffness });
+    return pinsByBone;
+  }
+
+  // Capsule colliders from each bone to each of its child bones, following
+  // the bone as it moves. `bones` limits which bones get capsules; segments
+  // shorter than `minLength` (world units) are skipped. `radius` is fixed,
+  // or null for `radiusScale` × segment length.
+  createCapsules({
+    bones = this.bones,
+    radius = null,
+    radiusScale = 0.25,
+    minLength = 0.01,
+    ...options          // friction, thickness
+  } = {}) {
+    this.update();
+    const capsules = [];
+    for (const b of bones) {
+      const bone = typeof b === 'string' ? this.getBone(b) : b;
+      if (!bone) continue;
+      const a = this.anchors[bone.name];
+      for (const child of bone.children ?? []) {
+        if (!child.isBone) continue;
+        const c = this.anchors[child.name];
+        const length = Math.hypot(c.x - a.x, c.y - a.y, c.z - a.z);
+        if (length < minLength) continue;
+        capsules.push(new CapsuleCollider({
+          start: { x: 0, y: 0, z: 0 },
+          // The child's offset in the bone's space, scaled like the bone
+          end: { x: child.position.x, y: child.position.y, z: child.position.z },
+          radius: radius ?? length * radiusScale,
+          object: bone,
+          ...options,
+        }));
+      }
+    }
+    return capsules;
+  }
+}
+
+function collectBones(root) {
+  const skeleton = root.skeleton ?? (Array.isArray(root.bones) ? root : null);
+  if (skeleton) return [...skeleton.bones];
+
+  const bones = [];
+  const visit = (object) => {
+    if (object.isBone) bones.push(object);
+    object.children?.forEach(visit);
+  };
+  visit(root);
+  return bones;
+}
+
+// Rotation of a column-major matrix as a quaternion, ignoring scale
+function rotationFromMatrix(e, out) {
+  const sx = Math.hypot(e[0], e[1], e[2]) || 1;
+  const sy = Math.hypot(e[4], e[5], e[6]) || 1;
+  const sz = Math.hypot(e[8], e[9], e[10]) || 1;
+  const m11 = e[0] / sx, m12 = e[4] / sy, m13 = e[8] / sz;
+  const m21 = e[1] / sx, m22 = e[5] / sy, m23 = e[9] / sz;
+  const m31 = e[2] / sx, m32 = e[6] / sy, m33 = e[10] / sz;
+  const trace = m11 + m22 + m33;
+
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1);
+    out.w = 0.25 / s;
+    out.x = (m32 - m23) * s;
+    out.y = (m13 - m31) * s;
+    out.z = (m21 - m12) * s;
+  } else if (m11 > m22 && m11 > m33) {
+    const s = 2 * Math.sqrt(1 + m11 - m22 - m33);
+    out.w = (m32 - m23) / s;
+    out.x = 0.25 * s;
+    out.y = (m12 + m21) / s;
+    out.z = (m13 + m31) / s;
+  } else if (m22 > m33) {
+    const s = 2 * Math.sqrt(1 + m22 - m11 - m33);
+    out.w = (m13 - m31) / s;
+    out.x = (m12 + m21) / s;
+    out.y = 0.25 * s;
+    out.z = (m23 + m32) / s;
+  } else {
+    const s = 2 * Math.sqrt(1 + m33 - m11 - m22);
+    out.w = (m21 - m12) / s;
+    out.x = (m13 + m31) / s;
+    out.y = (m23 + m32) / s;
+    out.z = 0.25 * s;
+  }
+  return out;
+}
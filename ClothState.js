@@ -0,0 +1,112 @@
+// ============================================================================
+// CLOTH STATE - Versioned snapshot format for ClothSimulation.serialize()
+// The snapshot is a JSON-safe object. encodeState packs it into a compact
+// binary form: the numeric arrays are stored raw, everything else as JSON.
+//
+// Binary layout (little-endian):
+//   'CLTH'  u32 version  u32 headerBytes  header JSON (UTF-8, padded to 4)
+//   then each array in ARRAY_FIELDS order, each padded to 4 bytes
+// ============================================================================
+
+export const STATE_FORMAT = 'cloth-state';
+// Bump when the snapshot layout changes; restore() rejects newer versions
+export const STATE_VERSION = 2;
+
+const MAGIC = 0x48544c43; // 'CLTH'
+
+// [section, key, element type] of every array stored outside the header
+const ARRAY_FIELDS = [
+  ['particles', 'positions', Float32Array],
+  ['particles', 'previous', Float32Array],
+  ['particles', 'masses', Float32Array],
+  ['particles', 'pinned', Uint8Array],
+  ['constraints', 'a', Uint32Array],
+  ['constraints', 'b', Uint32Array],
+  ['constraints', 'restLengths', Float32Array],
+  ['constraints', 'stiffness', Float32Array],
+  ['constraints', 'types', Uint8Array],
+  ['constraints', 'breakThresholds', Float32Array],
+  [null, 'triangles', Uint32Array],
+  // Version 2
+  ['hinges', 'indices', Uint32Array],
+  ['hinges', 'restAngles', Float32Array],
+  ['hinges', 'stiffness', Float32Array],
+];
+
+// Snapshot object from an object, JSON string or binary buffer; throws if
+// it isn't a cloth state this version can read
+export function readState(data) {
+  let state = data;
+  if (typeof data === 'string') state = JSON.parse(data);
+  else if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) state = decodeState(data);
+  if (state?.format !== STATE_FORMAT) throw new Error('Not a cloth state');
+  if (state.version > STATE_VERSION) throw new Error(`Unsupported cloth state version: ${state.version}`);
+  return state;
+}
+
+// Snapshot -> ArrayBuffer
+export function encodeState(state) {
+  const header = {
+    ...state,
+    particles: { ...state.particles },
+    constraints: { ...state.constraints },
+    hinges: { count: 0, ...state.hinges },
+  };
+  const arrays = ARRAY_FIELDS.map(([section, key, Type]) => {
+    const owner = section ? header[section] : header;
+    const array = Type.from(owner[key] ?? []);
+    delete owner[key];
+    return array;
+  });
+  header.lengths = arrays.map(array => array.length);
+
+  const json = new TextEncoder().encode(JSON.stringify(header));
+  let size = 12 + pad4(json.length);
+  for (const array of arrays) size += pad4(array.byteLength);
+
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+  view.setUint32(0, MAGIC, true);
+  view.setUint32(4, state.version, true);
+  view.setUint32(8, json.length, true);
+  new Uint8Array(buffer, 12, json.length).set(json);
+
+  let offset = 12 + pad4(json.length);
+  for (const array of arrays) {
+    new Uint8Array(buffer, offset, array.byteLength).set(new Uint8Array(array.buffer, 0, array.byteLength));
+    offset += pad4(array.byteLength);
+  }
+  return buffer;
+}
+
+// ArrayBuffer (or a view of one) -> snapshot, with typed arrays in place of
+// the plain ones
+export function decodeState(data) {
+  const bytes = ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.byteLength < 12 || view.getUint32(0, true) !== MAGIC) throw new Error('Not a binary cloth state');
+
+  const headerBytes = view.getUint32(8, true);
+  const state = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerBytes)));
+
+  let offset = 12 + pad4(headerBytes);
+  ARRAY_FIELDS.forEach(([section, key, Type], i) => {
+    const length = state.lengths[i];
+    // Older versions end before the later fields
+    if (length === undefined) return;
+    const byteLength = length * Type.BYTES_PER_ELEMENT;
+    // Copy out, since the source offset may not be aligned for Type
+    const array = new Type(length);
+    new Uint8Array(array.buffer).set(bytes.subarray(offset, offset + byteLength));
+    (section ? state[section] : state)[key] = array;
+    offset += pad4(byteLength);
+  });
+  delete state.lengths;
+  return state;
+}
+
+function pad4(n) {
+  return (n + 3) & ~3;
+}
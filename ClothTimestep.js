@@ -0,0 +1,166 @@
+// ============================================================================
+// FIXED TIMESTEP DRIVER - Frame-rate independent stepping for ClothSimulation
+// Real frame time feeds an accumulator that is drained in fixed-size steps,
+// so the same inputs give the same motion at 30, 60 or 144 Hz. Rendering
+// interpolates between the last two simulated states by the leftover time.
+// ============================================================================
+
+export class FixedTimestep {
+  constructor(simulation, { stepRate = 60, maxStepsPerFrame = 8 } = {}) {
+    this.simulation = simulation;
+    this.stepRate = stepRate;
+    this.maxStepsPerFrame = maxStepsPerFrame;
+    this.accumulator = 0;
+    this.alpha = 1;           // interpolation factor for the last advance()
+    this.droppedTime = 0;     // total time discarded by the spiral-of-death guard
+    this.previousState = null;
+    // Reused anchor buffers for interpolating sampled attachments
+    this._lastAttachments = null;
+    this._stepAttachments = null;
+    this._hasLastAttachments = false;
+  }
+
+  get stepSize() {
+    return 1 / this.stepRate;
+  }
+
+  // Simulation time of the interpolated state from writeInterpolatedPositions()
+  get renderTime() {
+    return this.simulation.time - (1 - this.alpha) * this.stepSize;
+  }
+
+  // Feed real elapsed time. `attachments` is either the anchors sampled for
+  // this frame (an array or an object of named { x, y, z, quaternion? }
+  // points), or a function (simTime) => anchors that is evaluated at every
+  // fixed step - the latter makes replays exact.
+  // Returns the number of fixed steps taken.
+  advance(frameDt, attachments = []) {
+    const sim = this.simulation;
+    const stepSize = this.stepSize;
+    this.accumulator += Math.max(frameDt, 0);
+
+    let steps = Math.floor(this.accumulator / stepSize);
+    if (steps > this.maxStepsPerFrame) {
+      // Too far behind: simulate what we can afford and drop the rest
+      // instead of spending ever longer frames catching up
+      this.droppedTime += (steps - this.maxStepsPerFrame) * stepSize;
+      steps = this.maxStepsPerFrame;
+      this.accumulator = steps * stepSize + (this.accumulator % stepSize);
+    }
+
+    const sampled = typeof attachments !== 'function';
+    if (sampled && !this._hasLastAttachments) {
+      this._lastAttachments = copyAttachments(attachments, this._lastAttachments);
+    }
+
+    for (let i = 0; i < steps; i++) {
+      this._savePreviousState();
+      let points;
+      if (sampled) {
+        points = this._stepAttachments =
+          lerpAttachments(this._lastAttachments, attachments, (i + 1) / steps, this._stepAttachments);
+      } else {
+        points = attachments(sim.time + stepSize);
+      }
+      sim.step(stepSize, points);
+      this.accumulator -= stepSize;
+    }
+
+    if (sampled) this._lastAttachments = copyAttachments(attachments, this._lastAttachments);
+    this._hasLastAttachments = sampled;
+    this.alpha = this.accumulator / stepSize;
+    return steps;
+  }
+
+  // Particle positions blended between the previous and current step
+  writeInterpolatedPositions(target) {
+    const sim = this.simulation;
+    const n = sim.particleCount * 3;
+    const prev = this.previousState;
+    if (!prev || prev.length !== n) return sim.writePositions(target);
+
+    const pos = sim.positions;
+    const a = this.alpha;
+    for (let i = 0; i < n; i++) {
+      target[i] = prev[i] + (pos[i] - prev[i]) * a;
+    }
+    return target;
+  }
+
+  reset() {
+    this.accumulator = 0;
+    this.alpha = 1;
+    this.previousState = null;
+    this._hasLastAttachments = false;
+  }
+
+  _savePreviousState() {
+    const n = this.simulation.particleCount * 3;
+    if (!this.previousState || this.previousState.length !== n) {
+      this.previousState = new Float32Array(n);
+    }
+    this.simulation.writePositions(this.previousState);
+  }
+}
+
+// Plain copy of an attachments array or object, reusing `out` when it has
+// the same shape. Reads x/y/z/w through accessors, so THREE vectors and
+// quaternions work and the copy can be posted to a worker.
+export function copyAttachments(points, out = null) {
+  out = matchShape(points, out);
+  for (const key in points) {
+    const p = points[key];
+    const o = out[key] ?? (out[key] = { x: 0, y: 0, z: 0, quaternion: null });
+    o.x = p.x; o.y = p.y; o.z = p.z;
+    o.quaternion = p.quaternion ? copyQuaternion(p.quaternion, o.quaternion ?? {}) : null;
+  }
+  return out;
+}
+
+function lerpAttachments(from, to, t, out) {
+  out = matchShape(to, out);
+  for (const key in to) {
+    const a = from[key] ?? to[key];
+    const b = to[key];
+    const o = out[key] ?? (out[key] = { x: 0, y: 0, z: 0, quaternion: null });
+    o.x = a.x + (b.x - a.x) * t;
+    o.y = a.y + (b.y - a.y) * t;
+    o.z = a.z + (b.z - a.z) * t;
+    o.quaternion = b.quaternion
+      ? nlerpQuaternion(a.quaternion ?? b.quaternion, b.quaternion, t, o.quaternion ?? {})
+      : null;
+  }
+  return out;
+}
+
+// `out` if it's the same kind of container as `points` with no extra
+// entries, else a fresh one
+function matchShape(points, out) {
+  if (Array.isArray(points)) {
+    if (!Array.isArray(out)) return [];
+    out.length = points.length;
+    return out;
+  }
+  if (!out || Array.isArray(out)) return {};
+  for (const key in out) {
+    if (!(key in points)) delete out[key];
+  }
+  return out;
+}
+
+function copyQuaternion(q, out) {
+  out.x = q.x; out.y = q.y; out.z = q.z; out.w = q.w;
+  return out;
+}
+
+// Normalized lerp along the shorter arc; close enough to slerp between steps
+function nlerpQuaternion(a, b, t, out) {
+  const sign = a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w < 0 ? -1 : 1;
+  const x = a.x + (b.x * sign - a.x) * t;
+  const y = a.y + (b.y * sign - a.y) * t;
+  const z = a.z + (b.z * sign - a.z) * t;
+  const w = a.w + (b.w * sign - a.w) * t;
+  const len = Math.sqrt(x * x + y * y + z * z + w * w) || 1;
+  out.x = x / len; out.y = y / len; out.z = z / len; out.w = w / len;
+  return out;
+}
@@ -0,0 +1,65 @@
+// ============================================================================
+// CLOTH WEIGHTS - Per-vertex weight maps for ClothSimulation.setWeightMap
+// A weight map is one number per particle, or per source vertex of a mesh
+// cloth, painted by an artist to vary the cloth across its surface: a heavy,
+// free hem under a stiff collar. Maps come as plain arrays or are sampled
+// from a grayscale image over the cloth's UVs with sampleWeightImage.
+// ============================================================================
+
+// Weight map names, with the value a particle has while its map is unset
+//   invMass    inverse mass: 0.5 is twice as heavy, 2 half as heavy
+//   pin        pin strength: 1 pins, 0 frees, in between pins softly
+//   stiffness  multiplies the stiffness of the constraints at the particle
+//   wind       multiplies the wind force on the particle
+export const WEIGHT_MAPS = {
+  invMass: 1,
+  pin: 0,
+  stiffness: 1,
+  wind: 1,
+};
+
+// Sample an image's brightness at each UV pair (flat [u, v, ...]) and map
+// black..white onto `range`. `image` is ImageData-like: { width, height,
+// data } with RGBA bytes. UV v = 0 is the image's bottom row, as in THREE.js.
+export function sampleWeightImage(image, uvs, { range = [0, 1] } = {}) {
+  const { width, height, data } = image;
+  const [low, high] = range;
+  const gray = (x, y) => {
+    const p = (y * width + x) * 4;
+    return (data[p] + data[p + 1] + data[p + 2]) / 765;
+  };
+
+  const count = Math.floor(uvs.length / 2);
+  const values = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    // Bilinear, clamped to the image so seams at u or v = 1 don't wrap
+    const x = clamp01(uvs[i * 2]) * (width - 1);
+    const y = (1 - clamp01(uvs[i * 2 + 1])) * (height - 1);
+    const x0 = Math.floor(x), y0 = Math.floor(y);
+    const x1 = Math.min(x0 + 1, width - 1), y1 = Math.min(y0 + 1, height - 1);
+    const fx = x - x0, fy = y - y0;
+    const top = gray(x0, y0) + (gray(x1, y0) - gray(x0, y0)) * fx;
+    const bottom = gray(x0, y1) + (gray(x1, y1) - gray(x0, y1)) * fx;
+    values[i] = low + (high - low) * (top + (bottom - top) * fy);
+  }
+  return values;
+}
+
+// Per-vertex values -> per-particle values, averaging the vertices that
+// were welded into each particle (see ClothMesh.weldVertices)
+export function particleWeights(values, vertexToParticle, particleCount) {
+  const sums = new Float32Array(particleCount);
+  const counts = new Uint32Array(particleCount);
+  for (let v = 0; v < vertexToParticle.length; v++) {
+    sums[vertexToParticle[v]] += values[v];
+    counts[vertexToParticle[v]]++;
+  }
+  for (let i = 0; i < particleCount; i++) {
+    if (counts[i] > 0) sums[i] /= counts[i];
+  }
+  return sums;
+}
+
+function clamp01(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
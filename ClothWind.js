@@ -0,0 +1,247 @@
+// ============================================================================
+// CLOTH WIND - Wind fields sampled by ClothSimulation's aerodynamics
+// A field maps a point and time to a wind velocity. It is either one of the
+// classes below or a plain function (x, y, z, time, out) => out. The solver
+// sums all fields, scales the result by params.windStrength and turns the
+// wind relative to each triangle into drag and lift.
+//
+// Fields are stateless functions of time, so they sample identically in a
+// worker and on replay. Built-in fields round-trip through describeWindField.
+// ============================================================================
+
+// Steady wind along `direction` with optional gusts. `speed` is in the same
+// units as particle velocity; gusts add up to `gustStrength` × speed.
+export class DirectionalWind {
+  constructor({
+    direction = { x: 0, y: 0, z: 1 },
+    speed = 1,
+    gustStrength = 0,
+    gustFrequency = 0.4,  // gusts per second, roughly
+    seed = 0,
+  } = {}) {
+    this.type = 'directional';
+    this.direction = { ...direction };
+    this.speed = speed;
+    this.gustStrength = gustStrength;
+    this.gustFrequency = gustFrequency;
+    this.seed = seed;
+  }
+
+  sample(x, y, z, time, out) {
+    const d = this.direction;
+    const len = Math.sqrt(d.x * d.x + d.y * d.y + d.z * d.z) || 1;
+    let speed = this.speed;
+    if (this.gustStrength > 0) {
+      // Only the positive lobes of the noise, so gusts add to the base wind
+      const gust = noise3(time * this.gustFrequency, this.seed * 17.3, 0.5);
+      speed *= 1 + Math.max(gust, 0) * 2 * this.gustStrength;
+    }
+    const k = speed / len;
+    out.x = d.x * k;
+    out.y = d.y * k;
+    out.z = d.z * k;
+    return out;
+  }
+}
+
+// Procedural turbulence: smooth noise that varies over space and time.
+// `scale` is spatial frequency (features ~1 / scale units across), `speed`
+// how fast the pattern evolves, `drift` moves it along with the mean wind.
+export class TurbulenceWind {
+  constructor({
+    strength = 0.5,
+    scale = 1.5,
+    speed = 0.6,
+    drift = { x: 0, y: 0, z: 0 },
+    seed = 0,
+  } = {}) {
+    this.type = 'turbulence';
+    this.strength = strength;
+    this.scale = scale;
+    this.speed = speed;
+    this.drift = { ...drift };
+    this.seed = seed;
+  }
+
+  sample(x, y, z, time, out) {
+    const s = this.scale;
+    const d = this.drift;
+    const px = (x - d.x * time) * s;
+    const py = (y - d.y * time) * s;
+    const pz = (z - d.z * time) * s + time * this.speed;
+    const o = this.seed * 31.7;
+    // Three decorrelated channels of the same noise
+    out.x = noise3(px + o, py, pz) * this.strength;
+    out.y = noise3(px, py + o + 43.1, pz) * this.strength * 0.5;
+    out.z = noise3(px, py, pz + o + 91.7) * this.strength;
+    return out;
+  }
+}
+
+// Point source blowing away from `position` (a fan when `direction` is set,
+// which blows along it inside a cone of `spread` radians). Strength falls off
+// to 0 at `radius`. With `duration` > 0 it's a blast: inactive until
+// trigger(time), then fading out over `duration` seconds.
+export class RadialWind {
+  constructor({
+    position = { x: 0, y: 0, z: 0 },
+    strength = 2,
+    radius = 1,
+    falloff = 1,          // 1 = linear, 2 = quadratic ...
+    direction = null,
+    spread = Math.PI / 6,
+    duration = 0,
+    startTime = null,     // set by trigger()
+  } = {}) {
+    this.type = 'radial';
+    this.position = { ...position };
+    this.strength = strength;
+    this.radius = radius;
+    this.falloff = falloff;
+    this.direction = direction ? { ...direction } : null;
+    this.spread = spread;
+    this.duration = duration;
+    this.startTime = startTime;
+  }
+
+  // Start a blast at simulation time `time` (e.g. simulation.time)
+  trigger(time) {
+    this.startTime = time;
+  }
+
+  sample(x, y, z, time, out) {
+    out.x = 0; out.y = 0; out.z = 0;
+
+    let strength = this.strength;
+    if (this.duration > 0) {
+      if (this.startTime === null) return out;
+      const age = time - this.startTime;
+      if (age < 0 || age >= this.duration) return out;
+      strength *= 1 - age / this.duration;
+    }
+
+    const p = this.position;
+    const dx = x - p.x, dy = y - p.y, dz = z - p.z;
+    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (dist >= this.radius || dist < 1e-6) return out;
+    const k = strength * Math.pow(1 - dist / this.radius, this.falloff) / dist;
+
+    const d = this.direction;
+    if (!d) {
+      out.x = dx * k; out.y = dy * k; out.z = dz * k;
+      return out;
+    }
+
+    // Fan: only points inside the cone, blown along the cone axis
+    const len = Math.sqrt(d.x * d.x + d.y * d.y + d.z * d.z) || 1;
+    const cos = (dx * d.x + dy * d.y + dz * d.z) / (len * dist);
+    if (cos < Math.cos(this.spread)) return out;
+    const kd = k * dist / len;
+    out.x = d.x * kd; out.y = d.y * kd; out.z = d.z * kd;
+    return out;
+  }
+}
+
+// The cape's default breeze: mostly +z with gusts and some turbulence,
+// scaled by params.windStrength
+export function createDefaultWindFields() {
+  return [
+    new DirectionalWind({ direction: { x: 0.15, y: 0, z: 1 }, speed: 1, gustStrength: 0.6 }),
+    new TurbulenceWind({ strength: 0.5, scale: 1.5, speed: 0.6 }),
+  ];
+}
+
+const _sample = { x: 0, y: 0, z: 0 };
+
+// Sum of all fields at a point, written into `out`
+export function sampleWind(fields, x, y, z, time, out) {
+  out.x = 0; out.y = 0; out.z = 0;
+  for (let f = 0; f < fields.length; f++) {
+    const field = fields[f];
+    if (field.enabled === false) continue;
+    if (typeof field === 'function') field(x, y, z, time, _sample);
+    else field.sample(x, y, z, time, _sample);
+    out.x += _sample.x;
+    out.y += _sample.y;
+    out.z += _sample.z;
+  }
+  return out;
+}
+
+const WIND_CLASSES = {
+  directional: DirectionalWind,
+  turbulence: TurbulenceWind,
+  radial: RadialWind,
+};
+
+// Plain-data copy of a built-in field (functions can't be described)
+export function describeWindField(field) {
+  if (typeof field === 'function' || !WIND_CLASSES[field.type]) return null;
+  return JSON.parse(JSON.stringify(field));
+}
+
+// Inverse of describeWindField
+export function createWindField(description) {
+  const Type = WIND_CLASSES[description.type];
+  if (!Type) throw new Error(`Unknown wind field type: ${description.type}`);
+  const field = new Type(description);
+  if (description.enabled !== undefined) field.enabled = description.enabled;
+  return field;
+}
+
+// ============================================================================
+// 3D gradient noise (improved Perlin), roughly in [-1, 1]
+// ============================================================================
+
+const PERM = new Uint8Array(512);
+{
+  const p = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) p[i] = i;
+  // Fixed shuffle so every run (and every worker) sees the same noise
+  let seed = 1337;
+  for (let i = 255; i > 0; i--) {
+    seed = (seed * 16807) % 2147483647;
+    const j = seed % (i + 1);
+    const t = p[i]; p[i] = p[j]; p[j] = t;
+  }
+  for (let i = 0; i < 512; i++) PERM[i] = p[i & 255];
+}
+
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function grad(hash, x, y, z) {
+  const h = hash & 15;
+  const u = h < 8 ? x : y;
+  const v = h < 4 ? y : h === 12 || h === 14 ? x : z;
+  return ((h & 1) ? -u : u) + ((h & 2) ? -v : v);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+export function noise3(x, y, z) {
+  const fx = Math.floor(x), fy = Math.floor(y), fz = Math.floor(z);
+  const X = fx & 255, Y = fy & 255, Z = fz & 255;
+  x -= fx; y -= fy; z -= fz;
+  const u = fade(x), v = fade(y), w = fade(z);
+
+  const A = PERM[X] + Y, AA = PERM[A] + Z, AB = PERM[A + 1] + Z;
+  const B = PERM[X + 1] + Y, BA = PERM[B] + Z, BB = PERM[B + 1] + Z;
+
+  return lerp(
+    lerp(
+      lerp(grad(PERM[AA], x, y, z), grad(PERM[BA], x - 1, y, z), u),
+      lerp(grad(PERM[AB], x, y - 1, z), grad(PERM[BB], x - 1, y - 1, z), u),
+      v
+    ),
+    lerp(
+      lerp(grad(PERM[AA + 1], x, y, z - 1), grad(PERM[BA + 1], x - 1, y, z - 1), u),
+      lerp(grad(PERM[AB + 1], x, y - 1, z - 1), grad(PERM[BB + 1], x - 1, y - 1, z - 1), u),
+      v
+    ),
+    w
+  );
+}
@@ -0,0 +1,153 @@
+// ============================================================================
+// CLOTH WORKER - Web Worker entry that runs a ClothSimulation off the main thread
+// Driven by ClothBackend: it receives frame time, attachment points, params
+// and collider transforms, and answers each `advance` with interpolated
+// particle positions, either in a transferred buffer or in one slot of a
+// double-buffered SharedArrayBuffer.
+// ============================================================================
+
+import { ClothSimulation } from './ClothSimulation.js';
+import { FixedTimestep } from './ClothTimestep.js';
+import { createCollider } from './ClothColliders.js';
+import { createWindField } from './ClothWind.js';
+
+let simulation = null;
+let timestep = null;
+let sharedSlots = null;    // two Float32Array views when memory is shared
+let slot = 0;
+const spareBuffers = [];   // transferred buffers handed back for reuse
+const colliders = new Map();
+let epoch = 0;             // restore() count, echoed so stale messages are dropped
+
+const handlers = {
+  init({ cloth, params, stepRate, sharedBuffer }) {
+    simulation = ClothSimulation.create({ ...cloth, ...params });
+    simulation.onParamsApplied = (applied) => self.postMessage({ type: 'paramsApplied', params: applied });
+    simulation.onTear = (tear) => self.postMessage({ type: 'tear', tear, epoch });
+    simulation.onInstability = (info) => self.postMessage({ type: 'instability', info, epoch });
+    timestep = new FixedTimestep(simulation, { stepRate });
+
+    if (sharedBuffer) {
+      const length = simulation.particleCount * 3;
+      sharedSlots = [
+        new Float32Array(sharedBuffer, 0, length),
+        new Float32Array(sharedBuffer, length * 4, length),
+      ];
+    }
+  },
+
+  params({ params, options }) {
+    simulation.setParams(params, options);
+  },
+
+  cut({ viewProjection, x0, y0, x1, y1 }) {
+    simulation.cut(viewProjection, x0, y0, x1, y1);
+  },
+
+  serialize({ id }) {
+    self.postMessage({ type: 'state', id, state: simulation.serialize() });
+  },
+
+  restore({ state, epoch: next }) {
+    simulation.restore(state);
+    timestep.reset();
+    epoch = next;
+  },
+
+  pin({ index, binding }) {
+    simulation.pin(index, binding);
+  },
+
+  pinToAnchor({ indices, anchor, anchorPoint, options }) {
+    simulation.pinToAnchor(indices, anchor, anchorPoint, options);
+  },
+
+  unpin({ index }) {
+    simulation.unpin(index);
+  },
+
+  setWeightMap({ name, values }) {
+    simulation.setWeightMap(name, values);
+  },
+
+  grab({ index, x, y, z }) {
+    simulation.grab(index, x, y, z);
+  },
+
+  moveGrab({ index, x, y, z }) {
+    simulation.moveGrab(index, x, y, z);
+  },
+
+  release({ index }) {
+    simulation.release(index);
+  },
+
+  stepRate({ stepRate }) {
+    timestep.stepRate = stepRate;
+  },
+
+  addCollider({ id, collider }) {
+    const instance = createCollider(collider);
+    colliders.set(id, instance);
+    simulation.addCollider(instance);
+  },
+
+  removeCollider({ id }) {
+    simulation.removeCollider(colliders.get(id));
+    colliders.delete(id);
+  },
+
+  advance({ dt, attachments, colliderTransforms, windFields, recycled, stats }) {
+    if (recycled) spareBuffers.push(recycled);
+    syncWindFields(windFields);
+
+    // Colliders follow the main thread's objects through their world matrices
+    for (const { id, enabled, matrix } of colliderTransforms) {
+      const collider = colliders.get(id);
+      if (!collider) continue;
+      collider.enabled = enabled;
+      if (!matrix) collider.object = null;
+      else if (collider.object) collider.object.matrixWorld.elements = matrix;
+      else collider.object = { matrixWorld: { elements: matrix } };
+    }
+
+    const steps = timestep.advance(dt, attachments);
+    const frame = {
+      type: 'frame',
+      epoch,
+      steps,
+      time: simulation.time,
+      renderTime: timestep.renderTime,
+      selfCollision: simulation.selfCollision.stats,
+    };
+    if (stats) frame.stats = simulation.getStats();
+
+    if (sharedSlots) {
+      slot = 1 - slot;
+      timestep.writeInterpolatedPositions(sharedSlots[slot]);
+      frame.slot = slot;
+      self.postMessage(frame);
+      return;
+    }
+
+    const byteLength = simulation.particleCount * 12;
+    let buffer = spareBuffers.pop();
+    if (!buffer || buffer.byteLength !== byteLength) buffer = new ArrayBuffer(byteLength);
+    timestep.writeInterpolatedPositions(new Float32Array(buffer));
+    frame.positions = buffer;
+    self.postMessage(frame, [buffer]);
+  },
+};
+
+self.onmessage = ({ data }) => handlers[data.type]?.(data);
+
+// Mirror the main thread's wind fields, reusing instances of the same type
+function syncWindFields(descriptions) {
+  const fields = simulation.windFields;
+  for (let i = 0; i < descriptions.length; i++) {
+    const description = descriptions[i];
+    if (fields[i]?.type === description.type) Object.assign(fields[i], description);
+    else fields[i] = createWindField(description);
+  }
+  fields.length = descriptions.length;
+}
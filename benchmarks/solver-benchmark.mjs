@@ -0,0 +1,43 @@
+// ============================================================================
+// SOLVER BENCHMARK - ms per simulation step at several grid sizes
+// Usage: node benchmarks/solver-benchmark.mjs [warmupSteps] [measuredSteps]
+// ============================================================================
+
+import { ClothSimulation, DEFAULT_PARAMS } from '../ClothSimulation.js';
+
+const GRID_SIZES = [
+  [12, 18],   // default cape
+  [32, 32],
+  [64, 64],
+  [100, 100], // banners and flags
+  [150, 150],
+];
+
+const warmupSteps = Number(process.argv[2] ?? 30);
+const measuredSteps = Number(process.argv[3] ?? 120);
+const dt = 1 / 60;
+
+const rows = GRID_SIZES.map(([segmentsX, segmentsY]) => {
+  const sim = ClothSimulation.createGrid({ segmentsX, segmentsY, pinLayout: 'top', width: 1, height: 1 });
+  const attachments = [{ x: -0.5, y: 0.8, z: 0 }, { x: 0.5, y: 0.8, z: 0 }];
+
+  for (let i = 0; i < warmupSteps; i++) sim.step(dt, attachments);
+
+  const start = performance.now();
+  for (let i = 0; i < measuredSteps; i++) {
+    attachments[0].x = -0.5 + Math.sin(sim.time) * 0.1;
+    sim.step(dt, attachments);
+  }
+  const msPerStep = (performance.now() - start) / measuredSteps;
+
+  return {
+    grid: `${segmentsX}×${segmentsY}`,
+    particles: sim.particleCount,
+    constraints: sim.constraintCount,
+    'ms/step': msPerStep.toFixed(3),
+    'steps/s': Math.round(1000 / msPerStep),
+  };
+});
+
+console.log(`iterations=${DEFAULT_PARAMS.iterations} subSteps=${DEFAULT_PARAMS.subSteps} warmup=${warmupSteps} measured=${measuredSteps}`);
+console.table(rows);
@@ -0,0 +1,83 @@
+// ============================================================================
+// DEBUG VIEWS - Per-constraint stretch and per-particle strain behind the
+// demo's stretch-coloured lines and strain heatmap
+// Usage: node --test test/
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONSTRAINT_TYPES } from '../ClothSimulation.js';
+import { makeCloth, run } from './helpers.mjs';
+
+const BENDING = CONSTRAINT_TYPES.indexOf('bending');
+
+// A copy of the cloth's positions scaled about the origin
+function scaled(sim, factor) {
+  return sim.positions.map((value) => value * factor);
+}
+
+function assertAll(values, count, expected) {
+  for (let i = 0; i < count; i++) {
+    assert.ok(Math.abs(values[i] - expected) < 1e-5, `entry ${i} is ${values[i]}, expected ${expected}`);
+  }
+}
+
+test('a cloth at rest has no stretch and no strain', () => {
+  const sim = makeCloth({}, { settle: false });
+  assertAll(sim.writeConstraintStretch(new Float32Array(sim.constraintCount)), sim.constraintCount, 1);
+  assertAll(sim.writeParticleStrain(new Float32Array(sim.particleCount)), sim.particleCount, 0);
+});
+
+test('stretch and strain are positive when pulled apart and negative when compressed', () => {
+  const sim = makeCloth({}, { settle: false });
+  const stretch = new Float32Array(sim.constraintCount);
+  const strain = new Float32Array(sim.particleCount);
+
+  sim.writeConstraintStretch(stretch, scaled(sim, 1.1));
+  sim.writeParticleStrain(strain, scaled(sim, 1.1));
+  assertAll(stretch, sim.constraintCount, 1.1);
+  assertAll(strain, sim.particleCount, 0.1);
+
+  sim.writeConstraintStretch(stretch, scaled(sim, 0.8));
+  sim.writeParticleStrain(strain, scaled(sim, 0.8));
+  assertAll(stretch, sim.constraintCount, 0.8);
+  assertAll(strain, sim.particleCount, -0.2);
+
+  // Passing positions leaves the solver's own alone
+  assertAll(sim.writeParticleStrain(strain), sim.particleCount, 0);
+});
+
+test('particle strain is the most strained structural or shear link', () => {
+  const sim = makeCloth();
+  run(sim, 60);
+
+  const stretch = sim.writeConstraintStretch(new Float64Array(sim.constraintCount));
+  const strain = sim.writeParticleStrain(new Float64Array(sim.particleCount));
+  const expected = new Float64Array(sim.particleCount);
+  for (let c = 0; c < sim.constraintCount; c++) {
+    if (sim.constraintTypes[c] === BENDING) continue;
+    const value = stretch[c] - 1;
+    for (const i of [sim.constraintA[c], sim.constraintB[c]]) {
+      if (Math.abs(value) > Math.abs(expected[i])) expected[i] = value;
+    }
+  }
+  assert.deepEqual(strain, expected);
+  assert.ok(strain.some((value) => value !== 0), 'the swaying cloth is strained somewhere');
+});
+
+test('bending links are left out of the strain', () => {
+  const sim = makeCloth({}, { settle: false });
+  // As if the cloth were folded: every bending link at half its rest length,
+  // everything else untouched
+  for (let c = 0; c < sim.constraintCount; c++) {
+    if (sim.constraintTypes[c] === BENDING) sim.restLengths[c] *= 2;
+  }
+  const stretch = sim.writeConstraintStretch(new Float32Array(sim.constraintCount));
+  const strain = sim.writeParticleStrain(new Float32Array(sim.particleCount));
+
+  for (let c = 0; c < sim.constraintCount; c++) {
+    const expected = sim.constraintTypes[c] === BENDING ? 0.5 : 1;
+    assert.ok(Math.abs(stretch[c] - expected) < 1e-5, `constraint ${c} at ${stretch[c]}`);
+  }
+  assertAll(strain, sim.particleCount, 0);
+});
@@ -0,0 +1,51 @@
+// ============================================================================
+// EXTREME PARAMS - The cloth stays finite for thousands of steps with every
+// slider at its harshest (gravity 40, wind 15, one solver iteration)
+// Usage: node --test test/
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeCloth, run } from './helpers.mjs';
+import { MATERIAL_PRESETS } from '../ClothPresets.js';
+
+const STEPS = 3000;
+const EXTREMES = { gravity: 40, windStrength: 15, iterations: 1 };
+// The stability guard would clamp a runaway or reset a blow-up, so it is off
+// here, and a NaN it still catches fails the test
+const UNGUARDED = { maxSpeed: 0, instabilityStretch: 0 };
+
+// The first step also snaps the flat grid up to the shoulders
+function assertFinite(options) {
+  const sim = makeCloth({ ...EXTREMES, ...options, ...UNGUARDED }, { settle: false });
+  sim.onInstability = (info) => assert.fail(`the cloth blew up: ${JSON.stringify(info)}`);
+  run(sim, STEPS);
+
+  for (let i = 0; i < sim.particleCount * 3; i++) {
+    assert.ok(Number.isFinite(sim.positions[i]), `position ${i} is ${sim.positions[i]}`);
+    assert.ok(Number.isFinite(sim.previous[i]), `previous position ${i} is ${sim.previous[i]}`);
+  }
+  for (let c = 0; c < sim.constraintCount; c++) {
+    assert.ok(Number.isFinite(sim.distance(sim.constraintA[c], sim.constraintB[c])), `constraint ${c} length`);
+  }
+}
+
+for (const solver of ['verlet', 'xpbd']) {
+  test(`${solver} stays finite at extreme params`, () => {
+    assertFinite({ solver });
+  });
+
+  test(`${solver} stays finite at extreme params with hinges and tethers`, () => {
+    assertFinite({ solver, bending: 'dihedral', tethers: true });
+  });
+}
+
+test('stays finite at extreme params with the loosest, lightest slider values', () => {
+  assertFinite({ stiffness: 0.3, damping: 0.995, mass: 0.2 });
+});
+
+for (const [id, preset] of Object.entries(MATERIAL_PRESETS)) {
+  test(`${id} preset stays finite at extreme params`, () => {
+    assertFinite({ ...preset.params, ...EXTREMES });
+  });
+}
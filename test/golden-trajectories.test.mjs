@@ -0,0 +1,85 @@
+// ============================================================================
+// GOLDEN TRAJECTORIES - Fixed scenarios replayed against recorded particle
+// paths, so any change to the solver's results shows up as a failure
+// Usage: node --test test/
+//        UPDATE_GOLDEN=1 node --test test/golden-trajectories.test.mjs
+//        re-records test/golden/trajectories.json after an intended change
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { sway, makeCloth, run } from './helpers.mjs';
+import { MATERIAL_PRESETS } from '../ClothPresets.js';
+
+const GOLDEN_FILE = new URL('./golden/trajectories.json', import.meta.url);
+const UPDATE = Boolean(process.env.UPDATE_GOLDEN);
+
+const STEPS = 240;
+const SAMPLE_EVERY_STEPS = 60;
+const SAMPLE_EVERY_PARTICLES = 10;
+// Recorded to 1e-6; leaves room for Math.sin & co. differing by an ulp
+// between Node versions
+const TOLERANCE = 1e-5;
+
+// Shoulders pulled apart until the cloth tears
+function pullApart(time) {
+  const spread = 0.4 + time * 0.4;
+  return [{ x: -spread, y: 0.8, z: 0 }, { x: spread, y: 0.8, z: 0 }];
+}
+
+const SCENARIOS = {
+  verlet: { options: {}, attachments: sway },
+  xpbd: { options: { solver: 'xpbd' }, attachments: sway },
+  'dihedral-tethers': { options: { bending: 'dihedral', bendRestAngle: 0, tethers: true }, attachments: sway },
+  'silk-preset': { options: MATERIAL_PRESETS.silk.params, attachments: sway },
+  'heavy-preset-xpbd': { options: { ...MATERIAL_PRESETS.heavy.params, solver: 'xpbd' }, attachments: sway },
+  tearing: { options: { tearThreshold: 1.4 }, attachments: pullApart },
+};
+
+// { constraintCount, frames }: every SAMPLE_EVERY_PARTICLES-th particle's
+// xyz every SAMPLE_EVERY_STEPS steps, rounded to 1e-6
+function record({ options, attachments }) {
+  const sim = makeCloth(options, { attachments });
+
+  const frames = [];
+  run(sim, STEPS, attachments, (s) => {
+    if (s % SAMPLE_EVERY_STEPS !== 0) return;
+    const frame = [];
+    for (let i = 0; i < sim.particleCount; i += SAMPLE_EVERY_PARTICLES) {
+      const p = sim.getPosition(i);
+      frame.push(round(p.x), round(p.y), round(p.z));
+    }
+    frames.push(frame);
+  });
+  return { constraintCount: sim.constraintCount, frames };
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+const results = Object.fromEntries(Object.entries(SCENARIOS).map(([name, scenario]) => [name, record(scenario)]));
+
+if (UPDATE) writeFileSync(GOLDEN_FILE, `${JSON.stringify(results)}\n`);
+const golden = JSON.parse(readFileSync(GOLDEN_FILE, 'utf8'));
+
+for (const [name, result] of Object.entries(results)) {
+  test(`${name} follows its golden trajectory`, () => {
+    const expected = golden[name];
+    assert.ok(expected, `no golden trajectory for ${name}; record one with UPDATE_GOLDEN=1`);
+    assert.equal(result.constraintCount, expected.constraintCount, 'constraint count');
+    assert.equal(result.frames.length, expected.frames.length, 'frame count');
+
+    result.frames.forEach((frame, f) => {
+      for (let k = 0; k < frame.length; k++) {
+        const error = Math.abs(frame[k] - expected.frames[f][k]);
+        const particle = Math.floor(k / 3) * SAMPLE_EVERY_PARTICLES;
+        assert.ok(
+          error <= TOLERANCE,
+          `step ${(f + 1) * SAMPLE_EVERY_STEPS}: particle ${particle} is off by ${error} (${'xyz'[k % 3]})`
+        );
+      }
+    });
+  });
+}
@@ -0,0 +1,30 @@
+// ============================================================================
+// TEST HELPERS - The shoulder attachments, cloth and step loop the solver
+// tests share
+// ============================================================================
+
+import { ClothSimulation } from '../ClothSimulation.js';
+
+// The demo's figure-8 shoulder sway
+export function sway(time) {
+  const x = Math.sin(time * 0.8) * 0.15;
+  const y = 0.8 + Math.sin(time * 1.6) * 0.08;
+  return [{ x: -0.4 + x, y, z: 0 }, { x: 0.4 + x, y, z: 0 }];
+}
+
+// A grid cloth with `params`, draped onto `attachments` first. With
+// `settle: false` it starts flat and the first step snaps it to them.
+export function makeCloth(params = {}, { attachments = sway, settle = true } = {}) {
+  const sim = ClothSimulation.createGrid(params);
+  if (settle) sim.settle(attachments);
+  return sim;
+}
+
+// `steps` steps of 1/60s following `attachments`, calling `onStep(s)` after
+// each one (s counts from 1)
+export function run(sim, steps, attachments = sway, onStep) {
+  for (let s = 1; s <= steps; s++) {
+    sim.step(1 / 60, attachments(sim.time));
+    onStep?.(s);
+  }
+}
@@ -0,0 +1,99 @@
+// ============================================================================
+// PINS - Hard-pinned particles sit exactly on their attachment targets after
+// every step, whatever else the solver does to the cloth
+// Usage: node --test test/
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeCloth, run } from './helpers.mjs';
+
+const STEPS = 300;
+// Float32 positions: about 7 significant digits at these magnitudes
+const TOLERANCE = 1e-6;
+
+// Two anchors circling fast enough to whip the cloth around
+function movingAnchors(time) {
+  return [
+    { x: -0.4 + Math.sin(time * 3) * 0.3, y: 0.8 + Math.cos(time * 5) * 0.2, z: Math.sin(time * 2) * 0.3 },
+    { x: 0.4 + Math.sin(time * 3) * 0.3, y: 0.8 + Math.sin(time * 4) * 0.2, z: Math.cos(time * 2) * 0.3 },
+  ];
+}
+
+// Anchors that also turn, so offsets are rotated by their quaternions
+function turningAnchors(time) {
+  return movingAnchors(time).map((point, i) => {
+    const angle = time * (i + 1);
+    return { ...point, quaternion: { x: 0, y: Math.sin(angle / 2), z: 0, w: Math.cos(angle / 2) } };
+  });
+}
+
+// Where a binding should hold its particle, worked out independently of the
+// solver: the offset turned by the anchor's rotation, from a point `t` of
+// the way from anchor to anchorB
+function expectedTarget(binding, anchors) {
+  const a = anchors[binding.anchor];
+  const b = binding.anchorB === null ? a : anchors[binding.anchorB];
+  const { x, y, z } = rotate(binding.offset, a.quaternion);
+  return {
+    x: a.x + (b.x - a.x) * binding.t + x,
+    y: a.y + (b.y - a.y) * binding.t + y,
+    z: a.z + (b.z - a.z) * binding.t + z,
+  };
+}
+
+// v' = q v q*
+function rotate(v, q) {
+  if (!q) return v;
+  const tx = 2 * (q.y * v.z - q.z * v.y);
+  const ty = 2 * (q.z * v.x - q.x * v.z);
+  const tz = 2 * (q.x * v.y - q.y * v.x);
+  return {
+    x: v.x + q.w * tx + q.y * tz - q.z * ty,
+    y: v.y + q.w * ty + q.z * tx - q.x * tz,
+    z: v.z + q.w * tz + q.x * ty - q.y * tx,
+  };
+}
+
+// Step the cloth and check every hard pin after each step
+function assertPinsTrack(options, anchorsAt = movingAnchors) {
+  const sim = makeCloth({ windStrength: 8, ...options }, { settle: false });
+  const hardPins = [];
+  for (let i = 0; i < sim.particleCount; i++) if (sim.pinned[i] === 1) hardPins.push(i);
+  assert.ok(hardPins.length > 0, 'the layout pins some particles');
+
+  run(sim, STEPS, anchorsAt, (s) => {
+    // The anchors the step ended on
+    const anchors = anchorsAt(sim.time - 1 / 60);
+    for (const i of hardPins) {
+      const target = expectedTarget(sim.bindings[i], anchors);
+      const p = sim.getPosition(i);
+      const error = Math.hypot(p.x - target.x, p.y - target.y, p.z - target.z);
+      assert.ok(error < TOLERANCE, `step ${s}: particle ${i} is ${error} from its pin`);
+    }
+  });
+}
+
+test('shoulder pins track moving anchors', () => {
+  assertPinsTrack({ pinLayout: 'shoulders' });
+});
+
+test('pins spread between two anchors track both', () => {
+  assertPinsTrack({ pinLayout: 'top' });
+});
+
+test('pins follow rotating anchors', () => {
+  assertPinsTrack({ pinLayout: 'shoulders' }, turningAnchors);
+});
+
+test('pins hold with the xpbd solver', () => {
+  assertPinsTrack({ pinLayout: 'shoulders', solver: 'xpbd' });
+});
+
+test('pins hold against tethers, hinges and self-collision', () => {
+  assertPinsTrack({ pinLayout: 'shoulders', tethers: true, bending: 'dihedral', selfCollision: true });
+});
+
+test('pins hold at one solver iteration', () => {
+  assertPinsTrack({ pinLayout: 'shoulders', iterations: 1, gravity: 40 });
+});
@@ -0,0 +1,43 @@
+// ============================================================================
+// PRESET STRETCH - Every material preset holds its shape: no constraint
+// stretches past a tolerance per type while the shoulders sway
+// Usage: node --test test/
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONSTRAINT_TYPES } from '../ClothSimulation.js';
+import { MATERIAL_PRESETS } from '../ClothPresets.js';
+import { sway, makeCloth, run } from './helpers.mjs';
+
+// Longest length / rest length allowed per constraint type. Shear links run
+// across the weave, so they give the most.
+const MAX_STRETCH = { structural: 1.12, shear: 1.18, bending: 1.12 };
+const STEPS = 600;
+
+// Largest stretch ratio per constraint type over STEPS steps of a cloth
+// settled onto the shoulders
+function maxStretch(params) {
+  const sim = makeCloth(params);
+
+  const worst = CONSTRAINT_TYPES.map(() => 0);
+  run(sim, STEPS, sway, () => {
+    for (let c = 0; c < sim.constraintCount; c++) {
+      const ratio = sim.distance(sim.constraintA[c], sim.constraintB[c]) / sim.restLengths[c];
+      const type = sim.constraintTypes[c];
+      worst[type] = Math.max(worst[type], ratio);
+    }
+  });
+  return worst;
+}
+
+for (const solver of ['verlet', 'xpbd']) {
+  for (const [id, preset] of Object.entries(MATERIAL_PRESETS)) {
+    test(`${id} preset stays within its stretch tolerance (${solver})`, () => {
+      const worst = maxStretch({ ...preset.params, solver });
+      CONSTRAINT_TYPES.forEach((type, t) => {
+        assert.ok(worst[t] <= MAX_STRETCH[type], `${type} stretched to ${worst[t].toFixed(3)}`);
+      });
+    });
+  }
+}
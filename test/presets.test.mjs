@@ -0,0 +1,62 @@
+// ============================================================================
+// PRESETS - Imported presets are clamped to values the solver can run, and
+// even the loosest of them runs without tripping the stability guard
+// Usage: node --test test/
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MATERIAL_PRESETS, PRESET_FORMAT, PRESET_VERSION, importPresets } from '../ClothPresets.js';
+import { makeCloth, run } from './helpers.mjs';
+
+// A preset file as another machine might have written it
+function presetFile(params) {
+  return JSON.stringify({ format: PRESET_FORMAT, version: PRESET_VERSION, presets: [{ name: 'Imported', params }] });
+}
+
+test('imported params are clamped to their ranges', () => {
+  const { imported } = importPresets(presetFile({
+    stiffness: -1, structuralStiffness: 3, shearStiffness: -0.5, bendingStiffness: 1.5,
+    mass: -2, damping: 1.2, iterations: 0.2,
+  }));
+  const { params } = imported;
+
+  assert.equal(params.stiffness, 0);
+  assert.equal(params.structuralStiffness, 1);
+  assert.equal(params.shearStiffness, 0);
+  assert.equal(params.bendingStiffness, 1);
+  assert.ok(params.mass > 0, `mass ${params.mass}`);
+  assert.equal(params.damping, 1);
+  assert.equal(params.iterations, 1);
+  // Untouched by the file
+  assert.equal(params.gravity, MATERIAL_PRESETS.default.params.gravity);
+});
+
+test('negative forces and wind response are clamped to 0', () => {
+  const { imported } = importPresets(presetFile({
+    gravity: -15, windStrength: -3, dragCoefficient: -0.35, liftCoefficient: -0.2,
+  }));
+  const { params } = imported;
+
+  assert.equal(params.gravity, 0);
+  assert.equal(params.windStrength, 0);
+  assert.equal(params.dragCoefficient, 0);
+  assert.equal(params.liftCoefficient, 0);
+});
+
+for (const solver of ['verlet', 'xpbd']) {
+  test(`a stiffness 0 preset runs without resets (${solver})`, () => {
+    const { imported } = importPresets(presetFile({ ...MATERIAL_PRESETS.default.params, stiffness: 0 }));
+    assert.equal(imported.params.stiffness, 0);
+
+    const sim = makeCloth({ ...imported.params, solver }, { settle: false });
+    const events = [];
+    sim.onInstability = (info) => events.push(info);
+    run(sim, 120);
+
+    assert.deepEqual(events, []);
+    for (let i = 0; i < sim.particleCount * 3; i++) {
+      assert.ok(Number.isFinite(sim.positions[i]), `position ${i} is ${sim.positions[i]}`);
+    }
+  });
+}
@@ -0,0 +1,57 @@
+// ============================================================================
+// SERIALIZE / RESTORE - A restored cloth steps on exactly like the original,
+// and its stability guard never falls back to a pose from before the restore
+// Usage: node --test test/
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeState } from '../ClothState.js';
+import { sway, makeCloth, run } from './helpers.mjs';
+
+// Shoulders dragged far apart and askew: a pose nothing like the swaying
+// cloth's, even moved onto the same pins
+function askew() {
+  return [{ x: -1.5, y: -0.5, z: 0 }, { x: 1.5, y: 1.5, z: 0 }];
+}
+
+for (const [format, encode] of [['JSON', JSON.stringify], ['binary', encodeState]]) {
+  test(`a ${format} snapshot steps on like the original`, () => {
+    const original = makeCloth({ tearThreshold: 1.6 });
+    run(original, 60);
+    const copy = makeCloth({}, { settle: false });
+    copy.restore(encode(original.serialize()));
+
+    run(original, 60);
+    run(copy, 60);
+    assert.equal(copy.time, original.time);
+    assert.equal(copy.constraintCount, original.constraintCount);
+    assert.deepEqual(copy.positions, original.positions);
+    assert.deepEqual(copy.previous, original.previous);
+  });
+}
+
+test('a blow-up right after a restore goes back to the restored pose', () => {
+  const original = makeCloth();
+  run(original, 60);
+  const state = original.serialize();
+
+  // Draped somewhere else entirely before taking the snapshot on
+  const sim = makeCloth({}, { attachments: askew });
+  const events = [];
+  sim.onInstability = (info) => events.push(info);
+  sim.restore(state);
+
+  const hem = sim.particleCount - 7;
+  assert.equal(sim.pinned[hem], 0);
+  sim.setPosition(hem, NaN, 0, 0);
+  sim.step(1 / 60, sway(sim.time));
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].recovery, 'rest');
+  for (let i = 0; i < sim.particleCount; i++) {
+    const p = sim.getPosition(i);
+    const q = { x: state.particles.positions[i * 3], y: state.particles.positions[i * 3 + 1] };
+    assert.ok(Math.hypot(p.x - q.x, p.y - q.y) < 0.05, `particle ${i} is back at (${p.x}, ${p.y})`);
+  }
+});
@@ -0,0 +1,67 @@
+// ============================================================================
+// SOLVER CONSISTENCY - XPBD keeps its material when iterations or substeps
+// change; the Verlet solver gets stiffer with both
+// Usage: node --test test/
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClothSimulation } from '../ClothSimulation.js';
+
+// Grid y runs along world z, so the strip lies flat before it droops
+const HORIZONTAL = [1, 0, 0, 0, 0, 0, 1, 0, 0, -1, 0, 0, 0, 0, 0, 1];
+const SEGMENTS_X = 6;
+const SEGMENTS_Y = 12;
+
+// A strip clamped by its first two rows and held out level: how far the
+// free edge droops under gravity measures how stiff the cloth is
+function droop(params) {
+  const sim = ClothSimulation.createGrid({
+    width: 0.4,
+    height: 0.6,
+    segmentsX: SEGMENTS_X,
+    segmentsY: SEGMENTS_Y,
+    pinLayout: null,
+    transform: HORIZONTAL,
+    gravity: 1,
+    windStrength: 0,
+    ...params,
+  });
+  for (let i = 0; i < (SEGMENTS_X + 1) * 2; i++) sim.pin(i, null);
+  for (let s = 0; s < 300; s++) sim.step(1 / 60, []);
+
+  let edge = 0;
+  for (let x = 0; x <= SEGMENTS_X; x++) edge += sim.positions[(SEGMENTS_Y * (SEGMENTS_X + 1) + x) * 3 + 1];
+  return -edge / (SEGMENTS_X + 1);
+}
+
+function spread(values) {
+  return Math.max(...values) - Math.min(...values);
+}
+
+const ITERATIONS = [2, 4, 8, 16, 32];
+const SUB_STEPS = [1, 2, 3, 6, 12];
+
+test('xpbd droop does not depend on the iteration count', () => {
+  const droops = ITERATIONS.map(iterations => droop({ solver: 'xpbd', iterations }));
+  assert.ok(spread(droops) < 0.005, `droops ${droops.map(d => d.toFixed(3))}`);
+});
+
+test('xpbd droop does not depend on the substep count', () => {
+  const droops = SUB_STEPS.map(subSteps => droop({ solver: 'xpbd', subSteps }));
+  assert.ok(spread(droops) < 0.005, `droops ${droops.map(d => d.toFixed(3))}`);
+});
+
+test('xpbd stays more consistent than verlet', () => {
+  for (const [key, values] of [['iterations', ITERATIONS], ['subSteps', SUB_STEPS]]) {
+    const verlet = spread(values.map(value => droop({ solver: 'verlet', [key]: value })));
+    const xpbd = spread(values.map(value => droop({ solver: 'xpbd', [key]: value })));
+    assert.ok(xpbd * 5 < verlet, `${key}: xpbd spread ${xpbd.toFixed(4)}, verlet ${verlet.toFixed(4)}`);
+  }
+});
+
+test('xpbd compliance sets the material', () => {
+  const stiff = droop({ solver: 'xpbd', bendCompliance: 1e-6, shearCompliance: 1e-6 });
+  const soft = droop({ solver: 'xpbd', bendCompliance: 1e-2, shearCompliance: 1e-2 });
+  assert.ok(stiff < soft, `stiff ${stiff.toFixed(3)}, soft ${soft.toFixed(3)}`);
+});
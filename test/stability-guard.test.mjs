@@ -0,0 +1,122 @@
+// ============================================================================
+// STABILITY GUARD - A step that blows up is undone and reported through
+// onInstability, while normal play and hard drags never trigger it
+// Usage: node --test test/
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS } from '../ClothSimulation.js';
+import { MATERIAL_PRESETS } from '../ClothPresets.js';
+import { sway, makeCloth, run } from './helpers.mjs';
+
+const EXTREMES = { gravity: 40, windStrength: 15, iterations: 1 };
+// Loose, light and barely held together: blows up in strong wind
+const SOFT_LIGHT = { stiffness: 0.3, structuralStiffness: 0.3, shearStiffness: 0, bendingStiffness: 0, mass: 0.2 };
+
+// Shoulders dragged apart to the demo's clamp limits in 0.2s, then held:
+// stretches the cloth about 10x without anything going wrong
+function dragToLimits(time) {
+  const k = Math.min(time / 0.2, 1);
+  return [{ x: -0.4 - 1.1 * k, y: 0.8 - 1.3 * k, z: 0 }, { x: 0.4 + 1.1 * k, y: 0.8 + 0.7 * k, z: 0 }];
+}
+
+// A settled cloth logging its onInstability events
+function guarded(params, attachments = sway) {
+  const sim = makeCloth(params, { settle: false });
+  const events = [];
+  sim.onInstability = (info) => events.push(info);
+  sim.settle(attachments);
+  return { sim, events };
+}
+
+function assertFinite(sim) {
+  for (let i = 0; i < sim.particleCount * 3; i++) {
+    assert.ok(Number.isFinite(sim.positions[i]), `position ${i} is ${sim.positions[i]}`);
+    assert.ok(Number.isFinite(sim.previous[i]), `previous position ${i} is ${sim.previous[i]}`);
+  }
+}
+
+// The middle of the hem: free in every pin layout
+function freeParticle(sim) {
+  const i = sim.particleCount - 7;
+  assert.equal(sim.pinned[i], 0);
+  return i;
+}
+
+for (const [id, preset] of Object.entries(MATERIAL_PRESETS)) {
+  test(`${id} preset never triggers the guard`, () => {
+    const { sim, events } = guarded(preset.params);
+    run(sim, 600);
+    assert.deepEqual(events, []);
+  });
+}
+
+test('shoulders dragged to the limits never trigger the guard', () => {
+  const { sim, events } = guarded({}, dragToLimits);
+  run(sim, 300, dragToLimits);
+  assert.deepEqual(events, []);
+});
+
+test('the speed clamp keeps a soft, light cloth finite at extreme params', () => {
+  const { sim } = guarded({ ...EXTREMES, ...SOFT_LIGHT });
+  run(sim, 3000);
+  assertFinite(sim);
+});
+
+test('a runaway cloth is reset and reported', () => {
+  // Without the speed clamp nothing stops the blow-up but the reset
+  const { sim, events } = guarded({ ...EXTREMES, ...SOFT_LIGHT, maxSpeed: 0 });
+  run(sim, 600);
+  assertFinite(sim);
+
+  assert.ok(events.length > 0, 'the guard fired');
+  const [first] = events;
+  assert.equal(first.cause, 'stretch');
+  assert.equal(first.recovery, 'snapshot');
+  assert.equal(first.type, 'structural');
+  assert.ok(first.constraint >= 0 && first.constraint < sim.constraintCount);
+  assert.ok(first.stretch > sim.params.instabilityStretch);
+  assert.ok(first.maxSpeed > DEFAULT_PARAMS.maxSpeed, 'faster than a clamped cloth could move');
+  assert.ok(first.time > 0);
+});
+
+test('a NaN goes back to the last snapshot, then to the rest pose', () => {
+  const { sim, events } = guarded({});
+  run(sim, 60);
+  const i = freeParticle(sim);
+
+  sim.setPosition(i, NaN, 0, 0);
+  sim.step(1 / 60, sway(sim.time));
+  assert.equal(events.length, 1);
+  assert.equal(events[0].cause, 'nan');
+  assert.equal(events[0].recovery, 'snapshot');
+  assert.equal(events[0].type, null);
+  assert.ok(events[0].particle >= 0 && events[0].particle < sim.particleCount);
+  assertFinite(sim);
+  // Reset at rest
+  assert.deepEqual(sim.previous, sim.positions);
+
+  // The snapshot just failed, so another blow-up right away goes further back
+  sim.setPosition(i, NaN, 0, 0);
+  sim.step(1 / 60, sway(sim.time));
+  assert.equal(events.length, 2);
+  assert.equal(events[1].recovery, 'rest');
+  assertFinite(sim);
+
+  // A healthy half second later there's a fresh snapshot to return to
+  run(sim, 60);
+  sim.setPosition(i, Infinity, 0, 0);
+  sim.step(1 / 60, sway(sim.time));
+  assert.equal(events.length, 3);
+  assert.equal(events[2].recovery, 'snapshot');
+  assertFinite(sim);
+});
+
+test('with instabilityStretch off only NaNs are reset', () => {
+  const { sim, events } = guarded({ ...EXTREMES, ...SOFT_LIGHT, maxSpeed: 0, instabilityStretch: 0 });
+  run(sim, 600);
+  assertFinite(sim);
+  assert.ok(events.length > 0, 'the guard fired');
+  for (const event of events) assert.equal(event.cause, 'nan');
+});
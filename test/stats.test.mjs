@@ -0,0 +1,76 @@
+// ============================================================================
+// STATS - getStats() reports what the cloth is doing: counts, step cost,
+// per-type constraint error and kinetic energy
+// Usage: node --test test/
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONSTRAINT_TYPES } from '../ClothSimulation.js';
+import { makeCloth, run } from './helpers.mjs';
+
+test('a cloth at rest has no error and no kinetic energy', () => {
+  const sim = makeCloth({}, { settle: false });
+  const stats = sim.getStats();
+
+  assert.equal(stats.particles, sim.particleCount);
+  assert.equal(stats.constraints, sim.constraintCount);
+  assert.equal(stats.hinges, 0);
+  assert.equal(stats.kineticEnergy, 0);
+  assert.equal(stats.maxSpeed, 0);
+  let counted = 0;
+  for (const type of CONSTRAINT_TYPES) {
+    const { count, avg, max } = stats.constraintError[type];
+    assert.ok(count > 0, `${type} links are counted`);
+    assert.ok(avg < 1e-6 && max < 1e-6, `${type} error ${max}`);
+    counted += count;
+  }
+  assert.equal(counted, sim.constraintCount);
+});
+
+test('a swaying cloth moves and stays close to its rest lengths', () => {
+  const sim = makeCloth();
+  run(sim, 120);
+  const stats = sim.getStats();
+
+  assert.ok(stats.stepMs > 0, 'steps are timed');
+  assert.equal(stats.time, sim.time);
+  assert.ok(stats.kineticEnergy > 0);
+  assert.ok(stats.maxSpeed > 0);
+  for (const type of CONSTRAINT_TYPES) {
+    const { avg, max } = stats.constraintError[type];
+    assert.ok(avg > 0 && avg <= max, `${type} avg ${avg}, max ${max}`);
+    assert.ok(max < 0.1, `${type} off by ${max}`);
+  }
+});
+
+test('kinetic energy scales with mass', () => {
+  const light = makeCloth({ windStrength: 0 }, { settle: false });
+  const heavy = makeCloth({ windStrength: 0, mass: 3 }, { settle: false });
+  run(light, 30);
+  run(heavy, 30);
+  // Without wind, mass doesn't change the motion
+  assert.ok(Math.abs(heavy.getStats().kineticEnergy / light.getStats().kineticEnergy - 3) < 1e-6);
+});
+
+test('stretching the cloth shows up as structural error', () => {
+  const sim = makeCloth();
+  const before = sim.getStats().constraintError.structural.max;
+  // Shoulders dragged well past the cloth's width
+  const apart = () => [{ x: -1.2, y: 0.8, z: 0 }, { x: 1.2, y: 0.8, z: 0 }];
+  run(sim, 60, apart);
+  const after = sim.getStats().constraintError.structural.max;
+  assert.ok(after > before * 10, `max structural error went from ${before} to ${after}`);
+});
+
+test('dihedral bending reports hinge error', () => {
+  const sim = makeCloth({ bending: 'dihedral', bendRestAngle: 0 });
+  run(sim, 60);
+  const { hinges, hingeError, constraintError } = sim.getStats();
+
+  assert.equal(hinges, sim.hingeCount);
+  assert.ok(hinges > 0);
+  assert.equal(hingeError.count, hinges);
+  assert.ok(hingeError.avg > 0 && hingeError.avg <= hingeError.max && hingeError.max <= Math.PI);
+  assert.equal(constraintError.bending.count, 0, 'hinges replace the bending links');
+});
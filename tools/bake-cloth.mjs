@@ -0,0 +1,35 @@
+// ============================================================================
+// BAKE CLOTH - Simulate the default cape offline and export its motion
+// Writes <out>.glb (morph-target animation), <out>.vcache (vertex cache) and
+// <out>.obj (the first frame's mesh with UVs, vertex order matching the cache)
+// Usage: node tools/bake-cloth.mjs [out] [seconds] [fps]
+// ============================================================================
+
+import { writeFileSync } from 'node:fs';
+import { ClothSimulation, createGridUVs } from '../ClothSimulation.js';
+import { bakeCloth, encodeVertexCache, exportGLB, exportOBJ } from '../ClothExport.js';
+
+const out = process.argv[2] ?? 'cape';
+const seconds = Number(process.argv[3] ?? 5);
+const fps = Number(process.argv[4] ?? 30);
+
+// Shoulders sway like ClothDemo's; anchors are [left, right, collar]
+const sway = (time) => {
+  const x = Math.sin(time * 0.8) * 0.15;
+  const y = 0.8 + Math.sin(time * 1.6) * 0.08;
+  return [{ x: x - 0.4, y, z: 0 }, { x: x + 0.4, y, z: 0 }, { x, y, z: 0 }];
+};
+
+const sim = ClothSimulation.createGrid();
+sim.settle(sway);
+const cache = bakeCloth(sim, { end: seconds, fps, attachments: sway });
+
+const { segmentsX, segmentsY } = sim.grid;
+const uvs = createGridUVs(segmentsX, segmentsY);
+const indices = sim.triangles.subarray(0, sim.triangleCount * 3);
+const firstFrame = cache.positions.subarray(0, cache.vertexCount * 3);
+
+writeFileSync(`${out}.glb`, new Uint8Array(exportGLB(cache, { indices, uvs, name: 'Cape' })));
+writeFileSync(`${out}.vcache`, new Uint8Array(encodeVertexCache(cache)));
+writeFileSync(`${out}.obj`, exportOBJ({ positions: firstFrame, uvs, indices, name: 'Cape' }));
+console.log(`${cache.frameCount} frames × ${cache.vertexCount} vertices → ${out}.glb, ${out}.vcache, ${out}.obj`);